@@ -3,13 +3,76 @@ import express from 'express';
 import { createServer } from 'http';
 import { WebSocketServer } from 'ws';
 import cors from 'cors';
-import { createRandomizedGeishas, createBaseGeishas, buildDeckForGeishas } from './utils/gameUtils.js';
+import { randomUUID } from 'crypto';
+import { createRandomizedGeishas, createBaseGeishas } from './utils/gameUtils.js';
+import {
+    advanceGame,
+    buildPlayerView,
+    buildRoundState,
+    cloneGeishas,
+    createMaskedCard,
+    createPlayerState,
+    getActingPlayerId,
+    getNextRoundOrder,
+    getOpponentState,
+    getPlayerState,
+    listLegalActions,
+    reduceGame
+} from './reducers/gameEngine.js';
 import {
     deleteRoomSnapshot,
     isRedisEnabled,
+    loadReplaySnapshot,
     loadRoomSnapshot,
+    saveReplaySnapshot,
     saveRoomSnapshot
 } from './utils/roomStore.js';
+import { createSeed, createSeededRandom, normalizeSeed } from './utils/random.js';
+import { createSeatNonce, createSeatToken, verifySeatToken } from './utils/seatToken.js';
+import { getRegisteredBot, listRegisteredBots, verifyBotCredentials } from './utils/botRegistry.js';
+import { buildActionHint, explainNpcDecision } from './utils/npcAdvisor.js';
+import { analyzeGame } from './utils/gameAnalysis.js';
+import { createJsonPatch } from './utils/jsonPatch.js';
+import { parseInboundMessage, validateGameAction } from './utils/messageSchema.js';
+import { createRequestLog, recordRequestError, runTrackedRequest } from './utils/requestContext.js';
+import {
+    SEND_BUFFER_RETRY_MS,
+    closeConnection,
+    getConnectionMetrics,
+    getSendPressure,
+    markConnectionAlive,
+    recordCoalescedState,
+    recordDroppedMessage,
+    recordRejectedMessage,
+    startHeartbeat,
+    terminateConnection,
+    trackConnection
+} from './utils/connectionHealth.js';
+import { consumeRateLimit, createConnectionLimiter, recordRateLimitViolation } from './utils/rateLimiter.js';
+import {
+    LEGACY_PROTOCOL_VERSION,
+    MIN_PROTOCOL_VERSION,
+    PROTOCOL_VERSION,
+    buildUpgradeRequiredError,
+    buildWelcomePayload,
+    negotiateProtocol
+} from './utils/protocolHandshake.js';
+import { getNpcPersonality, listNpcPersonalities, resolveNpcProfile } from './utils/npcPersonality.js';
+import { inferHiddenCards, observeNpcView } from './utils/npcBelief.js';
+import { runNpcDecisionTask } from './utils/npcWorkerPool.js';
+import {
+    ADAPTIVE_INITIAL_LEVEL,
+    ADAPTIVE_STEP,
+    adjustAdaptiveLevel,
+    applyAdaptiveRandomness,
+    measureAverageSwing,
+    resolveAdaptiveSettings
+} from './utils/npcAdaptive.js';
+import {
+    NPC_INFERENCE_DIFFICULTIES,
+    NPC_SEARCH_BUDGET_MS,
+    buildNpcDecision
+} from './utils/npcStrategy.js';
 
 // NPC 設定（難度與思考時間）
 const NPC_DIFFICULTY_LABEL = {
@@ -17,7 +80,8 @@ const NPC_DIFFICULTY_LABEL = {
     medium: '大空スバル',
     hard: '兎田ぺこら',
     expert: '猫又おかゆ',
-    hell: 'ときのそら'
+    hell: 'ときのそら',
+    adaptive: 'さくらみこ'
 };
 const NPC_THINKING_DELAY = {
     easy: 1400,
@@ -26,14 +90,159 @@ const NPC_THINKING_DELAY = {
     expert: 500,
     hell: 350
 };
+// NPC 每次決策在背景執行緒的時間上限（含排隊），逾時改用主執行緒的啟發式規則
+const NPC_DECISION_TIMEOUT_MS = Number.parseInt(process.env.NPC_DECISION_TIMEOUT_MS ?? '1500', 10);
+
+// 表演賽（NPC 對 NPC）無人觀看時保留房間的時間，超過後關閉
+const EXHIBITION_UNWATCHED_CLOSE_MS = Number.parseInt(process.env.EXHIBITION_UNWATCHED_CLOSE_MS ?? '30000', 10);
+
+// 斷線保留座位的寬限時間與倒數通知間隔（毫秒）
+const RECONNECT_GRACE_MS = Number.parseInt(process.env.RECONNECT_GRACE_MS ?? '60000', 10);
+const DISCONNECT_COUNTDOWN_INTERVAL_MS = 5000;
+
+// 回合計時：每秒廣播一次剩餘時間；各模式允許的秒數範圍
+const TURN_TIMER_TICK_MS = 1000;
+const TIME_CONTROL_LIMITS = {
+    'per-move': { min: 5, max: 300 },
+    bank: { min: 30, max: 1800 }
+};
+
+// 正規化時間控制設定（每步限時或棋鐘式總時間，未設定則不計時）
+const normalizeTimeControl = (timeControl) => {
+    const limits = TIME_CONTROL_LIMITS[timeControl?.mode];
+    const seconds = Number(timeControl?.seconds);
+    if (!limits || !Number.isFinite(seconds)) {
+        return null;
+    }
+
+    const clamped = Math.min(limits.max, Math.max(limits.min, Math.round(seconds)));
+    return {
+        mode: timeControl.mode,
+        limitMs: clamped * 1000
+    };
+};
+
+// 是否允許 CREATE_ROOM 指定亂數種子（重現問題與測試用）
+const ALLOW_CLIENT_SEED = process.env.ALLOW_CLIENT_SEED === 'true';
+
+// 每場對局每位玩家可使用的提示次數（房間可調整或關閉；排位賽應關閉）
+const HINT_LIMIT_PER_GAME = Number.parseInt(process.env.HINT_LIMIT_PER_GAME ?? '3', 10);
+const HINT_LIMIT_MAX = 20;
+
+// 正規化提示設定（false 或 enabled: false 代表關閉）
+const normalizeHintSettings = (hints) => {
+    if (hints === false || hints?.enabled === false) {
+        return { enabled: false, limit: 0 };
+    }
+
+    const limit = Number.parseInt(hints?.limit, 10);
+    return {
+        enabled: true,
+        limit: Number.isSafeInteger(limit) && limit >= 0 ? Math.min(limit, HINT_LIMIT_MAX) : HINT_LIMIT_PER_GAME
+    };
+};
+
+// 外部 Bot 協定版本與每次決策的回應期限（逾時由伺服器代打安全行動）
+const BOT_PROTOCOL_VERSION = 1;
+const BOT_DECISION_TIMEOUT_MS = Number.parseInt(process.env.BOT_DECISION_TIMEOUT_MS ?? '5000', 10);
+
+// 正規化藝妓組合（未知的組合使用 default）
+const normalizeGeishaSet = (geishaSet) =>
+    (geishaSet === 'akatsuki' || geishaSet === 'onesan' || geishaSet === 'collaboration' ? geishaSet : 'default');
 
 const normalizeNpcDifficulty = (difficulty) => {
-    if (difficulty === 'easy' || difficulty === 'medium' || difficulty === 'hard' || difficulty === 'expert' || difficulty === 'hell') {
+    if (difficulty === 'easy' || difficulty === 'medium' || difficulty === 'hard' || difficulty === 'expert' || difficulty === 'hell' || difficulty === 'adaptive') {
         return difficulty;
     }
     return 'easy';
 };
 
+// 斷線託管：對局中真人斷線超過延遲時間後由 NPC 代打（延遲需短於斷線寬限時間）
+const SEAT_AUTOPILOT_DELAY_MS = Number.parseInt(process.env.SEAT_AUTOPILOT_DELAY_MS ?? '15000', 10);
+const SEAT_AUTOPILOT_MIN_DELAY_MS = 5000;
+const SEAT_AUTOPILOT_DIFFICULTY = normalizeNpcDifficulty(process.env.SEAT_AUTOPILOT_DIFFICULTY ?? 'hard');
+
+// 正規化斷線託管設定（未啟用回傳 null；delaySeconds 未指定時使用預設延遲）
+const normalizeSeatAutopilot = (autopilot) => {
+    if (!autopilot || autopilot.enabled === false) {
+        return null;
+    }
+
+    const seconds = Number(autopilot.delaySeconds);
+    const requestedMs = Number.isFinite(seconds) ? Math.round(seconds) * 1000 : SEAT_AUTOPILOT_DELAY_MS;
+    return {
+        delayMs: Math.min(RECONNECT_GRACE_MS - DISCONNECT_COUNTDOWN_INTERVAL_MS, Math.max(SEAT_AUTOPILOT_MIN_DELAY_MS, requestedMs))
+    };
+};
+
+// 單則訊息的大小上限（位元組，超過時 ws 以 1009 關閉連線）
+const WS_MAX_PAYLOAD_BYTES = Number.parseInt(process.env.WS_MAX_PAYLOAD_BYTES ?? '16384', 10);
+// 同一來源（IP）同時開啟的房間數上限（含表演賽）
+const MAX_ROOMS_PER_CLIENT = Number.parseInt(process.env.MAX_ROOMS_PER_CLIENT ?? '5', 10);
+// 部署在反向代理後方時，以 X-Forwarded-For 的第一個位址作為來源 IP
+const TRUST_PROXY = process.env.TRUST_PROXY === 'true';
+// 多次超過頻率限制的連線以此關閉代碼中斷（1008 Policy Violation）
+const RATE_LIMIT_CLOSE_CODE = 1008;
+
+// 狀態同步：每位接收者保留最近送出的狀態數量（客戶端確認的序號需在其中才會成為差異基準）
+const SYNC_STATE_HISTORY = 8;
+// 觀戰者的同步串流鍵值（與玩家 ID 區隔）
+const SPECTATOR_SYNC_PREFIX = 'spectator:';
+const getSpectatorSyncKey = spectatorId => `${SPECTATOR_SYNC_PREFIX}${spectatorId}`;
+// 傳送緩衝過高時直接略過的週期性訊息（下一則同類訊息會取代，略過的訊息不佔用序號）
+const SUPERSEDED_MESSAGE_TYPES = new Set(['TURN_TIMER', 'PLAYER_DISCONNECT_COUNTDOWN', 'SPECTATORS_UPDATED']);
+
+// 錯誤訊息內容（code 為穩定的錯誤碼，field 為出錯的 payload 欄位）
+const buildErrorPayload = (message, code = null, field = null) => ({
+    message,
+    ...(code ? { code } : {}),
+    ...(field ? { field } : {})
+});
+
+// 直接回傳錯誤給連線（尚未入座或訊息格式錯誤時使用）
+const sendSocketError = (ws, message, code = null, field = null) => {
+    const payload = buildErrorPayload(message, code, field);
+    recordRequestError(ws, payload);
+    ws.send(JSON.stringify({
+        type: 'ERROR',
+        payload
+    }));
+};
+
+// 超過頻率限制或房間數上限（retryAfterMs 為建議的重試等待時間）
+const sendRateLimitedError = (ws, message, retryAfterMs = null) => {
+    const payload = {
+        message,
+        code: 'ERR_RATE_LIMITED',
+        ...(retryAfterMs !== null ? { retryAfterMs } : {})
+    };
+    recordRequestError(ws, payload);
+    ws.send(JSON.stringify({
+        type: 'ERROR',
+        payload
+    }));
+    return payload;
+};
+
+// 取得連線的來源 IP（頻率限制與房間數上限以此區分客戶端）
+const getClientAddress = (req) => {
+    const forwardedFor = TRUST_PROXY ? req.headers['x-forwarded-for'] : null;
+    const forwardedAddress = typeof forwardedFor === 'string' ? forwardedFor.split(',')[0].trim() : '';
+    return forwardedAddress || req.socket.remoteAddress || 'unknown';
+};
+
+// 拒絕協定版本過舊的客戶端：回傳需要升級的錯誤後關閉連線（關閉代碼對應 HTTP 426 Upgrade Required）
+const UPGRADE_REQUIRED_CLOSE_CODE = 4426;
+const rejectOutdatedClient = (ws, protocolVersion) => {
+    const error = buildUpgradeRequiredError(protocolVersion);
+    recordRequestError(ws, error);
+    ws.send(JSON.stringify({
+        type: 'ERROR',
+        payload: error
+    }));
+    ws.close(UPGRADE_REQUIRED_CLOSE_CODE, 'Upgrade Required');
+};
+
 const normalizePlayerMeta = (playerId, payload = {}) => {
     const displayName = typeof payload.displayName === 'string' && payload.displayName.trim()
         ? payload.displayName.trim()
@@ -81,6 +290,10 @@ app.get('/health', (req, res) => {
         status: 'ok',
         environment: process.env.NODE_ENV,
         timestamp: new Date().toISOString(),
+        protocol: {
+            minVersion: MIN_PROTOCOL_VERSION,
+            maxVersion: PROTOCOL_VERSION
+        },
         corsOrigins: [
             'http://localhost:3000',
             'https://holo-koji-frontend.onrender.com',
@@ -93,15 +306,29 @@ app.get('/health', (req, res) => {
 
 // 房間管理表（roomId → GameRoom）
 const gameRooms = new Map();
+// 已結束對局的回放紀錄（roomId → replay，僅保留最近數場）
+const gameReplays = new Map();
+const MAX_STORED_REPLAYS = 200;
+// 已結束對局的賽後分析（roomId → analysis，與回放保留相同數量）
+const gameAnalyses = new Map();
 // WebSocket 伺服器實體
-const wss = new WebSocketServer({ server });
+const wss = new WebSocketServer({ server, maxPayload: WS_MAX_PAYLOAD_BYTES });
+// 定期 ping 所有連線，沒有回應的半開連線會被中斷並進入一般的斷線流程
+const stopHeartbeat = startHeartbeat(wss);
+wss.on('close', stopHeartbeat);
 
 class GameRoom {
-    constructor(roomId) {
+    constructor(roomId, seed = createSeed()) {
         // 房間 ID
         this.roomId = roomId;
+        // 亂數種子與產生器（洗牌、順序、NPC 隨機選擇皆由此產生，可重現整場對局）
+        this.seed = null;
+        this.rng = null;
+        this.setSeed(seed);
         // 房間建立時間
         this.createdAt = Date.now();
+        // 座位憑證的房間隨機值（區分重複使用同一代碼的房間）
+        this.seatNonce = createSeatNonce();
         // 房間內玩家列表
         this.players = [];
         // 遊戲狀態快照
@@ -110,6 +337,8 @@ class GameRoom {
         this.maxPlayers = 2;
         // 房主玩家 ID
         this.hostId = null;
+        // 建立者的來源 IP（計算每個來源開啟的房間數，不寫入快照）
+        this.creatorAddress = null;
         // 藝妓組合
         this.geishaSet = 'default';
         this.orderDecisionState = {
@@ -125,15 +354,48 @@ class GameRoom {
         this.lastRoundStarterId = null;
         // 回合結算延遲計時器
         this.roundResolveTimer = null;
-        // NPC 玩家資訊
-        this.npcId = null;
-        this.npcDifficulty = null;
+        // NPC 座位（playerId → { difficulty, personalityId }；personalityId 為 null 表示使用預設權重）
+        this.npcSeats = new Map();
+        // NPC 是否依 NPC_THINKING_DELAY 放慢節奏（表演賽可關閉以快速對戰）
+        this.npcPacing = true;
+        // 表演賽：雙方皆為 NPC，建立者以觀戰者身分觀看；無人觀看時的關閉計時器
+        this.isExhibition = false;
+        this.unwatchedTimer = null;
+        // 教學房間：NPC 每次決策後私下傳送 NPC_REASONING 說明理由
+        this.teachingMode = false;
+        // NPC 對對手隱藏牌的推測紀錄（playerId → 推測，只由該座位視角的遮蔽狀態更新）
+        this.npcBeliefs = new Map();
         this.npcActionTimer = null;
         this.npcResponseTimer = null;
+        // 背景執行緒中進行中的 NPC 決策（清除計時器時一併取消）
+        this.npcDecisionController = null;
+        // 外部 Bot 座位（botId 即座位的 playerId）與目前等待回應的決策請求
+        this.botId = null;
+        this.botRequest = null;
         // 再來一場確認集合
         this.rematchConfirmations = new Set();
         // 開局準備確認集合
         this.readyConfirmations = new Set();
+        // 觀戰者列表（不佔座位，只接收遮蔽後的公開資訊）
+        this.spectators = [];
+        // 斷線中的玩家（playerId → { deadline, graceTimer, countdownTimer }）
+        this.disconnectedPlayers = new Map();
+        // 時間控制（null 表示不限時）、目前計時中的決策與各玩家剩餘總時間
+        this.timeControl = null;
+        this.turnClock = null;
+        this.timeBanks = new Map();
+        // 本場對局的行動紀錄（發牌、順序、每個已接受行動與回合結算）
+        this.actionLog = [];
+        // 提示設定與本場各玩家已使用的提示次數
+        this.hintSettings = normalizeHintSettings();
+        this.hintsUsed = new Map();
+        this.lastHint = null;
+        // 斷線託管設定（null 表示斷線時只保留座位）
+        this.seatAutopilot = null;
+        // 各接收者的同步串流（玩家 ID 或觀戰者鍵值 → 序號、已確認的狀態與最近送出的狀態）
+        this.syncStreams = new Map();
+        // 各玩家最近處理過的 requestId（跟著座位保留，重新連線後重送的請求同樣不會再次執行）
+        this.requestLogs = new Map();
     }
 
     // 產出可儲存的房間快照（不含連線物件）
@@ -142,14 +404,153 @@ class GameRoom {
             roomId: this.roomId,
             hostId: this.hostId,
             geishaSet: this.geishaSet,
-            npcId: this.npcId,
-            npcDifficulty: this.npcDifficulty,
+            npcSeats: Object.fromEntries(this.npcSeats),
+            npcPacing: this.npcPacing,
+            isExhibition: this.isExhibition,
+            teachingMode: this.teachingMode,
+            npcBeliefs: Object.fromEntries(this.npcBeliefs),
+            botId: this.botId,
             createdAt: this.createdAt,
+            seatNonce: this.seatNonce,
+            seed: this.seed,
+            rngState: this.rng.getState(),
             baseGeishas: this.baseGeishas,
-            gameState: this.gameState
+            gameState: this.gameState,
+            actionLog: this.actionLog,
+            timeControl: this.timeControl,
+            timeBanks: Object.fromEntries(this.timeBanks),
+            hintSettings: this.hintSettings,
+            hintsUsed: Object.fromEntries(this.hintsUsed),
+            seatAutopilot: this.seatAutopilot
+        };
+    }
+
+    // 追加一筆行動紀錄（依序編號並附上時間戳）
+    appendActionLog(type, data = {}) {
+        this.actionLog.push({
+            seq: this.actionLog.length + 1,
+            timestamp: Date.now(),
+            type,
+            ...data
+        });
+    }
+
+    // 產出整場對局的回放資料（含種子，可完整重現）
+    buildReplay() {
+        return {
+            roomId: this.roomId,
+            seed: this.seed,
+            geishaSet: this.geishaSet,
+            players: (this.gameState?.players ?? []).map(player => ({
+                id: player.id,
+                name: player.name ?? player.id,
+                isNpc: this.isNpcPlayerId(player.id),
+                isBot: this.isBotPlayerId(player.id)
+            })),
+            npcSeats: Object.fromEntries(this.npcSeats),
+            winner: this.gameState?.winner ?? null,
+            rounds: this.gameState?.round ?? 0,
+            log: this.actionLog
         };
     }
 
+    // 對局結束時保存回放（房間刪除後仍可透過 REST 查詢）
+    archiveReplay() {
+        const replay = this.buildReplay();
+        gameReplays.delete(this.roomId);
+        gameReplays.set(this.roomId, replay);
+        if (gameReplays.size > MAX_STORED_REPLAYS) {
+            gameReplays.delete(gameReplays.keys().next().value);
+        }
+        void saveReplaySnapshot(this.roomId, replay);
+    }
+
+    // 對局結束後分析真人玩家的每個決策，保存並私下傳送給真人玩家
+    publishGameAnalysis() {
+        let analysis;
+        try {
+            analysis = analyzeGame(this.buildReplay());
+        } catch (error) {
+            console.error(`❌ 房間 ${this.roomId} 賽後分析失敗:`, error);
+            return;
+        }
+
+        gameAnalyses.delete(this.roomId);
+        gameAnalyses.set(this.roomId, analysis);
+        if (gameAnalyses.size > MAX_STORED_REPLAYS) {
+            gameAnalyses.delete(gameAnalyses.keys().next().value);
+        }
+
+        analysis.players.forEach(({ playerId }) => {
+            this.sendToPlayer(playerId, {
+                type: 'GAME_ANALYSIS',
+                payload: analysis
+            });
+        });
+    }
+
+    // 自適應難度：依對手本輪（scope 為 'round'）或整場（'game'）的勝負與決策品質調整 NPC 強度
+    // 只讀取回放紀錄與公開的計分，不消耗房間亂數，同種子對局仍可重現
+    adjustAdaptiveSeats(scope) {
+        const adaptiveSeats = Array.from(this.npcSeats).filter(([, seat]) => seat.difficulty === 'adaptive');
+        if (adaptiveSeats.length === 0 || !this.gameState) {
+            return;
+        }
+
+        let analysis = null;
+        try {
+            analysis = analyzeGame(this.buildReplay());
+        } catch (error) {
+            console.error(`❌ 房間 ${this.roomId} 自適應難度分析失敗:`, error);
+        }
+
+        adaptiveSeats.forEach(([npcId, seat]) => {
+            const opponentId = this.getOpponentId(npcId);
+            const npc = this.getPlayerState(npcId);
+            const opponent = this.getPlayerState(opponentId);
+            if (!npc || !opponent) {
+                return;
+            }
+
+            // 換輪以目前計分（魅力值優先於好感數）判斷領先，整場結束以勝負判斷
+            const { winner } = this.gameState;
+            const gameOutcome = winner === opponentId ? 1 : (winner === npcId ? -1 : 0);
+            const outcome = scope === 'game'
+                ? gameOutcome
+                : Math.sign(opponent.score.charm - npc.score.charm || opponent.score.tokens - npc.score.tokens);
+            const averageSwing = measureAverageSwing(analysis, opponentId, scope === 'round' ? this.gameState.round : null);
+            const level = adjustAdaptiveLevel(seat.adaptiveLevel ?? ADAPTIVE_INITIAL_LEVEL, { outcome, averageSwing }, ADAPTIVE_STEP[scope]);
+
+            if (level !== seat.adaptiveLevel) {
+                console.log(`🎚️ 房間 ${this.roomId} 自適應 NPC ${npcId} 強度 ${seat.adaptiveLevel} → ${level}（${scope}）`);
+            }
+            seat.adaptiveLevel = level;
+            this.appendActionLog('ADAPTIVE_LEVEL', { playerId: npcId, scope, level });
+        });
+    }
+
+    // 目前的自適應 NPC 強度（playerId → { level, difficulty }；沒有自適應 NPC 時回傳 null）
+    getAdaptiveLevels() {
+        const levels = Array.from(this.npcSeats)
+            .filter(([, seat]) => seat.difficulty === 'adaptive')
+            .map(([npcId, seat]) => [npcId, {
+                level: seat.adaptiveLevel,
+                difficulty: resolveAdaptiveSettings(seat.adaptiveLevel).difficulty
+            }]);
+        return levels.length > 0 ? Object.fromEntries(levels) : null;
+    }
+
+    // 設定亂數種子（rngState 用於從快照接續原本的亂數序列）
+    setSeed(seed, rngState = null) {
+        this.seed = seed;
+        this.rng = createSeededRandom(seed, rngState);
+    }
+
+    // 取得房間亂數（[0, 1)，取代 Math.random）
+    random() {
+        return this.rng.next();
+    }
+
     // 儲存房間快照（Redis 可用時）
     persistRoomSnapshot() {
         if (!isRedisEnabled()) {
@@ -160,18 +561,19 @@ class GameRoom {
 
     // 判斷是否為 NPC 玩家
     isNpcPlayerId(playerId) {
-        return Boolean(this.npcId) && playerId === this.npcId;
+        return this.npcSeats.has(playerId);
     }
 
-    // 建立 NPC 玩家（使用假連線避免廣播錯誤）
-    addNpcPlayer(difficulty = 'easy') {
-        if (this.npcId || this.players.length >= this.maxPlayers) {
+    // 建立 NPC 玩家（使用假連線避免廣播錯誤；指定個性時以個性的顯示名稱入座，同名時加上編號）
+    addNpcPlayer(difficulty = 'easy', personalityId = null) {
+        if (this.players.length >= this.maxPlayers) {
             return null;
         }
 
         const normalized = normalizeNpcDifficulty(difficulty);
-        const label = NPC_DIFFICULTY_LABEL[normalized] ?? NPC_DIFFICULTY_LABEL.easy;
-        const npcId = `${label}`;
+        const personality = getNpcPersonality(personalityId);
+        const label = personality?.label ?? NPC_DIFFICULTY_LABEL[normalized] ?? NPC_DIFFICULTY_LABEL.easy;
+        const npcId = this.players.some(player => player.playerId === label) ? `${label} 2` : `${label}`;
         const npcSocket = {
             readyState: 1,
             send: () => { }
@@ -185,13 +587,141 @@ class GameRoom {
             lineUserId: undefined,
             avatarUrl: undefined
         });
-        this.npcId = npcId;
-        this.npcDifficulty = normalized;
+        this.npcSeats.set(npcId, {
+            difficulty: normalized,
+            personalityId: personality?.id ?? null,
+            // 自適應難度的目前強度（0~1，換輪與每場結束後依對手表現調整）
+            ...(normalized === 'adaptive' ? { adaptiveLevel: ADAPTIVE_INITIAL_LEVEL } : {})
+        });
 
-        console.log(`🤖 NPC 玩家加入房間 ${this.roomId}，難度：${label}`);
+        console.log(`🤖 NPC 玩家加入房間 ${this.roomId}，難度：${normalized}，名稱：${label}${personality ? `（個性：${personality.id}）` : ''}`);
         return npcId;
     }
 
+    // 判斷是否為外部 Bot 玩家
+    isBotPlayerId(playerId) {
+        return Boolean(this.botId) && playerId === this.botId;
+    }
+
+    // 讓已驗證的外部 Bot 入座（訊息經由 Bot 連線轉送，並附上 roomId 以區分多個房間）
+    addBotPlayer(botId, name) {
+        if (this.botId || this.players.length >= this.maxPlayers) {
+            return null;
+        }
+
+        this.players.push({
+            playerId: botId,
+            ws: createBotSeatSocket(botId, this.roomId),
+            isBot: true,
+            name,
+            lineUserId: undefined,
+            avatarUrl: undefined
+        });
+        this.botId = botId;
+
+        console.log(`🤝 外部 Bot ${botId} 加入房間 ${this.roomId}`);
+        return botId;
+    }
+
+    // 輪到 Bot 決策時送出請求（遮蔽狀態與合法行動列表），並開始回應期限倒數
+    requestBotDecision() {
+        this.clearBotRequest();
+
+        const playerId = this.getActingPlayerId();
+        if (!playerId || !this.isBotPlayerId(playerId) || this.isPaused()) {
+            return;
+        }
+
+        const requestId = randomUUID();
+        const deadline = Date.now() + BOT_DECISION_TIMEOUT_MS;
+        this.botRequest = {
+            requestId,
+            playerId,
+            timer: setTimeout(() => {
+                this.handleBotTimeout(requestId);
+            }, BOT_DECISION_TIMEOUT_MS)
+        };
+
+        this.sendToPlayer(playerId, {
+            type: 'BOT_TURN_REQUEST',
+            payload: {
+                requestId,
+                kind: this.gameState.pendingInteraction ? 'response' : 'turn',
+                state: this.buildClientGameState(playerId),
+                legalActions: listLegalActions(this.gameState, playerId),
+                deadline,
+                timeoutMs: BOT_DECISION_TIMEOUT_MS
+            }
+        });
+    }
+
+    // 取消等待中的 Bot 請求
+    clearBotRequest() {
+        if (!this.botRequest) {
+            return;
+        }
+        clearTimeout(this.botRequest.timer);
+        this.botRequest = null;
+    }
+
+    // 拒絕 Bot 回應（同時作為 BOT_ACTION 請求的 NACK 內容）
+    rejectBotAction(playerId, payload) {
+        recordRequestError(this.players.find(player => player.playerId === playerId)?.ws, {
+            code: payload.code,
+            message: payload.message,
+            field: payload.field
+        });
+        this.sendToPlayer(playerId, {
+            type: 'BOT_ACTION_REJECTED',
+            payload
+        });
+    }
+
+    // 處理 Bot 回應：請求編號需相符，不合法的行動改由伺服器代打
+    handleBotAction(requestId, action) {
+        const request = this.botRequest;
+        if (!request || request.requestId !== requestId) {
+            this.rejectBotAction(this.botId, { requestId, code: 'ERR_STALE_REQUEST', message: '請求已過期或不存在' });
+            return;
+        }
+
+        this.clearBotRequest();
+
+        // 先以與 GAME_ACTION 相同的格式驗證（只接受玩家行動類型），再交給規則引擎確認是否合法
+        const candidate = { type: action?.type, playerId: request.playerId, payload: action?.payload ?? {} };
+        const schemaError = validateGameAction(action);
+        const engineError = schemaError ? null : reduceGame(this.gameState, candidate).error;
+        // 規則引擎的欄位以行動為起點，轉成 BOT_ACTION payload 內的路徑（格式錯誤的欄位已包含 action）
+        const error = schemaError
+            ?? (engineError ? { ...engineError, field: engineError.field ? `action.${engineError.field}` : null } : null);
+        if (error) {
+            console.warn(`⚠️ Bot ${request.playerId} 於房間 ${this.roomId} 送出不合法行動：${error.message}`);
+            this.rejectBotAction(request.playerId, {
+                requestId,
+                code: 'ERR_ILLEGAL_ACTION',
+                message: error.message,
+                reason: error.code,
+                field: error.field
+            });
+            this.playTimeoutAction(request.playerId);
+            return;
+        }
+
+        this.handleAction(request.playerId, { type: candidate.type, payload: candidate.payload });
+    }
+
+    // Bot 未在期限內回應：改由伺服器代打
+    handleBotTimeout(requestId) {
+        if (!this.botRequest || this.botRequest.requestId !== requestId) {
+            return;
+        }
+
+        const { playerId } = this.botRequest;
+        this.botRequest = null;
+        console.log(`⏰ Bot ${playerId} 於房間 ${this.roomId} 未在 ${BOT_DECISION_TIMEOUT_MS}ms 內回應`);
+        this.playTimeoutAction(playerId);
+    }
+
     getPlayerMetaMap() {
         return this.players.reduce((map, player) => {
             map[player.playerId] = {
@@ -213,6 +743,248 @@ class GameRoom {
             clearTimeout(this.npcResponseTimer);
             this.npcResponseTimer = null;
         }
+        if (this.npcDecisionController) {
+            this.npcDecisionController.abort();
+            this.npcDecisionController = null;
+        }
+    }
+
+    // 是否正在對局中（斷線時需保留座位）
+    isGameInProgress() {
+        return Boolean(this.gameState) && this.gameState.phase !== 'waiting' && this.gameState.phase !== 'ended';
+    }
+
+    // 判斷連線是否仍是該玩家目前使用的連線（避免舊連線關閉時誤判）
+    isPlayerSocket(playerId, ws) {
+        return this.players.some(player => player.playerId === playerId && player.ws === ws);
+    }
+
+    // 判斷玩家是否處於斷線寬限期
+    isPlayerDisconnected(playerId) {
+        return this.disconnectedPlayers.has(playerId);
+    }
+
+    // 是否因有玩家斷線而暫停流程（託管中的座位由 NPC 代打，不暫停）
+    isPaused() {
+        return Array.from(this.disconnectedPlayers.values()).some(entry => !entry.autopilot);
+    }
+
+    // 判斷座位是否由 NPC 託管中
+    isSeatOnAutopilot(playerId) {
+        return Boolean(this.disconnectedPlayers.get(playerId)?.autopilot);
+    }
+
+    // 是否還有其他在線的真人玩家（沒有真人對手時不託管，避免 NPC 自己下完整場）
+    hasConnectedHumanOpponent(playerId) {
+        return this.players.some(player => player.playerId !== playerId
+            && !this.isNpcPlayerId(player.playerId)
+            && !this.isBotPlayerId(player.playerId)
+            && !this.disconnectedPlayers.has(player.playerId));
+    }
+
+    // 暫停 NPC、回合計時與回合結算計時器（恢復時由 scheduleNextStep 重新安排）
+    pauseTimers() {
+        this.clearNpcTimers();
+        this.clearBotRequest();
+        this.stopTurnClock();
+        if (this.roundResolveTimer) {
+            clearTimeout(this.roundResolveTimer);
+            this.roundResolveTimer = null;
+        }
+    }
+
+    // 所有玩家回到房間後恢復流程
+    resumeTimers() {
+        if (this.isPaused()) {
+            return;
+        }
+        this.scheduleNextStep();
+    }
+
+    // 玩家斷線：保留座位並開始寬限倒數
+    markPlayerDisconnected(playerId) {
+        if (this.disconnectedPlayers.has(playerId)) {
+            return;
+        }
+
+        const deadline = Date.now() + RECONNECT_GRACE_MS;
+        const graceTimer = setTimeout(() => {
+            this.expireDisconnectedPlayer(playerId);
+        }, RECONNECT_GRACE_MS);
+        const countdownTimer = setInterval(() => {
+            this.broadcast({
+                type: 'PLAYER_DISCONNECT_COUNTDOWN',
+                payload: {
+                    playerId,
+                    remainingMs: Math.max(0, deadline - Date.now())
+                }
+            }, playerId);
+        }, DISCONNECT_COUNTDOWN_INTERVAL_MS);
+
+        const autopilotDelayMs = this.seatAutopilot && this.isGameInProgress() && !this.isBotPlayerId(playerId)
+            ? this.seatAutopilot.delayMs
+            : null;
+        const autopilotTimer = autopilotDelayMs !== null
+            ? setTimeout(() => {
+                this.engageSeatAutopilot(playerId);
+            }, autopilotDelayMs)
+            : null;
+
+        this.disconnectedPlayers.set(playerId, { deadline, graceTimer, countdownTimer, autopilotTimer, autopilot: false });
+        this.pauseTimers();
+
+        console.log(`📴 玩家 ${playerId} 於房間 ${this.roomId} 斷線，保留座位 ${RECONNECT_GRACE_MS}ms`);
+
+        this.broadcast({
+            type: 'PLAYER_DISCONNECTED',
+            payload: {
+                playerId,
+                graceMs: RECONNECT_GRACE_MS,
+                deadline,
+                autopilotAt: autopilotDelayMs !== null ? Date.now() + autopilotDelayMs : null
+            }
+        }, playerId);
+    }
+
+    // 斷線超過託管延遲：改由 NPC 以原玩家 ID 代打，不再倒數棄權（玩家以 JOIN_ROOM 回來時歸還座位）
+    engageSeatAutopilot(playerId) {
+        const entry = this.disconnectedPlayers.get(playerId);
+        if (!entry || entry.autopilot) {
+            return;
+        }
+
+        // 只在出牌階段託管；順序決定與準備確認期間沿用一般的寬限倒數
+        const phase = this.gameState?.phase;
+        if ((phase !== 'playing' && phase !== 'resolution') || !this.hasConnectedHumanOpponent(playerId)) {
+            return;
+        }
+
+        clearTimeout(entry.graceTimer);
+        clearInterval(entry.countdownTimer);
+        entry.autopilot = true;
+        this.appendActionLog('AUTOPILOT', { playerId, active: true });
+
+        console.log(`🤖 玩家 ${playerId} 的座位改由 NPC 託管（房間 ${this.roomId}，難度：${SEAT_AUTOPILOT_DIFFICULTY}）`);
+
+        this.broadcast({
+            type: 'SEAT_AUTOPILOT',
+            payload: { playerId, active: true, difficulty: SEAT_AUTOPILOT_DIFFICULTY }
+        }, playerId);
+        this.sendToSpectators({
+            type: 'SEAT_AUTOPILOT',
+            payload: { playerId, active: true, difficulty: SEAT_AUTOPILOT_DIFFICULTY }
+        });
+        this.resumeTimers();
+    }
+
+    // 對局結束後，託管中的座位恢復一般斷線倒數（逾時未回來即移出房間）
+    releaseAutopilotSeats() {
+        Array.from(this.disconnectedPlayers.entries())
+            .filter(([, entry]) => entry.autopilot)
+            .forEach(([playerId]) => {
+                this.clearDisconnectTimers(playerId);
+                this.appendActionLog('AUTOPILOT', { playerId, active: false });
+                this.markPlayerDisconnected(playerId);
+            });
+    }
+
+    // 清除斷線寬限計時器
+    clearDisconnectTimers(playerId) {
+        const entry = this.disconnectedPlayers.get(playerId);
+        if (!entry) {
+            return;
+        }
+        clearTimeout(entry.graceTimer);
+        clearInterval(entry.countdownTimer);
+        clearTimeout(entry.autopilotTimer);
+        this.disconnectedPlayers.delete(playerId);
+    }
+
+    // 玩家在寬限期內重新連線：通知對手並送出完整狀態
+    markPlayerReconnected(playerId) {
+        if (!this.disconnectedPlayers.has(playerId)) {
+            return;
+        }
+
+        const wasOnAutopilot = this.isSeatOnAutopilot(playerId);
+        this.clearDisconnectTimers(playerId);
+        console.log(`📶 玩家 ${playerId} 已重新連線房間 ${this.roomId}`);
+
+        if (wasOnAutopilot) {
+            // 取消 NPC 進行中的決策，改回由玩家自己操作
+            this.pauseTimers();
+            this.appendActionLog('AUTOPILOT', { playerId, active: false });
+            console.log(`🙋 玩家 ${playerId} 取回座位（房間 ${this.roomId}）`);
+        }
+
+        this.broadcast({
+            type: 'PLAYER_RECONNECTED',
+            payload: { playerId }
+        });
+        if (wasOnAutopilot) {
+            this.broadcast({
+                type: 'SEAT_AUTOPILOT',
+                payload: { playerId, active: false }
+            });
+            this.sendToSpectators({
+                type: 'SEAT_AUTOPILOT',
+                payload: { playerId, active: false }
+            });
+        }
+
+        this.sendFullResync(playerId);
+        this.resumeTimers();
+    }
+
+    // 傳送完整狀態給指定玩家（重新連線後同步，清除舊連線的差異基準）
+    sendFullResync(playerId) {
+        this.resetSyncStream(playerId);
+        const payload = this.buildClientGameState(playerId);
+        if (!payload) {
+            return;
+        }
+
+        this.sendGameStateTo(playerId, 'GAME_STATE_UPDATED', payload);
+    }
+
+    // 寬限期結束仍未回來：判定棄權並移出房間
+    expireDisconnectedPlayer(playerId) {
+        if (!this.disconnectedPlayers.has(playerId)) {
+            return;
+        }
+
+        this.clearDisconnectTimers(playerId);
+        console.log(`⌛ 玩家 ${playerId} 斷線逾時，房間 ${this.roomId} 判定棄權`);
+
+        if (this.isGameInProgress()) {
+            this.forfeitGame(playerId, 'disconnect');
+        }
+
+        removePlayerFromRoom(this, playerId);
+        this.resumeTimers();
+    }
+
+    // 判定玩家棄權，由對手獲勝
+    forfeitGame(playerId, reason) {
+        const winner = this.getOpponentId(playerId);
+        this.pauseTimers();
+
+        this.gameState.phase = 'ended';
+        this.gameState.winner = winner;
+        this.gameState.pendingInteraction = null;
+        this.gameState.forfeit = { playerId, reason };
+
+        this.appendActionLog('FORFEIT', { playerId, reason });
+        this.appendActionLog('GAME_ENDED', { winner });
+        this.archiveReplay();
+
+        this.broadcastGameState();
+        this.broadcast({
+            type: 'GAME_ENDED',
+            payload: { winner, forfeitedBy: playerId, reason }
+        });
+        this.publishGameAnalysis();
+        this.releaseAutopilotSeats();
     }
 
     // 送出再來一場請求
@@ -223,8 +995,11 @@ class GameRoom {
 
         this.rematchConfirmations.add(playerId);
 
-        if (this.npcId) {
-            this.rematchConfirmations.add(this.npcId);
+        this.npcSeats.forEach((seat, npcId) => {
+            this.rematchConfirmations.add(npcId);
+        });
+        if (this.botId) {
+            this.rematchConfirmations.add(this.botId);
         }
 
         if (this.rematchConfirmations.size >= 2) {
@@ -256,11 +1031,17 @@ class GameRoom {
             }
         });
 
-        if (this.npcId) {
-            const delay = NPC_THINKING_DELAY[this.npcDifficulty] ?? NPC_THINKING_DELAY.easy;
+        this.npcSeats.forEach((seat, npcId) => {
+            setTimeout(() => {
+                this.confirmReady(npcId);
+            }, this.getNpcThinkingDelay(npcId));
+        });
+
+        // 外部 Bot 只負責對局決策，準備確認由伺服器代為完成
+        if (this.botId) {
             setTimeout(() => {
-                this.confirmReady(this.npcId);
-            }, delay);
+                this.confirmReady(this.botId);
+            }, 0);
         }
     }
 
@@ -295,6 +1076,8 @@ class GameRoom {
         this.clearNpcTimers();
         this.rematchConfirmations.clear();
         this.lastRoundStarterId = null;
+        // 每場對局使用新的種子，單場可獨立重現（不由上一場的序列衍生，公開上一場的回放也無法推算這一場的牌序）
+        this.setSeed(createSeed());
         this.baseGeishas = createRandomizedGeishas(this.geishaSet ?? 'default');
         this.orderDecisionState = {
             isDeciding: false,
@@ -305,65 +1088,367 @@ class GameRoom {
         this.startOrderDecision();
     }
 
-    // 將訊息傳送給指定玩家（避免廣播時洩漏資訊）
+    // 將訊息傳送給指定玩家（避免廣播時洩漏資訊；回傳送出的序號，未送出時回傳 null）
     sendToPlayer(playerId, message) {
         const target = this.players.find(player => player.playerId === playerId);
         if (!target) {
             console.warn(`⚠️ 找不到玩家 ${playerId}，無法傳送訊息`);
-            return;
+            return null;
         }
 
         if (target.ws.readyState !== 1) {
             console.warn(`⚠️ 玩家 ${playerId} 連線狀態異常: ${target.ws.readyState}`);
-            return;
+            return null;
         }
 
         try {
-            target.ws.send(JSON.stringify(message));
+            return this.deliverMessage(playerId, target.ws, message);
         } catch (error) {
             console.error(`❌ 傳送訊息給玩家 ${playerId} 失敗:`, error);
+            return null;
+        }
+    }
+
+    // 寫入連線並加上序號：傳送緩衝超過上限時中斷處理過慢的連線，超過高水位時略過週期性訊息（回傳送出的序號，未送出時回傳 null）
+    deliverMessage(key, ws, message) {
+        const pressure = getSendPressure(ws);
+        if (pressure === 'overflow') {
+            console.warn(`🐢 房間 ${this.roomId} 的接收者 ${key} 傳送緩衝超過上限，中斷連線`);
+            terminateConnection(ws.connection ?? ws, 'slowConsumer');
+            return null;
+        }
+        if (pressure === 'congested' && SUPERSEDED_MESSAGE_TYPES.has(message.type)) {
+            recordDroppedMessage();
+            return null;
         }
+
+        const stamped = this.stampMessage(key, message);
+        ws.send(JSON.stringify(stamped));
+        return stamped.seq;
     }
 
-    // 傳送錯誤訊息給指定玩家（統一錯誤回傳格式）
-    sendError(playerId, message) {
+    // 傳送錯誤訊息給指定玩家（統一錯誤回傳格式；field 為出錯的 payload 欄位）
+    sendError(playerId, message, code = null, field = null) {
+        const payload = buildErrorPayload(message, code, field);
+        recordRequestError(this.players.find(player => player.playerId === playerId)?.ws, payload);
         this.sendToPlayer(playerId, {
             type: 'ERROR',
-            payload: { message }
+            payload
         });
     }
 
-    // 將遊戲狀態整理成玩家可見版本（隱藏對手手牌與密約資訊）
-    buildClientGameState(viewerId) {
-        if (!this.gameState) {
-            return null;
+    // 傳送訊息給所有觀戰者（僅限公開或已遮蔽的資訊）
+    sendToSpectators(message) {
+        this.spectators.forEach(spectator => this.sendToSpectator(spectator.spectatorId, message));
+    }
+
+    // 傳送訊息給指定觀戰者（回傳送出的序號，未送出時回傳 null）
+    sendToSpectator(spectatorId, message) {
+        const spectator = this.spectators.find(candidate => candidate.spectatorId === spectatorId);
+        if (!spectator || spectator.ws.readyState !== 1) {
+            return null;
         }
 
-        if (!this.gameState.geishaSet) {
-            this.gameState.geishaSet = this.geishaSet ?? 'default';
+        try {
+            return this.deliverMessage(getSpectatorSyncKey(spectatorId), spectator.ws, message);
+        } catch (error) {
+            console.error(`❌ 傳送訊息給觀戰者 ${spectatorId} 失敗:`, error);
+            return null;
+        }
+    }
+
+    // 依同步串流鍵值傳送訊息（觀戰者鍵值帶有前綴，其餘為玩家 ID）
+    sendToRecipient(key, message) {
+        return key.startsWith(SPECTATOR_SYNC_PREFIX)
+            ? this.sendToSpectator(key.slice(SPECTATOR_SYNC_PREFIX.length), message)
+            : this.sendToPlayer(key, message);
+    }
+
+    // 取得接收者目前的連線
+    getRecipientSocket(key) {
+        const recipient = key.startsWith(SPECTATOR_SYNC_PREFIX)
+            ? this.spectators.find(spectator => getSpectatorSyncKey(spectator.spectatorId) === key)
+            : this.players.find(player => player.playerId === key);
+        return recipient?.ws ?? null;
+    }
+
+    // 依接收者視角建立遊戲狀態
+    buildRecipientGameState(key) {
+        return key.startsWith(SPECTATOR_SYNC_PREFIX)
+            ? this.buildSpectatorGameState()
+            : this.buildClientGameState(key);
+    }
+
+    // 取得接收者的同步串流（序號在房間內各自遞增，換連線時延續）
+    getSyncStream(key) {
+        let stream = this.syncStreams.get(key);
+        if (!stream) {
+            stream = { seq: 0, ackedSeq: null, ackedState: null, sentStates: new Map(), lastSentRaw: null, flushTimer: null };
+            this.syncStreams.set(key, stream);
+        }
+        return stream;
+    }
+
+    // 為訊息加上接收者的下一個序號
+    stampMessage(key, message) {
+        const stream = this.getSyncStream(key);
+        stream.seq += 1;
+        return { ...message, seq: stream.seq };
+    }
+
+    // 清除差異基準（換連線或要求重新同步時，之後改送完整狀態直到客戶端再次確認）
+    resetSyncStream(key) {
+        const stream = this.syncStreams.get(key);
+        if (!stream) {
+            return;
+        }
+        stream.ackedSeq = null;
+        stream.ackedState = null;
+        stream.sentStates.clear();
+        stream.lastSentRaw = null;
+    }
+
+    // 傳送遊戲狀態事件：客戶端確認過狀態後改送與該狀態的差異（GAME_STATE_PATCH），差異不比完整狀態小時仍送完整狀態
+    // 狀態與上次送出的完全相同時略過 GAME_STATE_UPDATED，其他事件（例如 GAME_STARTED）照常送出
+    sendGameStateTo(key, eventType, state) {
+        const ws = this.getRecipientSocket(key);
+        if (eventType === 'GAME_STATE_UPDATED' && ws && getSendPressure(ws) === 'congested') {
+            this.deferGameState(key);
+            return;
+        }
+
+        const raw = JSON.stringify(state);
+        const stream = this.getSyncStream(key);
+        if (stream.ackedState && eventType === 'GAME_STATE_UPDATED' && raw === stream.lastSentRaw) {
+            return;
         }
 
-        const sanitizedPlayers = this.gameState.players.map((player) => {
-            if (player.id === viewerId) {
-                return player;
+        const snapshot = JSON.parse(raw);
+        let message = { type: eventType, payload: snapshot };
+        if (stream.ackedState) {
+            const patch = createJsonPatch(stream.ackedState, snapshot);
+            if (JSON.stringify(patch).length < raw.length) {
+                message = {
+                    type: 'GAME_STATE_PATCH',
+                    payload: { event: eventType, baseSeq: stream.ackedSeq, patch }
+                };
             }
+        }
 
-            return {
-                ...player,
-                hand: createMaskedCards(player.hand.length, `${player.id}-hand`),
-                secretCards: [],
-                discardedCards: createMaskedCards(player.discardedCards.length, `${player.id}-discard`)
-            };
+        const seq = this.sendToRecipient(key, message);
+        if (seq !== null) {
+            this.recordSentState(key, seq, snapshot, raw);
+            clearTimeout(stream.flushTimer);
+            stream.flushTimer = null;
+        }
+    }
+
+    // 接收者傳送緩衝過高：狀態更新先不送，緩衝消化後只送當時的最新狀態（期間的多次更新合併為一次）
+    deferGameState(key) {
+        const stream = this.getSyncStream(key);
+        recordCoalescedState();
+        if (stream.flushTimer) {
+            return;
+        }
+
+        stream.flushTimer = setTimeout(() => {
+            stream.flushTimer = null;
+            const ws = this.getRecipientSocket(key);
+            if (this.syncStreams.get(key) !== stream || ws?.readyState !== 1) {
+                return;
+            }
+            const state = this.buildRecipientGameState(key);
+            if (state) {
+                this.sendGameStateTo(key, 'GAME_STATE_UPDATED', state);
+            }
+        }, SEND_BUFFER_RETRY_MS);
+    }
+
+    // 記錄已送出的狀態（只保留最近 SYNC_STATE_HISTORY 筆）
+    recordSentState(key, seq, snapshot, raw) {
+        const stream = this.getSyncStream(key);
+        stream.sentStates.set(seq, snapshot);
+        stream.lastSentRaw = raw;
+        if (stream.sentStates.size > SYNC_STATE_HISTORY) {
+            stream.sentStates.delete(stream.sentStates.keys().next().value);
+        }
+    }
+
+    // 取得玩家的請求紀錄
+    getRequestLog(playerId) {
+        let requestLog = this.requestLogs.get(playerId);
+        if (!requestLog) {
+            requestLog = createRequestLog();
+            this.requestLogs.set(playerId, requestLog);
+        }
+        return requestLog;
+    }
+
+    // 客戶端確認已套用某序號的狀態，之後以該狀態為差異基準（過舊或不是狀態訊息的序號直接忽略）
+    acknowledgeState(key, seq) {
+        const stream = this.syncStreams.get(key);
+        const state = stream?.sentStates.get(seq);
+        if (!state) {
+            return false;
+        }
+
+        stream.ackedSeq = seq;
+        stream.ackedState = state;
+        [...stream.sentStates.keys()]
+            .filter(sentSeq => sentSeq < seq)
+            .forEach(sentSeq => stream.sentStates.delete(sentSeq));
+        return true;
+    }
+
+    // 客戶端偵測到序號缺漏時要求完整快照（gameState 為 null 表示對局尚未開始）
+    sendStateSnapshot(key, lastSeq = null) {
+        this.resetSyncStream(key);
+        const state = this.buildRecipientGameState(key);
+        const raw = JSON.stringify(state);
+        const snapshot = JSON.parse(raw);
+        const seq = this.sendToRecipient(key, {
+            type: 'STATE_SNAPSHOT',
+            payload: { lastSeq, gameState: snapshot }
+        });
+        console.log(`🔁 房間 ${this.roomId} 重新同步 ${key}（客戶端最後序號：${lastSeq ?? '無'}）`);
+        if (seq !== null && snapshot) {
+            this.recordSentState(key, seq, snapshot, raw);
+        }
+    }
+
+    // 加入觀戰者（數量不限，不影響玩家座位）
+    addSpectator(spectatorId, ws, meta = {}) {
+        const normalizedMeta = normalizePlayerMeta(spectatorId, meta);
+        const existing = this.spectators.find(spectator => spectator.spectatorId === spectatorId);
+        if (existing) {
+            existing.ws = ws;
+            existing.name = normalizedMeta.name;
+            this.resetSyncStream(getSpectatorSyncKey(spectatorId));
+        } else {
+            this.spectators.push({ spectatorId, ws, name: normalizedMeta.name });
+        }
+        clearTimeout(this.unwatchedTimer);
+        this.unwatchedTimer = null;
+        console.log(`👀 觀戰者 ${spectatorId} 進入房間 ${this.roomId}，目前觀戰人數：${this.spectators.length}`);
+        this.broadcastSpectatorCount();
+    }
+
+    // 移除觀戰者
+    removeSpectator(spectatorId) {
+        const before = this.spectators.length;
+        this.spectators = this.spectators.filter(spectator => spectator.spectatorId !== spectatorId);
+        if (this.spectators.length !== before) {
+            this.syncStreams.delete(getSpectatorSyncKey(spectatorId));
+            console.log(`👋 觀戰者 ${spectatorId} 離開房間 ${this.roomId}，目前觀戰人數：${this.spectators.length}`);
+            this.broadcastSpectatorCount();
+        }
+    }
+
+    // 通知房間內所有人目前觀戰人數
+    broadcastSpectatorCount() {
+        this.broadcast({
+            type: 'SPECTATORS_UPDATED',
+            payload: { count: this.spectators.length }
         });
+    }
+
+    // 觀戰者是否看得到雙方的隱藏卡片（表演賽沒有真人玩家，公開雙方手牌、密約與棄牌方便觀察 NPC 決策）
+    // 狀態、發牌動畫、抽牌與行動訊息一律依此判斷；牌堆與移除卡無論如何都不公開
+    canSpectatorsSeeHands() {
+        return this.isExhibition;
+    }
+
+    // 觀戰者視角：一般房間隱藏雙方手牌、密約與棄牌，表演賽公開雙方座位
+    buildSpectatorGameState() {
+        const view = this.buildClientGameState(null);
+        if (!view || !this.canSpectatorsSeeHands()) {
+            return view;
+        }
+        return { ...view, players: this.gameState.players };
+    }
+
+    // 將遊戲狀態整理成玩家可見版本（隱藏對手手牌與密約資訊；viewerId 為 null 時全部隱藏）
+    buildClientGameState(viewerId) {
+        if (!this.gameState) {
+            return null;
+        }
+
+        if (!this.gameState.geishaSet) {
+            this.gameState.geishaSet = this.geishaSet ?? 'default';
+        }
 
         return {
-            ...this.gameState,
-            players: sanitizedPlayers,
-            drawPile: [],
-            removedCard: null
+            ...buildPlayerView(this.gameState, viewerId),
+            timeControl: this.timeControl,
+            hints: {
+                ...this.hintSettings,
+                remaining: viewerId ? this.getHintsRemaining(viewerId) : null
+            },
+            adaptiveNpc: this.getAdaptiveLevels()
         };
     }
 
+    // 取得玩家本場剩餘提示次數
+    getHintsRemaining(playerId) {
+        if (!this.hintSettings.enabled) {
+            return 0;
+        }
+        return Math.max(0, this.hintSettings.limit - (this.hintsUsed.get(playerId) ?? 0));
+    }
+
+    // 玩家請求提示：只在自己需要決策時回覆，並私下傳送建議與理由
+    handleHintRequest(playerId) {
+        if (!this.validatePlayerInRoom(playerId)) {
+            return;
+        }
+
+        if (!this.hintSettings.enabled) {
+            this.sendError(playerId, '此房間已關閉提示功能', 'ERR_HINTS_DISABLED');
+            return;
+        }
+
+        if (!this.gameState || this.getActingPlayerId() !== playerId) {
+            this.sendError(playerId, '只能在自己的回合或需要回應時請求提示', 'ERR_NOT_YOUR_TURN');
+            return;
+        }
+
+        // 同一個決策重複請求時重送上次的建議，不重複扣次數
+        if (this.lastHint?.playerId === playerId && this.lastHint.state === this.gameState) {
+            this.sendToPlayer(playerId, {
+                type: 'HINT',
+                payload: { ...this.lastHint.hint, hintsRemaining: this.getHintsRemaining(playerId) }
+            });
+            return;
+        }
+
+        const remaining = this.getHintsRemaining(playerId);
+        if (remaining <= 0) {
+            this.sendError(playerId, '本場提示次數已用完', 'ERR_HINT_LIMIT_REACHED');
+            return;
+        }
+
+        const hint = buildActionHint(this.gameState, playerId);
+        if (!hint) {
+            this.sendError(playerId, '目前沒有可建議的行動', 'ERR_NO_HINT_AVAILABLE');
+            return;
+        }
+
+        this.hintsUsed.set(playerId, (this.hintsUsed.get(playerId) ?? 0) + 1);
+        this.lastHint = { playerId, state: this.gameState, hint };
+        this.appendActionLog('HINT', { playerId, action: hint.action });
+        this.persistRoomSnapshot();
+
+        console.log(`💡 玩家 ${playerId} 於房間 ${this.roomId} 使用提示：${hint.action.type}`);
+
+        this.sendToPlayer(playerId, {
+            type: 'HINT',
+            payload: {
+                ...hint,
+                hintsRemaining: remaining - 1
+            }
+        });
+    }
+
     // 依玩家視角建立發牌動畫序列（只顯示自己的牌）
     buildDealSequenceForPlayer(playerId) {
         return this.dealSequence.map((step, index) => {
@@ -373,24 +1458,42 @@ class GameRoom {
 
             return {
                 ...step,
-                card: createMaskedCard(`${playerId}-deal`, index)
+                card: createMaskedCard(`${playerId ?? 'spectator'}-deal`, index)
             };
         });
     }
 
-    // 加入玩家到房間，並回傳加入結果
-    addPlayer(playerId, ws, meta = {}) {
+    // 判斷 playerId 是否為房間已有的座位（含由快照還原、尚未重新連線的座位）
+    isKnownSeat(playerId) {
+        return this.players.some(player => player.playerId === playerId)
+            || Boolean(this.gameState?.players?.some(player => player.id === playerId));
+    }
+
+    // 加入玩家到房間，並回傳加入結果（既有座位需附上有效的座位憑證，NPC 與 Bot 的座位一律拒絕）
+    addPlayer(playerId, ws, meta = {}, seatToken = null) {
         // 基本檢查：避免空白 playerId
         if (!playerId) {
             console.warn('⚠️ 嘗試加入房間但 playerId 為空');
             return 'invalid';
         }
 
+        // NPC 與外部 Bot 的座位不能以 JOIN_ROOM 接手（NPC 沒有真實連線，Bot 只能經由 BOT_AUTH 重新入座）
+        if (this.isNpcPlayerId(playerId) || this.isBotPlayerId(playerId)) {
+            console.warn(`⚠️ 拒絕以 NPC 或 Bot 的座位 ${playerId} 加入房間 ${this.roomId}`);
+            return 'reserved';
+        }
+
+        if (this.isKnownSeat(playerId) && !verifySeatToken(this.roomId, this.seatNonce, playerId, seatToken)) {
+            console.warn(`⚠️ 玩家 ${playerId} 嘗試接手房間 ${this.roomId} 的座位，但座位憑證無效`);
+            return 'unauthorized';
+        }
+
         const normalizedMeta = normalizePlayerMeta(playerId, meta);
         const existingPlayer = this.players.find(player => player.playerId === playerId);
 
         if (existingPlayer) {
             existingPlayer.ws = ws;
+            this.resetSyncStream(playerId);
             if (normalizedMeta.name) {
                 existingPlayer.name = normalizedMeta.name;
             }
@@ -424,6 +1527,12 @@ class GameRoom {
     // 從房間移除玩家
     removePlayer(playerId) {
         this.players = this.players.filter(p => p.playerId !== playerId);
+        this.syncStreams.delete(playerId);
+        this.requestLogs.delete(playerId);
+        if (this.isBotPlayerId(playerId)) {
+            this.clearBotRequest();
+            this.botId = null;
+        }
         console.log(`❌ 玩家 ${playerId} 離開房間 ${this.roomId}，當前玩家數：${this.players.length}`);
         this.persistRoomSnapshot();
     }
@@ -437,9 +1546,10 @@ class GameRoom {
             if (player.playerId !== excludePlayerId) {
                 if (player.ws.readyState === 1) {
                     try {
-                        player.ws.send(JSON.stringify(message));
-                        console.log(`  ✅ 成功發送給玩家 ${player.playerId} (${index + 1}/${this.players.length})`);
-                        successCount++;
+                        if (this.deliverMessage(player.playerId, player.ws, message) !== null) {
+                            console.log(`  ✅ 成功發送給玩家 ${player.playerId} (${index + 1}/${this.players.length})`);
+                            successCount++;
+                        }
                     } catch (error) {
                         console.error(`  ❌ 發送失敗給玩家 ${player.playerId}:`, error);
                     }
@@ -450,6 +1560,9 @@ class GameRoom {
         });
 
         console.log(`📢 廣播完成，成功發送給 ${successCount} 個玩家`);
+
+        // 廣播內容皆為公開資訊，同步轉送給觀戰者（不計入玩家數）
+        this.sendToSpectators(message);
     }
 
     // 檢查房間是否已滿員
@@ -470,65 +1583,35 @@ class GameRoom {
             this.baseGeishas = createRandomizedGeishas(this.geishaSet ?? 'default');
         }
 
-        // 以 baseGeishas 為基礎建立本回合藝妓資料
-        const geishasClone = cloneGeishas(this.baseGeishas);
-        const { deck, removedCard } = buildDeckForGeishas(geishasClone);
-
-        const dealingDeck = [...deck];
-        const dealSequence = [];
-        const playersState = playerIds.map((id) => createPlayer(id));
-
-        // 每位玩家發 6 張手牌
-        for (let round = 0; round < 6; round += 1) {
-            playerIds.forEach((playerId, index) => {
-                const dealtCard = dealingDeck.shift();
-                if (!dealtCard) {
-                    console.error(`❌ 房間 ${this.roomId} 發牌時牌庫不足`);
-                    return;
-                }
+        // 以 baseGeishas 為基礎建立本回合藝妓資料、洗牌並發牌
+        const { state, dealSequence } = buildRoundState({
+            gameId: this.roomId,
+            hostId: this.hostId,
+            playerIds,
+            geishas: this.baseGeishas,
+            round: roundNumber ?? this.gameState?.round ?? 1,
+            openOrderDecision,
+            random: () => this.random()
+        });
 
-                playersState[index].hand.push(dealtCard);
-                dealSequence.push({
-                    order: dealSequence.length,
-                    playerId,
-                    card: dealtCard
-                });
-            });
+        // 逾時紀錄跨回合保留，新對局重新計算
+        state.timeouts = openOrderDecision ? [] : (this.gameState?.timeouts ?? []);
+        if (openOrderDecision) {
+            this.timeBanks.clear();
+            this.hintsUsed.clear();
         }
 
         this.dealSequence = dealSequence;
-
-        const resolvedRound = roundNumber ?? this.gameState?.round ?? 1;
-
-        // 組合本回合遊戲狀態
-        this.gameState = {
-            gameId: this.roomId,
-            hostId: this.hostId,
-            players: playersState,
-            geishas: geishasClone,
-            currentPlayer: 0,
-            phase: openOrderDecision ? 'deciding_order' : 'playing',
-            round: resolvedRound,
-            winner: null,
-            orderDecision: {
-                isOpen: openOrderDecision,
-                phase: openOrderDecision ? 'deciding' : 'result',
-                players: playerIds,
-                result: openOrderDecision ? undefined : {
-                    firstPlayer: playerIds[0],
-                    secondPlayer: playerIds[1],
-                    order: playerIds
-                },
-                confirmations: openOrderDecision ? [] : [...playerIds],
-                waitingFor: openOrderDecision ? playerIds : [],
-                currentPlayer: playerIds[0]
-            },
-            drawPile: dealingDeck,
-            discardPile: [],
-            removedCard,
-            pendingInteraction: null,
-            lastAction: undefined
-        };
+        this.gameState = state;
+
+        this.appendActionLog('ROUND_DEALT', {
+            round: state.round,
+            order: playerIds,
+            hands: Object.fromEntries(state.players.map(player => [player.id, player.hand])),
+            drawPile: state.drawPile,
+            removedCard: state.removedCard,
+            geishas: state.geishas.map(geisha => ({ id: geisha.id, controlledBy: geisha.controlledBy ?? null }))
+        });
 
         console.log(`🃏 房間 ${this.roomId} 已準備新回合，發牌序列長度: ${this.dealSequence.length}`);
 
@@ -540,6 +1623,14 @@ class GameRoom {
     startOrderDecision() {
         console.log(`🎲 房間 ${this.roomId} 開始隨機決定玩家順序`);
 
+        // 新的一場對局重新開始紀錄
+        this.actionLog = [];
+        this.appendActionLog('GAME_STARTED', {
+            seed: this.seed,
+            geishaSet: this.geishaSet,
+            players: this.players.map(p => p.playerId)
+        });
+
         this.prepareRoundState({ openOrderDecision: true });
         this.orderDecisionState.isDeciding = true;
         this.orderDecisionState.confirmations.clear();
@@ -567,7 +1658,7 @@ class GameRoom {
         const playerIds = this.players.map(p => p.playerId);
 
         // 隨機決定誰先手
-        const firstPlayerIndex = Math.random() < 0.5 ? 0 : 1;
+        const firstPlayerIndex = this.random() < 0.5 ? 0 : 1;
         const firstPlayer = playerIds[firstPlayerIndex];
         const secondPlayer = playerIds[1 - firstPlayerIndex];
 
@@ -578,6 +1669,7 @@ class GameRoom {
         };
 
         console.log(`🎲 房間 ${this.roomId} 順序決定結果:`, this.orderDecisionState.result);
+        this.appendActionLog('ORDER_DECIDED', { order: this.orderDecisionState.result.order });
 
         if (this.gameState) {
             const order = this.orderDecisionState.result.order;
@@ -606,11 +1698,15 @@ class GameRoom {
         }
 
         // 若有 NPC，順序決定後自動確認
-        if (this.npcId) {
-            const delay = NPC_THINKING_DELAY[this.npcDifficulty] ?? NPC_THINKING_DELAY.easy;
+        this.npcSeats.forEach((seat, npcId) => {
+            setTimeout(() => {
+                this.confirmOrder(npcId);
+            }, this.getNpcThinkingDelay(npcId));
+        });
+        if (this.botId) {
             setTimeout(() => {
-                this.confirmOrder(this.npcId);
-            }, delay);
+                this.confirmOrder(this.botId);
+            }, 0);
         }
     }
 
@@ -623,7 +1719,7 @@ class GameRoom {
 
         if (!this.orderDecisionState.result) {
             console.warn(`⚠️ 玩家 ${playerId} 嘗試確認，但順序尚未決定`);
-            this.sendError(playerId, '順序尚未決定，請稍後再確認');
+            this.sendError(playerId, '順序尚未決定，請稍後再確認', 'ERR_ORDER_NOT_DECIDED');
             return;
         }
 
@@ -685,16 +1781,7 @@ class GameRoom {
         this.broadcastGameStateEvent('GAME_STARTED');
 
         // 確認進入遊戲後再開始發牌動畫
-        if (this.dealSequence.length > 0) {
-            this.players.forEach((player) => {
-                this.sendToPlayer(player.playerId, {
-                    type: 'DEAL_ANIMATION',
-                    payload: {
-                        sequence: this.buildDealSequenceForPlayer(player.playerId)
-                    }
-                });
-            });
-        }
+        this.sendDealAnimation();
 
         this.beginTurnForCurrentPlayer();
 
@@ -706,6 +1793,29 @@ class GameRoom {
         };
     }
 
+    // 傳送發牌動畫序列（依玩家視角遮蔽；觀戰者除表演賽外全部遮蔽）
+    sendDealAnimation() {
+        if (this.dealSequence.length === 0) {
+            return;
+        }
+
+        this.players.forEach((player) => {
+            this.sendToPlayer(player.playerId, {
+                type: 'DEAL_ANIMATION',
+                payload: {
+                    sequence: this.buildDealSequenceForPlayer(player.playerId)
+                }
+            });
+        });
+
+        this.sendToSpectators({
+            type: 'DEAL_ANIMATION',
+            payload: {
+                sequence: this.canSpectatorsSeeHands() ? this.dealSequence : this.buildDealSequenceForPlayer(null)
+            }
+        });
+    }
+
     // 傳送指定事件與可見遊戲狀態（避免資料外洩）
     broadcastGameStateEvent(eventType) {
         if (!this.gameState) {
@@ -713,15 +1823,23 @@ class GameRoom {
         }
 
         this.players.forEach((player) => {
+            // NPC 座位沒有真正的連線，不需要同步狀態
+            if (this.isNpcPlayerId(player.playerId)) {
+                return;
+            }
             const payload = this.buildClientGameState(player.playerId);
             if (payload) {
-                this.sendToPlayer(player.playerId, {
-                    type: eventType,
-                    payload
-                });
+                this.sendGameStateTo(player.playerId, eventType, payload);
             }
         });
 
+        if (this.spectators.length > 0) {
+            const payload = this.buildSpectatorGameState();
+            this.spectators.forEach((spectator) => {
+                this.sendGameStateTo(getSpectatorSyncKey(spectator.spectatorId), eventType, payload);
+            });
+        }
+
         this.persistRoomSnapshot();
     }
 
@@ -732,11 +1850,7 @@ class GameRoom {
 
     // 取得玩家的遊戲狀態資料
     getPlayerState(playerId) {
-        if (!this.gameState) {
-            return null;
-        }
-
-        return this.gameState.players.find(player => player.id === playerId) ?? null;
+        return getPlayerState(this.gameState, playerId);
     }
 
     // 取得對手玩家 ID
@@ -748,690 +1862,550 @@ class GameRoom {
 
     // 取得對手玩家狀態
     getOpponentState(playerId) {
-        const opponentId = this.getOpponentId(playerId);
-        if (!opponentId) {
-            return null;
-        }
-        return this.getPlayerState(opponentId);
+        return getOpponentState(this.gameState, playerId);
     }
 
-    // 標記玩家行動指示物已使用
-    markActionTokenUsed(player, actionType) {
-        const token = player.actionTokens.find(item => item.type === actionType);
-        if (token) {
-            token.used = true;
+    // 交給規則引擎執行玩家行動，套用新狀態並送出對應事件
+    dispatchEngineAction(action) {
+        const result = reduceGame(this.gameState, action);
+        if (result.error) {
+            return result;
         }
+
+        this.appendActionLog('ACTION', {
+            playerId: action.playerId,
+            action: { type: action.type, payload: action.payload }
+        });
+        this.commitEngineResult(result);
+        return result;
     }
 
-    // 抽牌給指定玩家（從牌堆頂端）
-    drawCardForPlayer(player) {
-        if (!this.gameState || this.gameState.drawPile.length === 0) {
-            return null;
+    // 推進對局流程（開始回合、結束回合），只由伺服器內部呼叫
+    advanceEngine(step) {
+        const result = advanceGame(this.gameState, step);
+        if (!result.error) {
+            this.commitEngineResult(result);
         }
+        return result;
+    }
 
-        const card = this.gameState.drawPile.shift();
-        if (card) {
-            player.hand.push(card);
-        }
-        return card ?? null;
+    // 套用引擎結果：更新狀態、送出事件並安排下一步
+    commitEngineResult(result) {
+        this.gameState = result.state;
+        this.emitEngineEvents(result.events);
+        this.broadcastGameState();
+        this.scheduleNextStep();
+    }
+
+    // 將引擎事件轉為玩家訊息（依玩家視角遮蔽隱藏資訊）
+    emitEngineEvents(events) {
+        events.forEach((event) => {
+            switch (event.type) {
+                case 'CARD_DRAWN':
+                    this.players.forEach((player) => {
+                        const visibleCard = player.playerId === event.playerId
+                            ? event.card
+                            : createMaskedCard(`draw-${event.playerId}`, 0);
+
+                        this.sendToPlayer(player.playerId, {
+                            type: 'CARD_DRAWN',
+                            payload: {
+                                playerId: event.playerId,
+                                card: visibleCard
+                            }
+                        });
+                    });
+                    this.sendToSpectators({
+                        type: 'CARD_DRAWN',
+                        payload: {
+                            playerId: event.playerId,
+                            card: this.canSpectatorsSeeHands() ? event.card : createMaskedCard(`draw-${event.playerId}`, 0)
+                        }
+                    });
+                    break;
+                case 'ACTION_EXECUTED':
+                    this.players.forEach((recipient) => {
+                        const shouldReveal = recipient.playerId === event.playerId;
+                        this.sendToPlayer(recipient.playerId, {
+                            type: 'ACTION_EXECUTED',
+                            payload: {
+                                playerId: event.playerId,
+                                action: event.action,
+                                cardIds: shouldReveal ? event.cardIds : []
+                            }
+                        });
+                    });
+                    this.sendToSpectators({
+                        type: 'ACTION_EXECUTED',
+                        payload: {
+                            playerId: event.playerId,
+                            action: event.action,
+                            cardIds: this.canSpectatorsSeeHands() ? event.cardIds : []
+                        }
+                    });
+                    break;
+                case 'PENDING_INTERACTION':
+                    this.broadcast({
+                        type: 'PENDING_INTERACTION',
+                        payload: event.interaction
+                    });
+                    break;
+                case 'INTERACTION_RESOLVED': {
+                    const { type, ...payload } = event;
+                    this.broadcast({ type, payload });
+                    break;
+                }
+                case 'ROUND_COMPLETE':
+                    console.log(`🧮 房間 ${this.roomId} 所有玩家行動結束，進入結算階段`);
+                    this.appendActionLog('ROUND_RESOLVED', {
+                        round: event.round,
+                        geishas: this.gameState.geishas.map(geisha => ({ id: geisha.id, controlledBy: geisha.controlledBy ?? null })),
+                        scores: Object.fromEntries(this.gameState.players.map(player => [player.id, { ...player.score }])),
+                        playedCards: Object.fromEntries(this.gameState.players.map(player => [player.id, player.playedCards]))
+                    });
+                    this.adjustAdaptiveSeats('round');
+                    this.broadcast({
+                        type: 'ROUND_COMPLETE',
+                        payload: { round: event.round }
+                    });
+                    break;
+                case 'GAME_ENDED':
+                    this.appendActionLog('GAME_ENDED', { winner: event.winner });
+                    this.adjustAdaptiveSeats('game');
+                    this.archiveReplay();
+                    // 先同步結算後狀態，讓前端顯示回合結算結果
+                    this.broadcastGameState();
+                    this.broadcast({
+                        type: 'GAME_ENDED',
+                        payload: { winner: event.winner }
+                    });
+                    this.publishGameAnalysis();
+                    this.releaseAutopilotSeats();
+                    break;
+                default:
+                    break;
+            }
+        });
     }
 
-    // 開始當前玩家回合（抽牌、重置互動狀態）
-    beginTurnForCurrentPlayer() {
-        if (!this.gameState) {
+    // 依引擎結果安排後續流程（NPC 行動、NPC 回應、下一輪）
+    scheduleNextStep() {
+        if (!this.gameState || this.isPaused()) {
             return;
         }
 
-        const currentPlayer = this.gameState.players[this.gameState.currentPlayer];
+        this.startTurnClock();
 
-        if (!currentPlayer) {
-            console.warn(`⚠️ 房間 ${this.roomId} 找不到當前玩家資料`);
+        if (this.gameState.phase === 'resolution') {
+            // 準備下一輪（保留好感指示物）
+            if (this.roundResolveTimer) {
+                clearTimeout(this.roundResolveTimer);
+            }
+
+            this.roundResolveTimer = setTimeout(() => {
+                this.roundResolveTimer = null;
+                this.startNextRound();
+            }, 2500);
             return;
         }
 
-        if (currentPlayer.actionTokens.every(token => token.used)) {
-            console.log(`🔄 玩家 ${currentPlayer.id} 已無可用行動，跳到下一位`);
-            this.endTurn();
+        if (this.gameState.phase !== 'playing') {
             return;
         }
 
-        // 抽牌並依玩家視角廣播
-        const drawnCard = this.drawCardForPlayer(currentPlayer);
-        if (drawnCard) {
-            this.players.forEach((player) => {
-                const visibleCard = player.playerId === currentPlayer.id
-                    ? drawnCard
-                    : createMaskedCard(`draw-${currentPlayer.id}`, 0);
+        this.requestBotDecision();
 
-                this.sendToPlayer(player.playerId, {
-                    type: 'CARD_DRAWN',
-                    payload: {
-                        playerId: currentPlayer.id,
-                        card: visibleCard
-                    }
-                });
-            });
+        if (this.gameState.pendingInteraction) {
+            this.scheduleNpcResponse();
+            return;
         }
 
-        this.gameState.phase = 'playing';
-        this.gameState.pendingInteraction = null;
-        this.gameState.lastAction = undefined;
-
-        this.broadcastGameState();
+        this.scheduleNpcTurn();
+    }
 
-        // 若輪到 NPC，安排自動行動
-        if (this.isNpcPlayerId(currentPlayer.id)) {
-            this.scheduleNpcTurn();
-        }
+    // 取得目前需要做決定的玩家（互動等待中為目標玩家，否則為當前玩家）
+    getActingPlayerId() {
+        return this.gameState ? getActingPlayerId(this.gameState) : null;
     }
 
-    // 安排 NPC 行動
-    scheduleNpcTurn() {
-        if (!this.gameState || !this.npcId) {
-            return;
-        }
+    // 為目前決策開始計時（NPC 不計時；總時間模式使用剩餘時間）
+    startTurnClock() {
+        this.stopTurnClock();
 
-        const currentPlayer = this.gameState.players[this.gameState.currentPlayer];
-        if (!currentPlayer || currentPlayer.id !== this.npcId) {
+        if (!this.timeControl || this.isPaused()) {
             return;
         }
 
-        if (this.gameState.phase !== 'playing' || this.gameState.pendingInteraction) {
+        // NPC 與託管中的座位不計時；外部 Bot 使用自己的回應期限
+        const playerId = this.getActingPlayerId();
+        if (!playerId || this.getNpcSeatSettings(playerId) || this.isBotPlayerId(playerId)) {
             return;
         }
 
-        const delay = NPC_THINKING_DELAY[this.npcDifficulty] ?? NPC_THINKING_DELAY.easy;
-        if (this.npcActionTimer) {
-            clearTimeout(this.npcActionTimer);
-        }
+        const limitMs = this.timeControl.mode === 'bank'
+            ? (this.timeBanks.get(playerId) ?? this.timeControl.limitMs)
+            : this.timeControl.limitMs;
+        const startedAt = Date.now();
 
-        this.npcActionTimer = setTimeout(() => {
-            this.npcActionTimer = null;
-            this.performNpcAction();
-        }, delay);
+        this.turnClock = {
+            playerId,
+            startedAt,
+            deadline: startedAt + limitMs,
+            timeoutTimer: setTimeout(() => {
+                this.handleTurnTimeout(playerId);
+            }, limitMs),
+            tickTimer: setInterval(() => {
+                this.sendTurnTimer();
+            }, TURN_TIMER_TICK_MS)
+        };
+
+        this.sendTurnTimer();
     }
 
-    // 安排 NPC 回應互動（贈予/競爭）
-    scheduleNpcResponse() {
-        if (!this.gameState || !this.npcId) {
+    // 停止計時（總時間模式扣除本次已用時間）
+    stopTurnClock() {
+        if (!this.turnClock) {
             return;
         }
 
-        const pending = this.gameState.pendingInteraction;
-        if (!pending || pending.targetPlayerId !== this.npcId) {
-            return;
-        }
+        const { playerId, startedAt, timeoutTimer, tickTimer } = this.turnClock;
+        clearTimeout(timeoutTimer);
+        clearInterval(tickTimer);
 
-        const delay = NPC_THINKING_DELAY[this.npcDifficulty] ?? NPC_THINKING_DELAY.easy;
-        if (this.npcResponseTimer) {
-            clearTimeout(this.npcResponseTimer);
+        if (this.timeControl?.mode === 'bank') {
+            const remaining = (this.timeBanks.get(playerId) ?? this.timeControl.limitMs) - (Date.now() - startedAt);
+            this.timeBanks.set(playerId, Math.max(0, remaining));
         }
 
-        this.npcResponseTimer = setTimeout(() => {
-            this.npcResponseTimer = null;
-            this.performNpcResponse();
-        }, delay);
+        this.turnClock = null;
     }
 
-    // 取得藝妓的魅力值
-    getGeishaCharmPoints(geishaId) {
-        return this.gameState?.geishas?.find(geisha => geisha.id === geishaId)?.charmPoints ?? 0;
-    }
+    // 傳送計時狀態給玩家與觀戰者（每秒一次，不寫入廣播紀錄）
+    sendTurnTimer() {
+        if (!this.turnClock) {
+            return;
+        }
 
-    // 建立藝妓計數快照（用於 AI 評估）
-    buildGeishaCountSnapshot(npcPlayer, opponentPlayer) {
-        const snapshot = new Map();
-        const geishas = this.gameState?.geishas ?? [];
+        const message = {
+            type: 'TURN_TIMER',
+            payload: {
+                playerId: this.turnClock.playerId,
+                mode: this.timeControl.mode,
+                remainingMs: Math.max(0, this.turnClock.deadline - Date.now()),
+                timeBanks: this.timeControl.mode === 'bank' ? Object.fromEntries(this.timeBanks) : undefined
+            }
+        };
 
-        geishas.forEach((geisha) => {
-            const npcCount = npcPlayer.playedCards.filter(card => card.geishaId === geisha.id).length;
-            const oppCount = opponentPlayer.playedCards.filter(card => card.geishaId === geisha.id).length;
-            snapshot.set(geisha.id, {
-                npc: npcCount,
-                opp: oppCount,
-                charm: geisha.charmPoints
-            });
+        this.players.forEach((player) => {
+            if (!player.isNpc && !this.isPlayerDisconnected(player.playerId)) {
+                this.sendToPlayer(player.playerId, message);
+            }
         });
-
-        return snapshot;
+        this.sendToSpectators(message);
     }
 
-    // 計算單張卡片對指定玩家的價值（考慮追趕與翻盤）
-    getCardUtility(snapshot, geishaId, isNpc) {
-        const entry = snapshot.get(geishaId);
-        if (!entry) {
-            return 0;
+    // 時間用盡：停止計時並代打
+    handleTurnTimeout(playerId) {
+        if (!this.turnClock || this.turnClock.playerId !== playerId) {
+            return;
         }
 
-        const myCount = isNpc ? entry.npc : entry.opp;
-        const oppCount = isNpc ? entry.opp : entry.npc;
-        const charm = entry.charm;
+        this.stopTurnClock();
+        this.playTimeoutAction(playerId);
+    }
 
-        if (myCount + 1 > oppCount && myCount <= oppCount) {
-            return charm * 4; // 翻盤或搶先的價值最高
-        }
+    // 代替未及時決策的玩家執行合法行動並記錄逾時（回合計時用盡或 Bot 未回應）
+    playTimeoutAction(playerId) {
+        const action = this.buildTimeoutAction(playerId);
+        const timeout = {
+            playerId,
+            round: this.gameState.round,
+            action: action?.type ?? null,
+            timestamp: Date.now()
+        };
 
-        if (myCount + 1 === oppCount) {
-            return charm * 2; // 追平有一定價值
-        }
+        console.log(`⏰ 玩家 ${playerId} 於房間 ${this.roomId} 逾時，自動執行 ${timeout.action ?? '結束回合'}`);
 
-        return charm; // 其他情況以魅力值基礎評估
-    }
+        this.gameState.timeouts = [...(this.gameState.timeouts ?? []), timeout];
+        this.appendActionLog('TIMEOUT', { playerId, action });
 
-    // 計算當前分數差（AI 評估用）
-    evaluateSnapshot(snapshot) {
-        let npcScore = 0;
-        let oppScore = 0;
-
-        snapshot.forEach((entry) => {
-            const base = entry.charm * 2;
-            const diff = entry.npc - entry.opp;
-
-            npcScore += base + diff * 3;
-            oppScore += base - diff * 3;
-        });
-
-        return npcScore - oppScore;
-    }
-
-    // 將卡片套用到快照（模擬結果）
-    applyCardsToSnapshot(snapshot, geishaIdList, isNpc) {
-        const next = new Map();
-        snapshot.forEach((value, key) => {
-            next.set(key, { ...value });
-        });
-
-        geishaIdList.forEach((geishaId) => {
-            const entry = next.get(geishaId);
-            if (!entry) {
-                return;
-            }
-            if (isNpc) {
-                entry.npc += 1;
-            } else {
-                entry.opp += 1;
-            }
+        this.broadcast({
+            type: 'TURN_TIMEOUT',
+            payload: timeout
         });
 
-        return next;
-    }
-
-    // NPC 執行回合行動
-    performNpcAction() {
-        if (!this.gameState || !this.npcId) {
+        if (!action) {
+            this.endTurn();
             return;
         }
 
-        const npcPlayer = this.getPlayerState(this.npcId);
-        if (!npcPlayer || this.gameState.currentPlayer >= this.gameState.players.length) {
-            return;
-        }
+        this.handleAction(playerId, action);
+    }
 
-        if (this.gameState.players[this.gameState.currentPlayer]?.id !== this.npcId) {
-            return;
-        }
+    // 建立逾時代打行動（沿用 easy 難度的隨機選擇）
+    buildTimeoutAction(playerId) {
+        return this.gameState ? buildNpcDecision(this.gameState, playerId, 'easy', this.rng) : null;
+    }
 
-        if (this.gameState.pendingInteraction || this.gameState.phase !== 'playing') {
+    // 開始當前玩家回合（抽牌、重置互動狀態）
+    beginTurnForCurrentPlayer() {
+        if (!this.gameState) {
             return;
         }
 
-        const action = this.buildNpcAction(npcPlayer);
-        if (!action) {
-            this.endTurn();
+        if (!this.gameState.players[this.gameState.currentPlayer]) {
+            console.warn(`⚠️ 房間 ${this.roomId} 找不到當前玩家資料`);
             return;
         }
 
-        this.handleAction(this.npcId, action);
+        this.advanceEngine('BEGIN_TURN');
     }
 
-    // NPC 回應互動（贈予/競爭）
-    performNpcResponse() {
-        if (!this.gameState || !this.npcId) {
-            return;
+    // 取得由 NPC 代為決策的座位設定（NPC 玩家或斷線託管中的真人座位；其他玩家回傳 null）
+    // 自適應難度的座位回傳目前強度對應的實際難度、隨機性與搜尋次數上限
+    getNpcSeatSettings(playerId) {
+        const npcSeat = this.npcSeats.get(playerId);
+        if (npcSeat?.difficulty === 'adaptive') {
+            return { ...npcSeat, ...resolveAdaptiveSettings(npcSeat.adaptiveLevel) };
         }
-
-        const pending = this.gameState.pendingInteraction;
-        if (!pending || pending.targetPlayerId !== this.npcId) {
-            return;
+        if (npcSeat) {
+            return npcSeat;
         }
-
-        if (pending.type === 'GIFT_SELECTION') {
-            const card = this.pickNpcGiftCard(pending.offeredCards);
-            if (card) {
-                this.handleAction(this.npcId, { type: 'RESOLVE_GIFT', payload: { chosenCardId: card.id } });
-            }
-            return;
-        }
-
-        if (pending.type === 'COMPETITION_SELECTION') {
-            const index = this.pickNpcCompetitionGroup(pending.groups);
-            if (index !== null) {
-                this.handleAction(this.npcId, { type: 'RESOLVE_COMPETITION', payload: { chosenGroupIndex: index } });
-            }
+        if (this.isSeatOnAutopilot(playerId)) {
+            return { difficulty: SEAT_AUTOPILOT_DIFFICULTY, personalityId: null };
         }
+        return null;
     }
 
-    // NPC 決定要執行的行動與卡片
-    buildNpcAction(player) {
-        const opponent = this.getOpponentState(player.id);
-        if (!opponent) {
-            return null;
+    // NPC 思考時間（依難度；關閉節奏時不延遲）
+    getNpcThinkingDelay(playerId) {
+        if (!this.npcPacing) {
+            return 0;
         }
+        const difficulty = this.getNpcSeatSettings(playerId)?.difficulty;
+        return NPC_THINKING_DELAY[difficulty] ?? NPC_THINKING_DELAY.easy;
+    }
 
-        const available = player.actionTokens.filter(token => !token.used).map(token => token.type);
-        const hasCards = player.hand.length;
-
-        const candidates = available.filter((type) => {
-            if (type === 'secret') return hasCards >= 1;
-            if (type === 'trade-off') return hasCards >= 2;
-            if (type === 'gift') return hasCards >= 3;
-            if (type === 'competition') return hasCards >= 4;
-            return false;
-        });
+    // NPC 排程延遲：搜尋型難度扣除搜尋時間，讓總思考時間維持在 NPC_THINKING_DELAY 內
+    getNpcScheduleDelay(playerId) {
+        const { difficulty } = this.getNpcSeatSettings(playerId);
+        const delay = this.getNpcThinkingDelay(playerId);
+        const budget = NPC_SEARCH_BUDGET_MS[difficulty] ?? 0;
+        return Math.max(0, delay - budget);
+    }
 
-        if (candidates.length === 0) {
+    // 以該座位視角更新對手隱藏牌的推測，回傳本次決策使用的推測結果（不推測的難度回傳 null）
+    inferNpcHiddenCards(playerId, difficulty) {
+        if (!NPC_INFERENCE_DIFFICULTIES.has(difficulty)) {
             return null;
         }
 
-        const pickRandom = (list) => list[Math.floor(Math.random() * list.length)];
-        const snapshot = this.buildGeishaCountSnapshot(player, opponent);
-        const sortedByNpcValue = [...player.hand]
-            .sort((a, b) => this.getCardUtility(snapshot, a.geishaId, true) - this.getCardUtility(snapshot, b.geishaId, true));
+        const view = buildPlayerView(this.gameState, playerId);
+        const belief = observeNpcView(this.npcBeliefs.get(playerId) ?? null, view, playerId);
+        this.npcBeliefs.set(playerId, belief);
+        return inferHiddenCards(belief, view, playerId);
+    }
 
-        let actionType = pickRandom(candidates);
+    // 在背景執行緒計算 NPC 決策（搜尋型難度使用 ISMCTS），逾時或失敗時改用主執行緒的啟發式規則
+    // 回傳行動（null 代表結束回合）；決策被取消或期間狀態已改變時回傳 undefined
+    async computeNpcDecision(playerId) {
+        const state = this.gameState;
+        const { difficulty, personalityId, randomness = null, maxIterations = null } = this.getNpcSeatSettings(playerId);
+        const inference = this.inferNpcHiddenCards(playerId, difficulty);
+        const controller = new AbortController();
+        this.npcDecisionController?.abort();
+        this.npcDecisionController = controller;
 
-        if (this.npcDifficulty === 'expert' || this.npcDifficulty === 'hell') {
-            actionType = this.pickBestNpcAction(player, opponent, candidates) ?? actionType;
-        } else if (this.npcDifficulty !== 'easy') {
-            if (candidates.includes('competition')) {
-                actionType = 'competition';
-            } else if (candidates.includes('gift')) {
-                actionType = 'gift';
-            } else if (candidates.includes('secret')) {
-                actionType = 'secret';
-            } else {
-                actionType = 'trade-off';
+        let action;
+        try {
+            const result = await runNpcDecisionTask({
+                view: buildPlayerView(state, playerId),
+                playerId,
+                difficulty,
+                personalityId,
+                inference,
+                // 背景執行緒的亂數由房間序列衍生，同種子對局仍可重現
+                seed: this.rng.int(2 ** 32),
+                randomness,
+                maxIterations
+            }, { timeoutMs: NPC_DECISION_TIMEOUT_MS, signal: controller.signal });
+
+            if (result.iterations > 0) {
+                console.log(`🧠 NPC ${playerId} 搜尋 ${result.iterations} 次後選擇 ${result.action?.type ?? '無行動'}`);
+            }
+            action = result.action;
+        } catch (error) {
+            if (controller.signal.aborted) {
+                return undefined;
             }
-        }
-
-        if (actionType === 'secret') {
-            const card = this.npcDifficulty === 'easy'
-                ? pickRandom(player.hand)
-                : sortedByNpcValue[sortedByNpcValue.length - 1];
-            return { type: 'PLAY_SECRET', payload: { cardId: card.id } };
-        }
-
-        if (actionType === 'trade-off') {
-            const selected = this.npcDifficulty === 'easy'
-                ? this.pickRandomCards(player.hand, 2)
-                : this.pickTradeOffCards(player, opponent);
-            return { type: 'PLAY_TRADE_OFF', payload: { cardIds: selected.map(card => card.id) } };
-        }
-
-        if (actionType === 'gift') {
-            const selected = this.npcDifficulty === 'easy'
-                ? this.pickRandomCards(player.hand, 3)
-                : this.pickGiftCards(player, opponent);
-            return { type: 'INITIATE_GIFT', payload: { cardIds: selected.map(card => card.id) } };
-        }
-
-        if (actionType === 'competition') {
-            const picked = this.npcDifficulty === 'easy'
-                ? this.pickRandomCards(player.hand, 4)
-                : this.pickCompetitionCards(player, opponent);
-            const groups = this.npcDifficulty === 'easy'
-                ? this.buildNpcRandomGroups(picked)
-                : this.buildNpcCompetitionGroups(picked, player, opponent);
-            return { type: 'INITIATE_COMPETITION', payload: { groups } };
-        }
-
-        return null;
-    }
 
-    // 隨機挑選指定數量卡片
-    pickRandomCards(cards, count) {
-        const pool = [...cards];
-        const picked = [];
-        while (pool.length > 0 && picked.length < count) {
-            const index = Math.floor(Math.random() * pool.length);
-            picked.push(pool.splice(index, 1)[0]);
-        }
-        return picked;
-    }
-
-    // 競爭分組策略（盡量平衡）
-    buildNpcCompetitionGroups(cards, npcPlayer, opponent) {
-        const snapshot = this.buildGeishaCountSnapshot(npcPlayer, opponent);
-        const sorted = [...cards].sort((a, b) => this.getCardValue(b) - this.getCardValue(a));
-        if (sorted.length < 4) {
-            return [
-                sorted.slice(0, 2).map(card => card.id),
-                sorted.slice(2, 4).map(card => card.id)
-            ].filter(group => group.length > 0);
-        }
-
-        const groupA = [sorted[0], sorted[3]];
-        const groupB = [sorted[1], sorted[2]];
-        const groupOptions = [
-            [groupA.map(card => card.id), groupB.map(card => card.id)],
-            [[sorted[0], sorted[2]].map(card => card.id), [sorted[1], sorted[3]].map(card => card.id)],
-            [[sorted[0], sorted[1]].map(card => card.id), [sorted[2], sorted[3]].map(card => card.id)]
-        ];
-
-        const idToGeisha = new Map(sorted.map(card => [card.id, card.geishaId]));
-
-        // 選擇讓對手最難下決定的一組（最大化最差結果）
-        let best = groupOptions[0];
-        let bestScore = -Infinity;
-
-        groupOptions.forEach((option) => {
-            const [g1, g2] = option;
-            const g1Geishas = g1.map(cardId => idToGeisha.get(cardId)).filter(Boolean);
-            const g2Geishas = g2.map(cardId => idToGeisha.get(cardId)).filter(Boolean);
-            const worst = Math.min(
-                this.evaluateSnapshot(this.applyCardsToSnapshot(snapshot, g1Geishas, false)),
-                this.evaluateSnapshot(this.applyCardsToSnapshot(snapshot, g2Geishas, false))
+            console.warn(`⚠️ 房間 ${this.roomId} NPC 背景決策失敗（${error.code ?? error.message}），改用啟發式規則`);
+            action = buildNpcDecision(
+                state,
+                playerId,
+                difficulty,
+                this.rng,
+                applyAdaptiveRandomness(resolveNpcProfile(personalityId), randomness),
+                inference
             );
-            if (worst > bestScore) {
-                bestScore = worst;
-                best = option;
+        } finally {
+            if (this.npcDecisionController === controller) {
+                this.npcDecisionController = null;
             }
-        });
-
-        return best;
-    }
-
-    // 競爭分組（隨機）
-    buildNpcRandomGroups(cards) {
-        const pool = [...cards];
-        for (let i = pool.length - 1; i > 0; i -= 1) {
-            const j = Math.floor(Math.random() * (i + 1));
-            [pool[i], pool[j]] = [pool[j], pool[i]];
         }
-        return [
-            pool.slice(0, 2).map(card => card.id),
-            pool.slice(2, 4).map(card => card.id)
-        ];
-    }
 
-    // NPC 回應贈予：挑選價值最高的卡片
-    pickNpcGiftCard(cards) {
-        if (!cards || cards.length === 0) {
-            return null;
-        }
-
-        if (this.npcDifficulty === 'easy') {
-            return cards[Math.floor(Math.random() * cards.length)];
-        }
-
-        const npcPlayer = this.getPlayerState(this.npcId);
-        const opponent = this.getOpponentState(this.npcId);
-        if (!npcPlayer || !opponent) {
-            return cards[0];
-        }
-        const snapshot = this.buildGeishaCountSnapshot(npcPlayer, opponent);
-        return [...cards]
-            .sort((a, b) => this.getCardUtility(snapshot, b.geishaId, true) - this.getCardUtility(snapshot, a.geishaId, true))[0];
+        return this.gameState === state ? action : undefined;
     }
 
-    // NPC 回應競爭：挑選總分較高的一組
-    pickNpcCompetitionGroup(groups) {
-        if (!groups || groups.length !== 2) {
-            return null;
+    // 安排 NPC 行動（NPC 玩家或斷線託管中的座位）
+    scheduleNpcTurn() {
+        if (!this.gameState || this.isPaused()) {
+            return;
         }
 
-        if (this.npcDifficulty === 'easy') {
-            return Math.random() < 0.5 ? 0 : 1;
+        const currentPlayer = this.gameState.players[this.gameState.currentPlayer];
+        if (!currentPlayer || !this.getNpcSeatSettings(currentPlayer.id)) {
+            return;
         }
 
-        const npcPlayer = this.getPlayerState(this.npcId);
-        const opponent = this.getOpponentState(this.npcId);
-        if (!npcPlayer || !opponent) {
-            return 0;
+        if (this.gameState.phase !== 'playing' || this.gameState.pendingInteraction) {
+            return;
         }
-        const snapshot = this.buildGeishaCountSnapshot(npcPlayer, opponent);
-        const score = (group) => this.evaluateSnapshot(this.applyCardsToSnapshot(snapshot, group.map(card => card.geishaId), true));
-        return score(groups[0]) >= score(groups[1]) ? 0 : 1;
-    }
 
-    // 專家模式：在可用行動中挑選期望收益最高者
-    pickBestNpcAction(npcPlayer, opponent, candidates) {
-        if (!candidates || candidates.length === 0) {
-            return null;
+        const playerId = currentPlayer.id;
+        const delay = this.getNpcScheduleDelay(playerId);
+        if (this.npcActionTimer) {
+            clearTimeout(this.npcActionTimer);
         }
 
-        const snapshot = this.buildGeishaCountSnapshot(npcPlayer, opponent);
-        let bestAction = null;
-        let bestScore = -Infinity;
-
-        candidates.forEach((actionType) => {
-            const score = this.evaluateNpcAction(npcPlayer, opponent, snapshot, actionType);
-            if (score > bestScore) {
-                bestScore = score;
-                bestAction = actionType;
-            }
-        });
-
-        return bestAction;
+        this.npcActionTimer = setTimeout(() => {
+            this.npcActionTimer = null;
+            this.performNpcAction(playerId).catch(error => console.error(`❌ 房間 ${this.roomId} NPC 行動失敗:`, error));
+        }, delay);
     }
 
-    // 評估行動的期望收益（越高越好）
-    evaluateNpcAction(npcPlayer, opponent, snapshot, actionType) {
-        if (actionType === 'secret') {
-            const bestCard = [...npcPlayer.hand]
-                .sort((a, b) => this.getCardUtility(snapshot, b.geishaId, true) - this.getCardUtility(snapshot, a.geishaId, true))[0];
-            if (!bestCard) {
-                return -Infinity;
-            }
-            const next = this.applyCardsToSnapshot(snapshot, [bestCard.geishaId], true);
-            return this.evaluateSnapshot(next);
+    // 安排 NPC 回應互動（贈予/競爭）
+    scheduleNpcResponse() {
+        if (!this.gameState || this.isPaused()) {
+            return;
         }
 
-        if (actionType === 'trade-off') {
-            const discard = this.pickTradeOffCards(npcPlayer, opponent);
-            const loss = discard.reduce((sum, card) => sum + this.getCardUtility(snapshot, card.geishaId, true), 0);
-            return this.evaluateSnapshot(snapshot) - loss;
+        const pending = this.gameState.pendingInteraction;
+        if (!pending || !this.getNpcSeatSettings(pending.targetPlayerId)) {
+            return;
         }
 
-        if (actionType === 'gift') {
-            const offered = this.pickGiftCards(npcPlayer, opponent);
-            if (offered.length < 3) {
-                return -Infinity;
-            }
-            const worst = Math.min(...offered.map((chosen) => {
-                const npcCards = offered.filter(card => card.id !== chosen.id);
-                const next = this.applyCardsToSnapshot(
-                    this.applyCardsToSnapshot(snapshot, [chosen.geishaId], false),
-                    npcCards.map(card => card.geishaId),
-                    true
-                );
-                return this.evaluateSnapshot(next);
-            }));
-            return worst;
-        }
-
-        if (actionType === 'competition') {
-            const picked = this.pickCompetitionCards(npcPlayer, opponent);
-            if (picked.length < 4) {
-                return -Infinity;
-            }
-            const [groupA, groupB] = this.buildNpcCompetitionGroups(picked, npcPlayer, opponent);
-            const idToGeisha = new Map(picked.map(card => [card.id, card.geishaId]));
-            const g1 = groupA.map(cardId => idToGeisha.get(cardId)).filter(Boolean);
-            const g2 = groupB.map(cardId => idToGeisha.get(cardId)).filter(Boolean);
-            const worst = Math.min(
-                this.evaluateSnapshot(this.applyCardsToSnapshot(snapshot, g1, false)),
-                this.evaluateSnapshot(this.applyCardsToSnapshot(snapshot, g2, false))
-            );
-            return worst;
+        const playerId = pending.targetPlayerId;
+        const delay = this.getNpcScheduleDelay(playerId);
+        if (this.npcResponseTimer) {
+            clearTimeout(this.npcResponseTimer);
         }
 
-        return -Infinity;
+        this.npcResponseTimer = setTimeout(() => {
+            this.npcResponseTimer = null;
+            this.performNpcResponse(playerId).catch(error => console.error(`❌ 房間 ${this.roomId} NPC 回應失敗:`, error));
+        }, delay);
     }
 
-    // 競爭挑選卡片（偏強：用評分選出最有利的 4 張）
-    pickCompetitionCards(npcPlayer, opponent) {
-        const snapshot = this.buildGeishaCountSnapshot(npcPlayer, opponent);
-        const scored = [...npcPlayer.hand].sort((a, b) => {
-            const diff = this.getCardUtility(snapshot, b.geishaId, true) - this.getCardUtility(snapshot, a.geishaId, true);
-            return diff;
-        });
-        return scored.slice(0, 4);
-    }
-
-    // 贈予挑選卡片（偏強：最大化最差結果）
-    pickGiftCards(npcPlayer, opponent) {
-        const snapshot = this.buildGeishaCountSnapshot(npcPlayer, opponent);
-        const cards = npcPlayer.hand;
-        let bestCombo = cards.slice(0, 3);
-        let bestScore = -Infinity;
-
-        for (let i = 0; i < cards.length; i += 1) {
-            for (let j = i + 1; j < cards.length; j += 1) {
-                for (let k = j + 1; k < cards.length; k += 1) {
-                    const combo = [cards[i], cards[j], cards[k]];
-                    const opponentChoices = combo.map(card => card);
-
-                    const worst = Math.min(...opponentChoices.map((chosen) => {
-                        const npcCards = combo.filter(card => card.id !== chosen.id);
-                        const next = this.applyCardsToSnapshot(
-                            this.applyCardsToSnapshot(snapshot, [chosen.geishaId], false),
-                            npcCards.map(card => card.geishaId),
-                            true
-                        );
-                        return this.evaluateSnapshot(next);
-                    }));
-
-                    if (worst > bestScore) {
-                        bestScore = worst;
-                        bestCombo = combo;
-                    }
-                }
-            }
+    // NPC 執行回合行動
+    async performNpcAction(playerId) {
+        if (!this.gameState || !this.getNpcSeatSettings(playerId)) {
+            return;
         }
 
-        return bestCombo;
-    }
-
-    // 取捨挑選卡片（偏強：犧牲價值最低且可能阻止對手的牌）
-    pickTradeOffCards(npcPlayer, opponent) {
-        const snapshot = this.buildGeishaCountSnapshot(npcPlayer, opponent);
-        const sorted = [...npcPlayer.hand].sort((a, b) => {
-            const npcValueA = this.getCardUtility(snapshot, a.geishaId, true);
-            const npcValueB = this.getCardUtility(snapshot, b.geishaId, true);
-            const oppValueA = this.getCardUtility(snapshot, a.geishaId, false);
-            const oppValueB = this.getCardUtility(snapshot, b.geishaId, false);
-
-            const scoreA = npcValueA - oppValueA * 0.6;
-            const scoreB = npcValueB - oppValueB * 0.6;
-            return scoreA - scoreB;
-        });
-
-        return sorted.slice(0, 2);
-    }
-
-    // 計算卡片價值（以魅力值為基準）
-    getCardValue(card) {
-        return this.getGeishaCharmPoints(card.geishaId);
-    }
-
-    // 結束回合並切換到下一位可行動玩家
-    endTurn() {
-        if (!this.gameState) {
+        const npcPlayer = this.getPlayerState(playerId);
+        if (!npcPlayer || this.gameState.currentPlayer >= this.gameState.players.length) {
             return;
         }
 
-        const availablePlayerIndex = this.gameState.players.findIndex(player => player.actionTokens.some(token => !token.used));
-        if (availablePlayerIndex === -1) {
-            console.log(`🧮 房間 ${this.roomId} 所有玩家行動結束，進入結算階段`);
-            this.resolveRound();
+        if (this.gameState.players[this.gameState.currentPlayer]?.id !== playerId) {
             return;
         }
 
-        let nextIndex = (this.gameState.currentPlayer + 1) % this.gameState.players.length;
-        let attempts = 0;
+        if (this.gameState.pendingInteraction || this.gameState.phase !== 'playing') {
+            return;
+        }
 
-        while (attempts < this.gameState.players.length) {
-            const candidate = this.gameState.players[nextIndex];
-            if (candidate && candidate.actionTokens.some(token => !token.used)) {
-                this.gameState.currentPlayer = nextIndex;
-                this.beginTurnForCurrentPlayer();
-                return;
-            }
+        const action = await this.computeNpcDecision(playerId);
+        if (action === undefined) {
+            return;
+        }
 
-            nextIndex = (nextIndex + 1) % this.gameState.players.length;
-            attempts += 1;
+        if (!action) {
+            this.endTurn();
+            return;
         }
 
-        console.log(`🧮 房間 ${this.roomId} 行動結束（未找到下一位玩家），進入結算`);
-        this.gameState.phase = 'resolution';
-        this.broadcastGameState();
+        this.performNpcDecision(playerId, action);
     }
 
-    // 結算回合（翻開密約、計算好感、檢查勝利）
-    resolveRound() {
-        if (!this.gameState) {
+    // NPC 回應互動（贈予/競爭）
+    async performNpcResponse(playerId) {
+        if (!this.gameState || !this.getNpcSeatSettings(playerId)) {
             return;
         }
 
-        this.gameState.phase = 'resolution';
-
-        this.broadcast({
-            type: 'ROUND_COMPLETE',
-            payload: { round: this.gameState.round }
-        });
-
-        // 翻開密約卡並加入計分區
-        this.gameState.players.forEach((player) => {
-            if (player.secretCards.length > 0) {
-                player.playedCards.push(...player.secretCards);
-                player.secretCards = [];
-            }
-        });
-
-        // 比較每位藝妓的卡牌數量，更新好感指示物
-        this.gameState.geishas.forEach((geisha) => {
-            const p1Count = this.countCardsForGeisha(this.gameState.players[0], geisha.id);
-            const p2Count = this.countCardsForGeisha(this.gameState.players[1], geisha.id);
+        const pending = this.gameState.pendingInteraction;
+        if (!pending || pending.targetPlayerId !== playerId) {
+            return;
+        }
 
-            if (p1Count > p2Count) {
-                geisha.controlledBy = this.gameState.players[0].id;
-            } else if (p2Count > p1Count) {
-                geisha.controlledBy = this.gameState.players[1].id;
-            }
-            // 平手時保持原狀，不移動好感指示物
-        });
+        const action = await this.computeNpcDecision(playerId);
+        if (action) {
+            this.performNpcDecision(playerId, action);
+        }
+    }
 
-        // 更新玩家分數資訊
-        this.updatePlayerScores();
+    // 執行 NPC 決策；教學房間在行動被接受後附上決策說明
+    performNpcDecision(playerId, action) {
+        const reasoning = this.teachingMode && this.isNpcPlayerId(playerId)
+            ? this.buildNpcReasoning(playerId, action)
+            : null;
+        const before = this.gameState;
 
-        // 廣播結算後狀態，讓前端顯示回合結算結果
-        this.broadcastGameState();
+        this.handleAction(playerId, action);
 
-        // 檢查勝利條件
-        const winner = this.determineWinner();
-        if (winner) {
-            this.gameState.phase = 'ended';
-            this.gameState.winner = winner;
+        if (reasoning && this.gameState !== before) {
+            this.sendNpcReasoning(reasoning);
+        }
+    }
 
-            this.broadcast({
-                type: 'GAME_ENDED',
-                payload: { winner }
-            });
+    // 以 NPC 行動前的視角說明決策（評估權重依 NPC 個性；說明失敗不影響對局）
+    buildNpcReasoning(playerId, action) {
+        try {
+            const { personalityId } = this.getNpcSeatSettings(playerId);
+            const explanation = explainNpcDecision(
+                buildPlayerView(this.gameState, playerId),
+                playerId,
+                action,
+                resolveNpcProfile(personalityId).weights
+            );
+            return explanation ? { playerId, round: this.gameState.round, ...explanation } : null;
+        } catch (error) {
+            console.error(`❌ 房間 ${this.roomId} NPC 決策說明失敗:`, error);
+            return null;
+        }
+    }
 
-            this.broadcastGameState();
-            return;
+    // 傳送 NPC 決策說明：只給真人玩家（表演賽給觀戰者）
+    // 收到說明的真人就是 NPC 的對手：說明只包含這次行動用到的卡片（含密約與取捨，教學房間由真人自行開啟），不公開 NPC 其餘的手牌
+    sendNpcReasoning(reasoning) {
+        const message = { type: 'NPC_REASONING', payload: reasoning };
+        this.players
+            .filter(player => !this.isNpcPlayerId(player.playerId) && !this.isBotPlayerId(player.playerId))
+            .forEach(player => this.sendToPlayer(player.playerId, message));
+        if (this.canSpectatorsSeeHands()) {
+            this.sendToSpectators(message);
         }
+    }
 
-        // 準備下一輪（保留好感指示物）
-        if (this.roundResolveTimer) {
-            clearTimeout(this.roundResolveTimer);
+    // 結束回合並切換到下一位可行動玩家
+    endTurn() {
+        if (!this.gameState) {
+            return;
         }
 
-        this.roundResolveTimer = setTimeout(() => {
-            this.roundResolveTimer = null;
-            this.startNextRound();
-        }, 2500);
+        this.advanceEngine('END_TURN');
     }
 
     // 驗證回合發牌與牌堆分配是否正確（用於偵錯與防呆）
@@ -1478,66 +2452,13 @@ class GameRoom {
         }
 
         if (hasDuplicate) {
-            console.warn(`⚠️ 房間 ${this.roomId} 發現重複卡片 ID，請檢查洗牌與發牌流程`);
+            console.warn(`⚠️ 房間 ${this.roomId} 發現重複卡片 ID，請檢查洗牌與發牌流程（種子：${this.seed}）`);
         }
     }
 
-    // 統計玩家在特定藝妓上的卡片數量
-    countCardsForGeisha(player, geishaId) {
-        return player.playedCards.filter(card => card.geishaId === geishaId).length;
-    }
-
-    // 更新每位玩家的魅力值與好感數量
-    updatePlayerScores() {
-        if (!this.gameState) {
-            return;
-        }
-
-        this.gameState.players.forEach((player) => {
-            const controlled = this.gameState.geishas.filter(geisha => geisha.controlledBy === player.id);
-            player.score.tokens = controlled.length;
-            player.score.charm = controlled.reduce((total, geisha) => total + geisha.charmPoints, 0);
-        });
-    }
-
-    // 判定勝利條件（魅力值優先於好感數）
-    determineWinner() {
-        if (!this.gameState) {
-            return null;
-        }
-
-        const [playerA, playerB] = this.gameState.players;
-
-        const aCharm = playerA.score.charm;
-        const bCharm = playerB.score.charm;
-        const aTokens = playerA.score.tokens;
-        const bTokens = playerB.score.tokens;
-
-        if (aCharm >= 11 || bCharm >= 11) {
-            if (aCharm > bCharm) return playerA.id;
-            if (bCharm > aCharm) return playerB.id;
-            return null;
-        }
-
-        if (aTokens >= 4 || bTokens >= 4) {
-            if (aTokens > bTokens) return playerA.id;
-            if (bTokens > aTokens) return playerB.id;
-        }
-
-        return null;
-    }
-
     // 取得下一輪的起始玩家順序
     getNextRoundOrder() {
-        const currentPlayers = this.gameState?.players ?? [];
-        if (currentPlayers.length < 2) {
-            return [];
-        }
-
-        const currentStarter = this.lastRoundStarterId ?? currentPlayers[0].id;
-        const nextStarter = currentPlayers.find(player => player.id !== currentStarter)?.id ?? currentPlayers[0].id;
-
-        return [nextStarter, currentStarter];
+        return getNextRoundOrder(this.gameState, this.lastRoundStarterId);
     }
 
     // 開始下一輪（不再重新決定順序，而是輪流先手）
@@ -1563,16 +2484,7 @@ class GameRoom {
         });
 
         // 新一輪發牌動畫（依玩家視角遮蔽）
-        if (this.dealSequence.length > 0) {
-            this.players.forEach((player) => {
-                this.sendToPlayer(player.playerId, {
-                    type: 'DEAL_ANIMATION',
-                    payload: {
-                        sequence: this.buildDealSequenceForPlayer(player.playerId)
-                    }
-                });
-            });
-        }
+        this.sendDealAnimation();
 
         this.broadcastGameState();
         this.beginTurnForCurrentPlayer();
@@ -1581,79 +2493,17 @@ class GameRoom {
     // 驗證玩家是否存在於房間內
     validatePlayerInRoom(playerId) {
         if (!this.players.some(player => player.playerId === playerId)) {
-            this.sendError(playerId, '玩家不在房間內');
-            return false;
-        }
-        return true;
-    }
-
-    // 驗證是否輪到該玩家行動
-    validatePlayerTurn(playerId) {
-        if (!this.gameState) {
-            this.sendError(playerId, '遊戲尚未開始');
-            return false;
-        }
-
-        const currentPlayer = this.gameState.players[this.gameState.currentPlayer];
-        if (!currentPlayer || currentPlayer.id !== playerId) {
-            this.sendError(playerId, '不是你的回合');
-            return false;
-        }
-        return true;
-    }
-
-    // 驗證玩家行動指示物是否可用
-    validateActionAvailable(player, actionType) {
-        const token = player.actionTokens.find(item => item.type === actionType);
-        if (!token || token.used) {
-            this.sendError(player.id, '該行動已使用或不存在');
-            return false;
-        }
-        return true;
-    }
-
-    // 驗證卡片是否屬於玩家
-    validateCardOwnership(player, cardIds) {
-        const uniqueIds = new Set(cardIds);
-        if (uniqueIds.size !== cardIds.length) {
-            this.sendError(player.id, '卡片選擇重複');
-            return false;
-        }
-
-        const handIds = new Set(player.hand.map(card => card.id));
-        const allOwned = cardIds.every(cardId => handIds.has(cardId));
-
-        if (!allOwned) {
-            this.sendError(player.id, '選擇的卡片不在你的手牌中');
-            return false;
-        }
-
-        return true;
-    }
-
-    // 驗證互動狀態（避免同時進行多個互動）
-    validatePendingInteraction(actionType, playerId) {
-        const pending = this.gameState?.pendingInteraction;
-        const isResolveAction = actionType.startsWith('RESOLVE_');
-
-        if (pending && !isResolveAction) {
-            this.sendError(playerId, '目前正在等待對手回應');
-            return false;
-        }
-
-        if (!pending && isResolveAction) {
-            this.sendError(playerId, '目前沒有等待處理的互動');
+            this.sendError(playerId, '玩家不在房間內', 'ERR_NOT_IN_ROOM');
             return false;
         }
-
         return true;
     }
 
-    // 處理玩家送出的行動（入口）
+    // 處理玩家送出的行動（入口，規則驗證交給引擎）
     handleAction(playerId, action) {
         if (!this.gameState) {
             console.warn(`⚠️ 房間 ${this.roomId} 尚未建立遊戲狀態，無法處理行動`);
-            this.sendError(playerId, '遊戲尚未準備完成');
+            this.sendError(playerId, '遊戲尚未準備完成', 'ERR_GAME_NOT_READY');
             return;
         }
 
@@ -1661,496 +2511,570 @@ class GameRoom {
             return;
         }
 
-        const player = this.getPlayerState(playerId);
-        if (!player) {
-            console.warn(`⚠️ 找不到玩家 ${playerId}，忽略行動 ${action?.type}`);
-            this.sendError(playerId, '玩家資料不存在');
-            return;
-        }
-
-        if (!this.validatePendingInteraction(action.type, playerId)) {
-            return;
-        }
+        const result = this.dispatchEngineAction({
+            type: action?.type,
+            playerId,
+            payload: action?.payload
+        });
 
-        if (this.gameState.phase !== 'playing' && !action.type.startsWith('RESOLVE_')) {
-            this.sendError(playerId, '目前無法執行行動');
-            return;
-        }
-
-        switch (action.type) {
-            case 'PLAY_SECRET':
-                if (!this.validatePlayerTurn(playerId) || !this.validateActionAvailable(player, 'secret')) {
-                    return;
-                }
-                this.handlePlaySecret(player, action.payload?.cardId);
-                break;
-            case 'PLAY_TRADE_OFF':
-                if (!this.validatePlayerTurn(playerId) || !this.validateActionAvailable(player, 'trade-off')) {
-                    return;
-                }
-                this.handleTradeOff(player, action.payload?.cardIds);
-                break;
-            case 'INITIATE_GIFT':
-                if (!this.validatePlayerTurn(playerId) || !this.validateActionAvailable(player, 'gift')) {
-                    return;
-                }
-                this.handleInitiateGift(player, action.payload?.cardIds);
-                break;
-            case 'RESOLVE_GIFT':
-                this.handleResolveGift(playerId, action.payload?.chosenCardId);
-                break;
-            case 'INITIATE_COMPETITION':
-                if (!this.validatePlayerTurn(playerId) || !this.validateActionAvailable(player, 'competition')) {
-                    return;
-                }
-                this.handleInitiateCompetition(player, action.payload?.groups);
-                break;
-            case 'RESOLVE_COMPETITION':
-                this.handleResolveCompetition(playerId, action.payload?.chosenGroupIndex);
-                break;
-            default:
-                console.warn(`⚠️ 未實作的行動類型: ${action.type}`);
+        if (result.error) {
+            console.warn(`⚠️ 玩家 ${playerId} 的行動 ${action?.type} 被拒絕: ${result.error.message}`);
+            // 規則引擎的欄位以行動為起點，轉成 GAME_ACTION payload 內的路徑
+            this.sendError(playerId, result.error.message, result.error.code, result.error.field ? `action.${result.error.field}` : null);
         }
     }
+}
 
-    // 執行密約行動（選 1 張卡蓋牌）
-    handlePlaySecret(player, cardId) {
-        if (!cardId) {
-            console.warn('⚠️ PLAY_SECRET 缺少 cardId');
-            this.sendError(player.id, '請選擇 1 張卡片作為密約');
-            return;
-        }
+// 已驗證並在線上的外部 Bot（botId → { ws, name }）
+const connectedBots = new Map();
 
-        const cardIndex = player.hand.findIndex(card => card.id === cardId);
-        if (cardIndex === -1) {
-            console.warn(`⚠️ 玩家 ${player.id} 的手牌中找不到卡片 ${cardId}`);
-            this.sendError(player.id, '卡片不在你的手牌中');
-            return;
+// 建立 Bot 座位的轉送連線：房間訊息附上 roomId 後送到 Bot 目前的連線（Bot 重新連線後自動改送新連線）
+function createBotSeatSocket(botId, roomId) {
+    return {
+        get readyState() {
+            return connectedBots.get(botId)?.ws.readyState ?? 3;
+        },
+        // 實際的 Bot 連線（請求回覆用來判斷錯誤是否送往發出請求的連線，緩衝過高時中斷的也是此連線）
+        get connection() {
+            return connectedBots.get(botId)?.ws ?? null;
+        },
+        get bufferedAmount() {
+            return connectedBots.get(botId)?.ws.bufferedAmount ?? 0;
+        },
+        send(data) {
+            const bot = connectedBots.get(botId);
+            if (!bot || bot.ws.readyState !== 1) {
+                return;
+            }
+            bot.ws.send(JSON.stringify({ ...JSON.parse(data), roomId }));
         }
+    };
+}
 
-        const [card] = player.hand.splice(cardIndex, 1);
-        player.secretCards.push(card);
+// 取得 Bot 所在的所有房間
+const findRoomsWithBot = (botId) =>
+    Array.from(gameRooms.values()).filter(room => room.botId === botId);
 
-        this.markActionTokenUsed(player, 'secret');
-        this.gameState.lastAction = { playerId: player.id, action: 'secret' };
+// 由 Redis 快照還原房間（只重建必要狀態）
+const restoreRoomFromSnapshot = (snapshot) => {
+    if (!snapshot?.roomId) {
+        return null;
+    }
 
-        this.players.forEach((recipient) => {
-            const shouldReveal = recipient.playerId === player.id;
-            this.sendToPlayer(recipient.playerId, {
-                type: 'ACTION_EXECUTED',
-                payload: {
-                    playerId: player.id,
-                    action: 'secret',
-                    cardIds: shouldReveal ? [card.id] : []
-                }
-            });
+    const room = new GameRoom(snapshot.roomId);
+    if (snapshot.seed !== undefined && snapshot.seed !== null) {
+        room.setSeed(snapshot.seed, snapshot.rngState ?? null);
+    }
+    room.hostId = snapshot.hostId ?? null;
+    room.geishaSet = snapshot.geishaSet ?? snapshot.gameState?.geishaSet ?? 'default';
+    room.npcSeats = new Map(Object.entries(snapshot.npcSeats ?? {}));
+    // 舊版快照只記錄單一 NPC
+    if (snapshot.npcId && !room.npcSeats.has(snapshot.npcId)) {
+        room.npcSeats.set(snapshot.npcId, {
+            difficulty: snapshot.npcDifficulty ?? 'easy',
+            personalityId: snapshot.npcPersonality ?? null
         });
-
-        this.broadcastGameState();
-        this.endTurn();
     }
+    room.npcPacing = snapshot.npcPacing ?? true;
+    room.isExhibition = snapshot.isExhibition ?? false;
+    room.teachingMode = snapshot.teachingMode ?? false;
+    room.npcBeliefs = new Map(Object.entries(snapshot.npcBeliefs ?? {}));
+    room.botId = snapshot.botId ?? null;
+    room.createdAt = snapshot.createdAt ?? Date.now();
+    room.seatNonce = snapshot.seatNonce ?? room.seatNonce;
+    room.baseGeishas = snapshot.baseGeishas ?? snapshot.gameState?.geishas ?? null;
+    room.gameState = snapshot.gameState ?? null;
+    room.actionLog = snapshot.actionLog ?? [];
+    room.timeControl = snapshot.timeControl ?? null;
+    room.timeBanks = new Map(Object.entries(snapshot.timeBanks ?? {}));
+    room.hintSettings = snapshot.hintSettings ?? normalizeHintSettings();
+    room.hintsUsed = new Map(Object.entries(snapshot.hintsUsed ?? {}));
+    room.seatAutopilot = snapshot.seatAutopilot ?? null;
+
+    room.npcSeats.forEach((seat, npcId) => {
+        const npcSocket = {
+            readyState: 1,
+            send: () => { }
+        };
+        room.players.push({ playerId: npcId, ws: npcSocket, isNpc: true });
+    });
 
-    // 執行取捨行動（選 2 張卡丟棄）
-    handleTradeOff(player, cardIds = []) {
-        if (!Array.isArray(cardIds) || cardIds.length !== 2) {
-            console.warn('⚠️ PLAY_TRADE_OFF 需要 2 張卡片');
-            this.sendError(player.id, '取捨必須選擇 2 張卡片');
-            return;
-        }
-
-        if (!this.validateCardOwnership(player, cardIds)) {
-            return;
-        }
+    if (room.botId) {
+        room.players.push({
+            playerId: room.botId,
+            ws: createBotSeatSocket(room.botId, room.roomId),
+            isBot: true,
+            name: getRegisteredBot(room.botId)?.name ?? room.botId
+        });
+    }
 
-        const collected = [];
+    return room;
+};
 
-        cardIds.forEach(cardId => {
-            const index = player.hand.findIndex(card => card.id === cardId);
-            if (index !== -1) {
-                collected.push(player.hand.splice(index, 1)[0]);
-            }
-        });
+// 取得房間（記憶體中沒有時嘗試由 Redis 快照還原）
+const findOrRestoreRoom = async (roomId) => {
+    let room = gameRooms.get(roomId);
+    if (room) {
+        return room;
+    }
 
-        if (collected.length !== 2) {
-            console.warn('⚠️ PLAY_TRADE_OFF 無法找到所有指定卡片');
-            player.hand.push(...collected); // 還原
-            this.sendError(player.id, '取捨卡片驗證失敗');
-            return;
+    const snapshot = await loadRoomSnapshot(roomId);
+    if (snapshot) {
+        room = restoreRoomFromSnapshot(snapshot);
+        if (room) {
+            gameRooms.set(roomId, room);
         }
+    }
 
-        player.discardedCards.push(...collected);
+    return room ?? null;
+};
 
-        this.markActionTokenUsed(player, 'trade-off');
-        this.gameState.lastAction = { playerId: player.id, action: 'trade-off' };
+// 將玩家移出房間並通知其他人（只剩 NPC 或無人時刪除房間）
+const removePlayerFromRoom = (room, playerId) => {
+    room.removePlayer(playerId);
+    room.broadcast({
+        type: 'PLAYER_LEFT',
+        payload: { playerId }
+    });
 
-        this.players.forEach((recipient) => {
-            const shouldReveal = recipient.playerId === player.id;
-            this.sendToPlayer(recipient.playerId, {
-                type: 'ACTION_EXECUTED',
-                payload: {
-                    playerId: player.id,
-                    action: 'trade-off',
-                    cardIds: shouldReveal ? cardIds : []
-                }
-            });
+    // 只剩 NPC 或外部 Bot 時沒有真人玩家，直接關閉房間
+    const hasOnlyAutomatedSeats = room.players.every(player => room.isNpcPlayerId(player.playerId) || room.isBotPlayerId(player.playerId));
+    if (room.players.length === 0 || hasOnlyAutomatedSeats) {
+        closeRoom(room);
+    }
+};
+
+// 關閉房間（通知觀戰者與外部 Bot 後刪除）
+const closeRoom = (room) => {
+    room.pauseTimers();
+    clearTimeout(room.unwatchedTimer);
+    room.sendToSpectators({
+        type: 'ROOM_CLOSED',
+        payload: { roomId: room.roomId }
+    });
+    if (room.botId && room.players.some(player => player.playerId === room.botId)) {
+        room.sendToPlayer(room.botId, {
+            type: 'ROOM_CLOSED',
+            payload: { roomId: room.roomId }
         });
+    }
+    gameRooms.delete(room.roomId);
+    void deleteRoomSnapshot(room.roomId);
+    console.log(`🗑️ 房間 ${room.roomId} 已刪除`);
+};
 
-        this.broadcastGameState();
-        this.endTurn();
+// 移除觀戰者；表演賽無人觀看超過 EXHIBITION_UNWATCHED_CLOSE_MS 時關閉房間（期間有人回來觀看則保留）
+const removeSpectatorFromRoom = (room, spectatorId) => {
+    room.removeSpectator(spectatorId);
+    if (!room.isExhibition || room.spectators.length > 0) {
+        return;
     }
 
-    // 執行贈予行動（選 3 張卡給對手挑）
-    handleInitiateGift(player, cardIds = []) {
-        if (!Array.isArray(cardIds) || cardIds.length !== 3) {
-            console.warn('⚠️ INITIATE_GIFT 需要 3 張卡片');
-            this.sendError(player.id, '贈予必須選擇 3 張卡片');
-            return;
+    clearTimeout(room.unwatchedTimer);
+    room.unwatchedTimer = setTimeout(() => {
+        room.unwatchedTimer = null;
+        if (gameRooms.get(room.roomId) === room && room.spectators.length === 0) {
+            console.log(`📺 表演賽房間 ${room.roomId} 無人觀看，關閉房間`);
+            closeRoom(room);
         }
+    }, EXHIBITION_UNWATCHED_CLOSE_MS);
+};
 
-        if (!this.validateCardOwnership(player, cardIds)) {
-            return;
-        }
+// WebSocket 連線入口（處理玩家進出與訊息）
+wss.on('connection', (ws, req) => {
+    const origin = req.headers.origin;
+    const clientAddress = getClientAddress(req);
+    console.log('🔌 客戶端已連接，來源:', origin, 'IP:', clientAddress);
+    trackConnection(ws);
+    // 每條連線與每個 IP 各自的訊息頻率限制
+    const rateLimiter = createConnectionLimiter(clientAddress);
 
-        const opponentId = this.getOpponentId(player.id);
-        if (!opponentId) {
-            console.warn('⚠️ 找不到對手，無法執行贈予');
-            this.sendError(player.id, '目前沒有對手可進行贈予');
+    let currentPlayerId = null;
+    let currentRoomId = null;
+    // 觀戰身分（與玩家身分互斥）
+    let currentSpectatorId = null;
+    // 外部 Bot 身分（驗證後可同時在多個房間入座）
+    let currentBotId = null;
+    // 協商結果（null 表示未送出 HELLO 的舊版客戶端）與是否已處理過其他訊息（HELLO 只能是第一則訊息）
+    let negotiatedProtocol = null;
+    let hasRoutedMessage = false;
+
+    // 未入座連線的請求紀錄（入座後改用房間內跟著座位的紀錄）
+    const connectionRequestLog = createRequestLog();
+
+    // 監聽客戶端訊息（帶 requestId 的訊息處理完後回覆 ACK / NACK）
+    ws.on('message', async (data) => {
+        // 已開始關閉的連線（例如因濫用被中斷）不再處理緩衝中剩餘的訊息
+        if (ws.readyState !== 1) {
             return;
         }
-
-        const offeredCards = [];
-        cardIds.forEach(cardId => {
-            const index = player.hand.findIndex(card => card.id === cardId);
-            if (index !== -1) {
-                offeredCards.push(player.hand.splice(index, 1)[0]);
+        markConnectionAlive(ws);
+        try {
+            const { message, error } = parseInboundMessage(data);
+            const requestId = typeof message?.requestId === 'string' && error?.field !== 'requestId' && supportsCapability('request-ack')
+                ? message.requestId
+                : null;
+            // 頻率限制在請求紀錄之前檢查，被限制的 requestId 等待後可以原值重送
+            const messageType = error ? null : message.type;
+            const limit = consumeRateLimit(rateLimiter, messageType);
+            if (!limit.allowed) {
+                rejectRateLimitedMessage(messageType, requestId, limit);
+                return;
             }
-        });
+            const processMessage = async () => {
+                // 所有訊息先經過格式驗證，不合法的訊息直接回傳錯誤碼與出錯欄位
+                if (error) {
+                    console.warn(`⚠️ 拒絕格式錯誤的訊息（${error.code}${error.field ? `：${error.field}` : ''}），來源: ${origin}`);
+                    sendSocketError(ws, error.message, error.code, error.field);
+                    return;
+                }
+                // 只記錄摘要，避免大量或過長的訊息塞滿日誌
+                console.log(`📨 收到訊息 ${message.type}${requestId ? `（${requestId}）` : ''}，${data.length} bytes，來源: ${origin}`);
+                // 未協商的連線視為舊版協定，低於最低版本時在第一則訊息就拒絕
+                if (message.type !== 'HELLO' && !negotiatedProtocol && LEGACY_PROTOCOL_VERSION < MIN_PROTOCOL_VERSION) {
+                    console.warn(`⚠️ 拒絕未協商協定版本的客戶端，來源: ${origin}`);
+                    rejectOutdatedClient(ws, LEGACY_PROTOCOL_VERSION);
+                    return;
+                }
+                await routeMessage(message);
+            };
 
-        if (offeredCards.length !== 3) {
-            console.warn('⚠️ INITIATE_GIFT 無法找到所有指定卡片');
-            player.hand.push(...offeredCards);
-            this.sendError(player.id, '贈予卡片驗證失敗');
-            return;
+            if (requestId === null) {
+                await processMessage();
+                return;
+            }
+            await runTrackedRequest({ ws, requestLog: getRequestLog(), requestId, reply: sendToConnection }, processMessage);
+        } catch (error) {
+            console.error('❌ 訊息處理錯誤:', error);
         }
+    });
 
-        this.markActionTokenUsed(player, 'gift');
-        this.gameState.pendingInteraction = {
-            type: 'GIFT_SELECTION',
-            initiatorId: player.id,
-            targetPlayerId: opponentId,
-            offeredCards
-        };
+    // 回覆超過頻率限制的訊息；短時間內多次超過限制的連線視為濫用並中斷
+    function rejectRateLimitedMessage(messageType, requestId, { retryAfterMs, scope }) {
+        recordRejectedMessage('rateLimited');
+        console.warn(`🚦 訊息 ${messageType ?? '（格式錯誤）'} 超過頻率限制（${scope === 'ip' ? 'IP' : '連線'}），IP: ${clientAddress}`);
+        const error = sendRateLimitedError(ws, '訊息過於頻繁，請稍後再試', retryAfterMs);
+        if (requestId !== null) {
+            sendToConnection({ type: 'NACK', payload: { requestId, ...error } });
+        }
 
-        this.gameState.lastAction = { playerId: player.id, action: 'gift' };
+        if (recordRateLimitViolation(rateLimiter)) {
+            console.warn(`⛔ 連線多次超過頻率限制，中斷連線，IP: ${clientAddress}`);
+            closeConnection(ws, 'rateLimited', RATE_LIMIT_CLOSE_CODE, 'Rate limit exceeded');
+        }
+    }
 
-        this.broadcast({
-            type: 'PENDING_INTERACTION',
-            payload: this.gameState.pendingInteraction
+    // 來源 IP 開啟的房間是否已達上限（房間關閉後釋出名額）
+    function hasReachedRoomLimit() {
+        let openRooms = 0;
+        gameRooms.forEach((room) => {
+            if (room.creatorAddress === clientAddress) {
+                openRooms += 1;
+            }
         });
-
-        this.broadcastGameState();
-
-        // 若目標是 NPC，安排自動回應
-        if (this.isNpcPlayerId(opponentId)) {
-            this.scheduleNpcResponse();
+        if (openRooms < MAX_ROOMS_PER_CLIENT) {
+            return false;
         }
-    }
 
-    // 處理對手回應贈予（選 1 張卡）
-    handleResolveGift(playerId, chosenCardId) {
-        const pending = this.gameState?.pendingInteraction;
+        recordRejectedMessage('roomLimit');
+        console.warn(`🚦 IP ${clientAddress} 開啟的房間已達上限 ${MAX_ROOMS_PER_CLIENT}`);
+        sendRateLimitedError(ws, `同時開啟的房間已達上限（${MAX_ROOMS_PER_CLIENT} 間），請先關閉其他房間`);
+        return true;
+    }
 
-        if (!pending || pending.type !== 'GIFT_SELECTION') {
-            console.warn('⚠️ 當前沒有贈予互動等待處理');
-            this.sendError(playerId, '目前沒有等待處理的贈予');
-            return;
+    // 依訊息類型分派處理
+    async function routeMessage(message) {
+        if (message.type !== 'HELLO') {
+            hasRoutedMessage = true;
         }
+        // 沒有必填欄位的訊息可以省略 payload（驗證時也以空物件檢查）
+        const payload = message.payload ?? {};
 
-        if (pending.targetPlayerId !== playerId) {
-            console.warn('⚠️ 非目標玩家嘗試處理贈予');
-            this.sendError(playerId, '你不是贈予的目標玩家');
-            return;
+        switch (message.type) {
+            case 'HELLO':
+                handleHello(ws, payload);
+                break;
+            case 'JOIN_ROOM':
+                await handleJoinRoom(ws, payload);
+                break;
+            case 'CREATE_ROOM':
+                await handleCreateRoom(ws, payload);
+                break;
+            case 'CONFIRM_ORDER':
+                handleConfirmOrder(ws, payload);
+                break;
+            case 'GAME_ACTION':
+                handleGameAction(ws, payload);
+                break;
+            case 'READY_CONFIRM':
+                handleReadyConfirm(ws, payload);
+                break;
+            case 'REMATCH_REQUEST':
+                handleRematchRequest(ws, payload);
+                break;
+            case 'SPECTATE_ROOM':
+                await handleSpectateRoom(ws, payload);
+                break;
+            case 'LEAVE_ROOM':
+                handleLeaveRoom(ws);
+                break;
+            case 'REQUEST_HINT':
+                handleRequestHint(ws, payload);
+                break;
+            case 'BOT_AUTH':
+                handleBotAuth(ws, payload);
+                break;
+            case 'BOT_ACTION':
+                handleBotAction(ws, payload);
+                break;
+            case 'STATE_ACK':
+                handleStateAck(ws, payload);
+                break;
+            case 'RESYNC':
+                handleResync(ws, payload);
+                break;
+            default:
+                console.warn('⚠️ 未知訊息類型:', message.type);
         }
+    }
 
-        const chosenCard = pending.offeredCards.find(card => card.id === chosenCardId);
-        if (!chosenCard) {
-            console.warn('⚠️ RESOLVE_GIFT 選擇的卡片不存在');
-            this.sendError(playerId, '選擇的卡片不存在');
+    // 協定協商：只能是連線的第一則訊息，版本過舊時回傳需要升級的錯誤並關閉連線
+    function handleHello(ws, payload) {
+        if (negotiatedProtocol || hasRoutedMessage) {
+            sendSocketError(ws, 'HELLO 只能在連線開始時送出一次', 'ERR_HANDSHAKE_OUT_OF_ORDER');
             return;
         }
 
-        const opponent = this.getPlayerState(pending.initiatorId);
-        const receiver = this.getPlayerState(playerId);
-
-        if (!opponent || !receiver) {
-            console.warn('⚠️ 找不到贈予雙方玩家');
-            this.sendError(playerId, '找不到贈予對象');
+        const result = negotiateProtocol(payload);
+        if (result.error) {
+            console.warn(`⚠️ 客戶端協定版本 ${payload.protocolVersion} 過舊（最低 ${MIN_PROTOCOL_VERSION}），來源: ${origin}`);
+            rejectOutdatedClient(ws, payload.protocolVersion);
             return;
         }
 
-        // 贈予結果：卡片直接加入各自的藝妓區（以 playedCards 代表）
-        receiver.playedCards.push(chosenCard);
+        negotiatedProtocol = { version: result.version, capabilities: new Set(result.capabilities) };
+        console.log(`🤝 協定協商完成：版本 ${result.version}，功能：${result.capabilities.join(', ') || '無'}，來源：${origin}`);
+        ws.send(JSON.stringify({
+            type: 'WELCOME',
+            payload: buildWelcomePayload(result)
+        }));
+    }
 
-        const remaining = pending.offeredCards.filter(card => card.id !== chosenCardId);
-        opponent.playedCards.push(...remaining);
+    // 連線是否啟用指定功能（未協商的舊版客戶端維持所有功能的原本行為）
+    function supportsCapability(capability) {
+        return !negotiatedProtocol || negotiatedProtocol.capabilities.has(capability);
+    }
 
-        this.gameState.pendingInteraction = null;
+    // 使用未協商的功能時回傳錯誤（field 為啟用該功能的欄位）
+    function requireCapability(ws, capability, field) {
+        if (supportsCapability(capability)) {
+            return true;
+        }
 
-        this.broadcast({
-            type: 'INTERACTION_RESOLVED',
-            payload: {
-                interaction: 'GIFT_SELECTION',
-                initiatorId: opponent.id,
-                targetPlayerId: receiver.id,
-                chosenCardId
-            }
-        });
+        sendSocketError(ws, `此連線未啟用 ${capability} 功能`, 'ERR_CAPABILITY_NOT_NEGOTIATED', field);
+        return false;
+    }
 
-        this.broadcastGameState();
-        this.endTurn();
+    // 取得目前身分的請求紀錄（入座的玩家跟著座位保留）
+    function getRequestLog() {
+        const room = currentPlayerId ? gameRooms.get(currentRoomId) : null;
+        return room ? room.getRequestLog(currentPlayerId) : connectionRequestLog;
     }
 
-    // 執行競爭行動（選 4 張卡分 2 組）
-    handleInitiateCompetition(player, groups = []) {
-        if (!Array.isArray(groups) || groups.length !== 2 || groups.some(group => group.length !== 2)) {
-            console.warn('⚠️ INITIATE_COMPETITION 需要分成兩組且每組 2 張');
-            this.sendError(player.id, '競爭必須分成兩組，每組 2 張卡片');
+    // 傳送訊息給目前連線（已在房間內時經由房間送出以帶上序號）
+    function sendToConnection(message) {
+        const room = gameRooms.get(currentRoomId);
+        if (room && currentPlayerId) {
+            room.sendToPlayer(currentPlayerId, message);
             return;
         }
-
-        const opponentId = this.getOpponentId(player.id);
-        if (!opponentId) {
-            console.warn('⚠️ 找不到對手，無法進行競爭');
-            this.sendError(player.id, '目前沒有對手可進行競爭');
+        if (room && currentSpectatorId) {
+            room.sendToSpectator(currentSpectatorId, message);
             return;
         }
+        if (ws.readyState === 1) {
+            ws.send(JSON.stringify(message));
+        }
+    }
 
-        const flattened = groups.flat();
-
-        if (!this.validateCardOwnership(player, flattened)) {
-            return;
+    // 連線關閉時清理狀態
+    ws.on('close', () => {
+        if (currentBotId) {
+            handleBotDisconnect(ws);
         }
-        const extractedCards = [];
 
-        flattened.forEach(cardId => {
-            const index = player.hand.findIndex(card => card.id === cardId);
-            if (index !== -1) {
-                extractedCards.push(player.hand.splice(index, 1)[0]);
-            }
-        });
+        const room = currentRoomId ? gameRooms.get(currentRoomId) : null;
+        if (room && currentPlayerId && room.isPlayerSocket(currentPlayerId, ws) && room.isGameInProgress()) {
+            // 對局中斷線：保留座位等待重新連線
+            room.markPlayerDisconnected(currentPlayerId);
+        } else if (room && currentPlayerId && !room.isPlayerSocket(currentPlayerId, ws)) {
+            // 玩家已由新連線接手座位，舊連線關閉不做處理
+        } else if (currentRoomId && (currentPlayerId || currentSpectatorId)) {
+            handleLeaveRoom(ws);
+        }
+        console.log('🔌 客戶端已斷線，來源:', origin);
+    });
 
-        if (extractedCards.length !== 4) {
-            console.warn('⚠️ INITIATE_COMPETITION 無法找到所有指定卡片');
-            player.hand.push(...extractedCards);
-            this.sendError(player.id, '競爭卡片驗證失敗');
+    // 外部 Bot 驗證（成功後接手斷線中的 Bot 座位）
+    function handleBotAuth(ws, payload) {
+        if (currentPlayerId || currentSpectatorId) {
+            sendSocketError(ws, '玩家或觀戰連線無法切換為 Bot', 'ERR_BOT_AUTH_FAILED');
             return;
         }
 
-        // 根據原分組恢復卡片資料
-        const groupedCards = groups.map(group => group.map(cardId => extractedCards.find(card => card.id === cardId)).filter(Boolean));
-
-        if (groupedCards.some(group => group.length !== 2)) {
-            console.warn('⚠️ INITIATE_COMPETITION 組別卡片無法匹配');
-            player.hand.push(...extractedCards);
-            this.sendError(player.id, '競爭分組驗證失敗');
+        const botId = payload?.botId;
+        if (!verifyBotCredentials(botId, payload?.secret)) {
+            console.warn(`⚠️ Bot 驗證失敗：${botId}，來源：${origin}`);
+            sendSocketError(ws, 'Bot 驗證失敗', 'ERR_BOT_AUTH_FAILED');
             return;
         }
 
-        this.markActionTokenUsed(player, 'competition');
-        this.gameState.pendingInteraction = {
-            type: 'COMPETITION_SELECTION',
-            initiatorId: player.id,
-            targetPlayerId: opponentId,
-            groups: groupedCards
-        };
+        const { name } = getRegisteredBot(botId);
+        connectedBots.set(botId, { ws, name });
+        currentBotId = botId;
+        console.log(`🤝 外部 Bot ${botId} 已驗證，來源：${origin}`);
 
-        this.gameState.lastAction = { playerId: player.id, action: 'competition' };
+        ws.send(JSON.stringify({
+            type: 'BOT_AUTHENTICATED',
+            payload: {
+                botId,
+                name,
+                protocolVersion: BOT_PROTOCOL_VERSION,
+                decisionTimeoutMs: BOT_DECISION_TIMEOUT_MS
+            }
+        }));
 
-        this.broadcast({
-            type: 'PENDING_INTERACTION',
-            payload: this.gameState.pendingInteraction
+        findRoomsWithBot(botId).forEach((room) => {
+            if (room.isPlayerDisconnected(botId)) {
+                room.markPlayerReconnected(botId);
+            } else {
+                room.sendFullResync(botId);
+                room.requestBotDecision();
+            }
         });
+    }
 
-        this.broadcastGameState();
-
-        // 若目標是 NPC，安排自動回應
-        if (this.isNpcPlayerId(opponentId)) {
-            this.scheduleNpcResponse();
-        }
-    }
-
-    // 處理對手回應競爭（選 1 組）
-    handleResolveCompetition(playerId, chosenGroupIndex) {
-        const pending = this.gameState?.pendingInteraction;
-
-        if (!pending || pending.type !== 'COMPETITION_SELECTION') {
-            console.warn('⚠️ 當前沒有競爭互動等待處理');
-            this.sendError(playerId, '目前沒有等待處理的競爭');
-            return;
-        }
-
-        if (pending.targetPlayerId !== playerId) {
-            console.warn('⚠️ 非目標玩家嘗試處理競爭');
-            this.sendError(playerId, '你不是競爭的目標玩家');
+    // 外部 Bot 回應決策請求
+    function handleBotAction(ws, payload) {
+        if (!currentBotId) {
+            sendSocketError(ws, '尚未完成 Bot 驗證', 'ERR_BOT_NOT_AUTHENTICATED');
             return;
         }
 
-        const selectedGroup = pending.groups[chosenGroupIndex];
-        if (!selectedGroup) {
-            console.warn('⚠️ RESOLVE_COMPETITION 選擇的組別不存在');
-            this.sendError(playerId, '選擇的組別不存在');
+        const room = gameRooms.get(payload?.roomId);
+        if (!room || !room.isBotPlayerId(currentBotId)) {
+            sendSocketError(ws, '房間不存在', 'ERR_ROOM_NOT_FOUND', 'roomId');
             return;
         }
 
-        const opponentGroupIndex = chosenGroupIndex === 0 ? 1 : 0;
-        const opponentGroup = pending.groups[opponentGroupIndex];
-
-        const initiator = this.getPlayerState(pending.initiatorId);
-        const receiver = this.getPlayerState(playerId);
+        room.handleBotAction(payload.requestId, payload.action);
+    }
 
-        if (!initiator || !receiver) {
-            console.warn('⚠️ 找不到競爭雙方玩家');
-            this.sendError(playerId, '找不到競爭對象');
+    // Bot 連線中斷：對局中保留座位等待重新驗證，尚未開始的房間直接讓出座位
+    function handleBotDisconnect(ws) {
+        if (connectedBots.get(currentBotId)?.ws !== ws) {
             return;
         }
 
-        // 競爭結果：卡片直接加入各自的藝妓區（以 playedCards 代表）
-        receiver.playedCards.push(...selectedGroup);
-        initiator.playedCards.push(...opponentGroup);
-
-        this.gameState.pendingInteraction = null;
-
-        this.broadcast({
-            type: 'INTERACTION_RESOLVED',
-            payload: {
-                interaction: 'COMPETITION_SELECTION',
-                initiatorId: initiator.id,
-                targetPlayerId: receiver.id,
-                chosenGroupIndex
+        connectedBots.delete(currentBotId);
+        findRoomsWithBot(currentBotId).forEach((room) => {
+            if (room.isGameInProgress()) {
+                room.markPlayerDisconnected(currentBotId);
+                return;
             }
+            removePlayerFromRoom(room, currentBotId);
         });
-
-        this.broadcastGameState();
-        this.endTurn();
-    }
-}
-
-// 由 Redis 快照還原房間（只重建必要狀態）
-const restoreRoomFromSnapshot = (snapshot) => {
-    if (!snapshot?.roomId) {
-        return null;
-    }
-
-    const room = new GameRoom(snapshot.roomId);
-    room.hostId = snapshot.hostId ?? null;
-    room.geishaSet = snapshot.geishaSet ?? snapshot.gameState?.geishaSet ?? 'default';
-    room.npcId = snapshot.npcId ?? null;
-    room.npcDifficulty = snapshot.npcDifficulty ?? null;
-    room.createdAt = snapshot.createdAt ?? Date.now();
-    room.baseGeishas = snapshot.baseGeishas ?? snapshot.gameState?.geishas ?? null;
-    room.gameState = snapshot.gameState ?? null;
-
-    if (room.npcId) {
-        const npcSocket = {
-            readyState: 1,
-            send: () => { }
-        };
-        room.players.push({ playerId: room.npcId, ws: npcSocket, isNpc: true });
+        console.log(`🤝 外部 Bot ${currentBotId} 已離線`);
     }
 
-    return room;
-};
-
-// WebSocket 連線入口（處理玩家進出與訊息）
-wss.on('connection', (ws, req) => {
-    const origin = req.headers.origin;
-    console.log('🔌 客戶端已連接，來源:', origin);
-
-    let currentPlayerId = null;
-    let currentRoomId = null;
-
-    // 監聽客戶端訊息
-    ws.on('message', async (data) => {
-        try {
-            const message = JSON.parse(data.toString());
-            console.log('📨 收到訊息:', message, '來源:', origin);
+    // 建立房間流程（含基本參數驗證）
+    async function handleCreateRoom(ws, payload) {
+        if (currentSpectatorId) {
+            handleLeaveRoom(ws);
+        }
 
-            switch (message.type) {
-                case 'JOIN_ROOM':
-                    await handleJoinRoom(ws, message.payload);
-                    break;
-                case 'CREATE_ROOM':
-                    await handleCreateRoom(ws, message.payload);
-                    break;
-                case 'CONFIRM_ORDER':
-                    handleConfirmOrder(ws, message.payload);
-                    break;
-                case 'GAME_ACTION':
-                    handleGameAction(ws, message.payload);
-                    break;
-                case 'READY_CONFIRM':
-                    handleReadyConfirm(ws, message.payload);
-                    break;
-                case 'REMATCH_REQUEST':
-                    handleRematchRequest(ws, message.payload);
-                    break;
-                case 'LEAVE_ROOM':
-                    handleLeaveRoom(ws);
-                    break;
-                default:
-                    console.warn('⚠️ 未知訊息類型:', message.type);
+        if (payload?.mode === 'exhibition') {
+            if (!requireCapability(ws, 'exhibition', 'mode')) {
+                return;
             }
-        } catch (error) {
-            console.error('❌ 訊息解析錯誤:', error);
+            handleCreateExhibition(ws, payload);
+            return;
         }
-    });
 
-    // 連線關閉時清理狀態
-    ws.on('close', () => {
-        if (currentRoomId && currentPlayerId) {
-            handleLeaveRoom(ws);
+        if (currentBotId) {
+            sendSocketError(ws, 'Bot 連線無法建立房間', 'ERR_CONNECTION_ROLE');
+            return;
         }
-        console.log('🔌 客戶端已斷線，來源:', origin);
-    });
 
-    // 建立房間流程（含基本參數驗證）
-    async function handleCreateRoom(ws, payload) {
-        if (!payload?.playerId) {
-            ws.send(JSON.stringify({
-                type: 'ERROR',
-                payload: { message: '缺少 playerId' }
-            }));
+        const mode = payload.mode === 'npc' || payload.mode === 'bot' ? payload.mode : 'online';
+        // 對戰外部 Bot：Bot 必須已註冊且在線上
+        const bot = mode === 'bot' ? connectedBots.get(payload.botId) : null;
+        if (mode === 'bot' && (!bot || payload.botId === payload.playerId)) {
+            sendSocketError(ws, '指定的 Bot 不存在或不在線上', 'ERR_BOT_UNAVAILABLE');
+            return;
+        }
+        if (mode === 'npc' && payload.teaching === true && !requireCapability(ws, 'teaching', 'teaching')) {
+            return;
+        }
+        const seatAutopilot = mode === 'online' ? normalizeSeatAutopilot(payload.seatAutopilot) : null;
+        if (seatAutopilot && !requireCapability(ws, 'seat-autopilot', 'seatAutopilot')) {
+            return;
+        }
+
+        if (hasReachedRoomLimit()) {
             return;
         }
 
-        const mode = payload.mode === 'npc' ? 'npc' : 'online';
         const aiDifficulty = normalizeNpcDifficulty(payload.aiDifficulty ?? 'easy');
-        const geishaSet = (payload.geishaSet === 'akatsuki' || payload.geishaSet === 'onesan' || payload.geishaSet === 'collaboration')
-            ? payload.geishaSet
-            : 'default';
+        // 未知的個性 ID 視為未指定（沿用難度的預設權重與名稱）
+        const aiPersonality = getNpcPersonality(payload.aiPersonality)?.id ?? null;
+        const geishaSet = normalizeGeishaSet(payload.geishaSet);
 
         const roomId = generateRoomId();
-        const room = new GameRoom(roomId);
+        // 僅在允許時接受客戶端指定種子（知道種子即可推算牌序，正式環境不可開放）
+        const requestedSeed = ALLOW_CLIENT_SEED ? normalizeSeed(payload.seed) : null;
+        const room = new GameRoom(roomId, requestedSeed ?? createSeed());
+        room.creatorAddress = clientAddress;
         gameRooms.set(roomId, room);
 
         currentPlayerId = payload.playerId;
         currentRoomId = roomId;
         room.hostId = currentPlayerId;
         room.geishaSet = geishaSet;
+        room.timeControl = normalizeTimeControl(payload.timeControl);
+        room.hintSettings = normalizeHintSettings(payload.hints);
+        room.seatAutopilot = seatAutopilot;
+        room.teachingMode = mode === 'npc' && payload.teaching === true;
         room.baseGeishas = createRandomizedGeishas(geishaSet);
 
         room.addPlayer(currentPlayerId, ws, normalizePlayerMeta(currentPlayerId, payload));
 
         if (mode === 'npc') {
-            room.addNpcPlayer(aiDifficulty);
+            room.addNpcPlayer(aiDifficulty, aiPersonality);
+        }
+
+        if (mode === 'bot') {
+            room.addBotPlayer(payload.botId, bot.name);
+            room.sendToPlayer(payload.botId, {
+                type: 'BOT_ROOM_ASSIGNED',
+                payload: { playerId: payload.botId, opponentId: currentPlayerId }
+            });
         }
 
-        console.log(`🏠 房間 ${roomId} 已建立，創建者：${currentPlayerId}，來源：${origin}`);
+        console.log(`🏠 房間 ${roomId} 已建立，創建者：${currentPlayerId}，種子：${room.seed}，來源：${origin}`);
 
-        ws.send(JSON.stringify({
+        room.sendToPlayer(currentPlayerId, {
             type: 'ROOM_CREATED',
-            payload: { roomId, playerId: currentPlayerId }
-        }));
+            payload: {
+                roomId,
+                playerId: currentPlayerId,
+                seatToken: createSeatToken(roomId, room.seatNonce, currentPlayerId),
+                timeControl: room.timeControl,
+                hints: room.hintSettings,
+                seatAutopilot: room.seatAutopilot,
+                teaching: room.teachingMode
+            }
+        });
 
         const initialGameState = createWaitingGameState(
             roomId,
@@ -2174,46 +3098,119 @@ wss.on('connection', (ws, req) => {
         }
     }
 
-    // 加入房間流程（含房間與參數驗證）
-    async function handleJoinRoom(ws, payload) {
-        if (!payload?.roomId || !payload?.playerId) {
-            ws.send(JSON.stringify({
-                type: 'ERROR',
-                payload: { message: '缺少 roomId 或 playerId' }
-            }));
+    // 建立表演賽房間：雙方座位皆為 NPC（各自指定難度與個性），建立者以觀戰者身分觀看
+    // npcs：[{ difficulty, personality }, ...]（未指定的座位使用 easy）；pacing: false 時 NPC 不等待思考時間
+    // teaching: true 時觀戰者會收到雙方 NPC 的決策說明
+    function handleCreateExhibition(ws, payload) {
+        if (currentPlayerId || currentBotId) {
+            sendSocketError(ws, '玩家或 Bot 連線無法建立表演賽', 'ERR_CONNECTION_ROLE');
+            return;
+        }
+        if (payload.teaching === true && !requireCapability(ws, 'teaching', 'teaching')) {
             return;
         }
 
-        const { roomId, playerId } = payload;
-        let room = gameRooms.get(roomId);
+        if (hasReachedRoomLimit()) {
+            return;
+        }
 
-        if (!room) {
-            const snapshot = await loadRoomSnapshot(roomId);
-            if (snapshot) {
-                room = restoreRoomFromSnapshot(snapshot);
-                if (room) {
-                    gameRooms.set(roomId, room);
-                }
+        const geishaSet = normalizeGeishaSet(payload.geishaSet);
+        const npcs = Array.isArray(payload.npcs) ? payload.npcs : [];
+
+        const roomId = generateRoomId();
+        const requestedSeed = ALLOW_CLIENT_SEED ? normalizeSeed(payload.seed) : null;
+        const room = new GameRoom(roomId, requestedSeed ?? createSeed());
+        room.creatorAddress = clientAddress;
+        gameRooms.set(roomId, room);
+
+        room.isExhibition = true;
+        room.npcPacing = payload.pacing !== false;
+        room.teachingMode = payload.teaching === true;
+        room.geishaSet = geishaSet;
+        room.hintSettings = normalizeHintSettings(false);
+        room.baseGeishas = createRandomizedGeishas(geishaSet);
+        for (let seat = 0; seat < room.maxPlayers; seat += 1) {
+            room.addNpcPlayer(
+                normalizeNpcDifficulty(npcs[seat]?.difficulty ?? 'easy'),
+                getNpcPersonality(npcs[seat]?.personality)?.id ?? null
+            );
+        }
+
+        const spectatorId = typeof payload.spectatorId === 'string' && payload.spectatorId.trim()
+            ? payload.spectatorId.trim()
+            : `spectator-${randomUUID()}`;
+        currentSpectatorId = spectatorId;
+        currentRoomId = roomId;
+        room.addSpectator(spectatorId, ws, payload);
+
+        console.log(`📺 表演賽房間 ${roomId} 已建立，對戰：${room.players.map(player => player.playerId).join(' vs ')}，種子：${room.seed}，來源：${origin}`);
+
+        room.sendToSpectator(spectatorId, {
+            type: 'EXHIBITION_CREATED',
+            payload: {
+                roomId,
+                spectatorId,
+                pacing: room.npcPacing,
+                teaching: room.teachingMode,
+                players: room.players.map(player => ({
+                    playerId: player.playerId,
+                    name: player.name ?? player.playerId,
+                    ...room.npcSeats.get(player.playerId)
+                }))
             }
+        });
+
+        room.gameState = createWaitingGameState(
+            roomId,
+            room.players.map(p => p.playerId),
+            room.baseGeishas,
+            room.geishaSet,
+            room.getPlayerMetaMap()
+        );
+        room.broadcastGameState();
+        room.persistRoomSnapshot();
+
+        setTimeout(() => {
+            room.startOrderDecision();
+        }, 800);
+    }
+
+    // 加入房間流程（含房間與參數驗證）
+    async function handleJoinRoom(ws, payload) {
+        if (currentSpectatorId) {
+            handleLeaveRoom(ws);
         }
 
+        const { roomId, playerId } = payload;
+        const room = await findOrRestoreRoom(roomId);
+
         if (!room) {
-            ws.send(JSON.stringify({
-                type: 'ERROR',
-                payload: { message: '房間不存在' }
-            }));
+            sendSocketError(ws, '房間不存在', 'ERR_ROOM_NOT_FOUND', 'roomId');
             return;
         }
         if (!room.baseGeishas) {
             room.baseGeishas = createRandomizedGeishas(room.geishaSet ?? 'default');
         }
-        const result = room.addPlayer(playerId, ws, normalizePlayerMeta(playerId, payload));
+        const result = room.addPlayer(playerId, ws, normalizePlayerMeta(playerId, payload), payload.seatToken);
+
+        if (result === 'unauthorized') {
+            const hasToken = typeof payload.seatToken === 'string' && payload.seatToken.length > 0;
+            sendSocketError(
+                ws,
+                hasToken ? '座位憑證無效' : '重新連線需要座位憑證',
+                hasToken ? 'ERR_INVALID_SEAT_TOKEN' : 'ERR_SEAT_TOKEN_REQUIRED',
+                'seatToken'
+            );
+            return;
+        }
+
+        if (result === 'reserved') {
+            sendSocketError(ws, '此座位由 NPC 或 Bot 使用，無法加入', 'ERR_SEAT_RESERVED', 'playerId');
+            return;
+        }
 
         if (result === 'full') {
-            ws.send(JSON.stringify({
-                type: 'ERROR',
-                payload: { message: '房間已滿' }
-            }));
+            sendSocketError(ws, '房間已滿', 'ERR_ROOM_FULL');
             return;
         }
 
@@ -2222,22 +3219,24 @@ wss.on('connection', (ws, req) => {
 
         if (result === 'existing') {
             console.log(`♻️ 玩家 ${playerId} 已在房間 ${roomId}，同步當前狀態`);
-            if (room.gameState) {
-                const payloadState = room.buildClientGameState(playerId);
-                ws.send(JSON.stringify({
-                    type: 'GAME_STATE_UPDATED',
-                    payload: payloadState
-                }));
+            if (room.isPlayerDisconnected(playerId)) {
+                room.markPlayerReconnected(playerId);
+                return;
             }
+            room.sendFullResync(playerId);
             return;
         }
 
         console.log(`👤 玩家 ${playerId} 加入房間 ${roomId}，來源：${origin}`);
 
-        ws.send(JSON.stringify({
+        room.sendToPlayer(playerId, {
             type: 'PLAYER_JOINED',
-            payload: { playerId, roomId }
-        }));
+            payload: {
+                playerId,
+                roomId,
+                seatToken: createSeatToken(roomId, room.seatNonce, playerId)
+            }
+        });
 
         const updatedGameState = createWaitingGameState(
             roomId,
@@ -2261,10 +3260,69 @@ wss.on('connection', (ws, req) => {
         }
     }
 
+    // 觀戰房間流程（不佔座位，只接收遮蔽後的狀態）
+    async function handleSpectateRoom(ws, payload) {
+        if (currentPlayerId) {
+            sendSocketError(ws, '玩家無法同時觀戰', 'ERR_CONNECTION_ROLE');
+            return;
+        }
+        if (!requireCapability(ws, 'spectate')) {
+            return;
+        }
+
+        const room = await findOrRestoreRoom(payload.roomId);
+        if (!room) {
+            sendSocketError(ws, '房間不存在', 'ERR_ROOM_NOT_FOUND', 'roomId');
+            return;
+        }
+
+        // 切換觀戰房間時先離開原房間
+        if (currentSpectatorId && currentRoomId && currentRoomId !== room.roomId) {
+            const previousRoom = gameRooms.get(currentRoomId);
+            if (previousRoom) {
+                removeSpectatorFromRoom(previousRoom, currentSpectatorId);
+            }
+        }
+
+        const spectatorId = typeof payload.spectatorId === 'string' && payload.spectatorId.trim()
+            ? payload.spectatorId.trim()
+            : `spectator-${randomUUID()}`;
+
+        currentSpectatorId = spectatorId;
+        currentRoomId = room.roomId;
+        room.addSpectator(spectatorId, ws, payload);
+
+        room.sendToSpectator(spectatorId, {
+            type: 'SPECTATE_JOINED',
+            payload: {
+                roomId: room.roomId,
+                spectatorId,
+                players: room.players.map(player => ({
+                    playerId: player.playerId,
+                    name: player.name ?? player.playerId
+                }))
+            }
+        });
+
+        if (room.gameState) {
+            room.sendGameStateTo(getSpectatorSyncKey(spectatorId), 'GAME_STATE_UPDATED', room.buildSpectatorGameState());
+        }
+    }
+
+    // 取得目前連線入座的房間（未入座時回傳錯誤並回傳 null）
+    function findCurrentPlayerRoom(ws) {
+        const room = currentPlayerId ? gameRooms.get(currentRoomId) : null;
+        if (!room) {
+            sendSocketError(ws, '尚未加入房間', 'ERR_NOT_IN_ROOM');
+            return null;
+        }
+        return room;
+    }
+
     // 玩家確認順序（等待雙方確認後開始遊戲）
     function handleConfirmOrder(ws, payload) {
-        const room = gameRooms.get(currentRoomId);
-        if (!room || !currentPlayerId) {
+        const room = findCurrentPlayerRoom(ws);
+        if (!room) {
             return;
         }
         room.confirmOrder(currentPlayerId);
@@ -2272,14 +3330,8 @@ wss.on('connection', (ws, req) => {
 
     // 處理遊戲行動（含基本驗證）
     function handleGameAction(ws, payload) {
-        const room = gameRooms.get(currentRoomId);
-        if (!room || !currentPlayerId) {
-            return;
-        }
-
-        if (!payload || !payload.action || !payload.action.type) {
-            console.warn('⚠️ GAME_ACTION 缺少 action 內容');
-            room.sendError(currentPlayerId, '缺少行動內容');
+        const room = findCurrentPlayerRoom(ws);
+        if (!room) {
             return;
         }
 
@@ -2288,71 +3340,111 @@ wss.on('connection', (ws, req) => {
 
     // 玩家準備確認
     function handleReadyConfirm(ws, payload) {
-        const room = gameRooms.get(currentRoomId);
-        if (!room || !currentPlayerId) {
+        const room = findCurrentPlayerRoom(ws);
+        if (!room) {
             return;
         }
 
         room.confirmReady(currentPlayerId);
     }
 
+    // 玩家請求行動提示
+    function handleRequestHint(ws, payload) {
+        if (!requireCapability(ws, 'hints')) {
+            return;
+        }
+
+        const room = findCurrentPlayerRoom(ws);
+        if (!room) {
+            return;
+        }
+
+        room.handleHintRequest(currentPlayerId);
+    }
+
     // 再來一場請求
     function handleRematchRequest(ws, payload) {
-        const room = gameRooms.get(currentRoomId);
-        if (!room || !currentPlayerId) {
+        const room = findCurrentPlayerRoom(ws);
+        if (!room) {
             return;
         }
 
         room.requestRematch(currentPlayerId);
     }
 
+    // 取得目前連線在房間內的同步串流（Bot 連線可能同時在多個房間，需指定 roomId）
+    function findSyncTarget(ws, payload) {
+        if (currentBotId) {
+            const room = gameRooms.get(payload.roomId);
+            if (!room || !room.isBotPlayerId(currentBotId)) {
+                sendSocketError(ws, '房間不存在', 'ERR_ROOM_NOT_FOUND', 'roomId');
+                return null;
+            }
+            return { room, key: currentBotId };
+        }
+
+        const room = gameRooms.get(currentRoomId);
+        if (room && currentSpectatorId) {
+            return { room, key: getSpectatorSyncKey(currentSpectatorId) };
+        }
+        if (room && currentPlayerId) {
+            return { room, key: currentPlayerId };
+        }
+
+        sendSocketError(ws, '尚未加入房間', 'ERR_NOT_IN_ROOM');
+        return null;
+    }
+
+    // 客戶端確認已套用的狀態序號（之後的狀態改送差異）
+    function handleStateAck(ws, payload) {
+        if (!supportsCapability('diff-sync')) {
+            sendSocketError(ws, '此連線未啟用差異同步', 'ERR_CAPABILITY_NOT_NEGOTIATED');
+            return;
+        }
+
+        const target = findSyncTarget(ws, payload);
+        if (target) {
+            target.room.acknowledgeState(target.key, payload.seq);
+        }
+    }
+
+    // 客戶端偵測到序號缺漏，要求完整快照
+    function handleResync(ws, payload) {
+        const target = findSyncTarget(ws, payload);
+        if (target) {
+            target.room.sendStateSnapshot(target.key, payload.lastSeq ?? null);
+        }
+    }
+
     // 玩家離開房間（斷線或主動退出）
     function handleLeaveRoom(ws) {
+        if (currentRoomId && currentSpectatorId) {
+            const room = gameRooms.get(currentRoomId);
+            if (room) {
+                removeSpectatorFromRoom(room, currentSpectatorId);
+            }
+            currentSpectatorId = null;
+            currentRoomId = null;
+            return;
+        }
+
         if (currentRoomId && currentPlayerId) {
             const room = gameRooms.get(currentRoomId);
             if (room) {
-                room.removePlayer(currentPlayerId);
-                room.broadcast({
-                    type: 'PLAYER_LEFT',
-                    payload: { playerId: currentPlayerId }
-                });
-
-                const hasOnlyNpc = room.players.length === 1 && room.npcId && room.players[0].playerId === room.npcId;
-                if (room.players.length === 0 || hasOnlyNpc) {
-                    gameRooms.delete(currentRoomId);
-                    void deleteRoomSnapshot(currentRoomId);
-                    console.log(`🗑️ 房間 ${currentRoomId} 已刪除`);
-                }
+                room.clearDisconnectTimers(currentPlayerId);
+                removePlayerFromRoom(room, currentPlayerId);
+                room.resumeTimers();
             }
         }
     }
 });
 
-// 建立遮蔽卡片（避免洩漏對手手牌資訊）
-function createMaskedCard(prefix, index) {
-    return {
-        id: `hidden-${prefix}-${index}`,
-        geishaId: 0,
-        type: 'hidden'
-    };
-}
-
-// 依指定長度建立遮蔽卡片陣列
-function createMaskedCards(count, prefix) {
-    return Array.from({ length: count }, (_, index) => createMaskedCard(prefix, index));
-}
-
-// 複製藝妓資料（避免意外修改原始物件）
-function cloneGeishas(geishas) {
-    return geishas.map((geisha) => ({ ...geisha }));
-}
-
 // 建立等待中的遊戲狀態（玩家尚未滿或尚未開始）
 function createWaitingGameState(gameId, playerIds, geishas, geishaSet = 'default', playerMetaMap = {}) {
     return {
         gameId,
         hostId: null,
-        players: playerIds.map(id => createPlayer(id, playerMetaMap[id])),
+        players: playerIds.map(id => createPlayerState(id, playerMetaMap[id])),
         geishas: cloneGeishas(geishas ?? createBaseGeishas(geishaSet)),
         geishaSet,
         currentPlayer: 0,
@@ -2390,7 +3482,7 @@ function createGameStateWithOrder(gameId, orderedPlayerIds, geishas, existingSta
             };
         }
 
-        return createPlayer(playerId, playerMetaMap[playerId]);
+        return createPlayerState(playerId, playerMetaMap[playerId]);
     });
 
     return {
@@ -2420,40 +3512,106 @@ function createGameStateWithOrder(gameId, orderedPlayerIds, geishas, existingSta
             discardPile: previousState.discardPile ?? [],
             removedCard: previousState.removedCard ?? null,
             pendingInteraction: null,
-            lastAction: undefined
-        }
-    };
-}
-
-// 建立玩家初始資料結構
-function createPlayer(playerId, meta = {}) {
-    return {
-        id: playerId,
-        name: meta.name ?? playerId,
-        lineUserId: meta.lineUserId,
-        avatarUrl: meta.avatarUrl,
-        hand: [],
-        playedCards: [],
-        secretCards: [],
-        discardedCards: [],
-        actionTokens: [
-            { type: 'secret', used: false },
-            { type: 'trade-off', used: false },
-            { type: 'gift', used: false },
-            { type: 'competition', used: false }
-        ],
-        score: {
-            charm: 0,
-            tokens: 0
+            lastAction: undefined,
+            timeouts: previousState.timeouts ?? []
         }
     };
 }
 
-// 產生 6 碼房間代碼
+// 產生 6 碼房間代碼（避免與現有房間及仍保存回放的房間重複；不使用房間的種子亂數，代碼不透露牌序）
 function generateRoomId() {
-    return Math.random().toString(36).substring(2, 8).toUpperCase();
+    let roomId = '';
+    do {
+        roomId = Math.random().toString(36).substring(2, 8).toUpperCase().padEnd(6, '0');
+    } while (gameRooms.has(roomId) || gameReplays.has(roomId));
+    return roomId;
 }
 
+// 連線統計（中斷的連線數、緩衝過高時合併或略過的訊息數、被頻率限制拒絕的訊息數）
+app.get('/metrics', (req, res) => {
+    res.json({
+        ...getConnectionMetrics(wss.clients.size),
+        rooms: gameRooms.size
+    });
+});
+
+// 已註冊的外部 Bot 與在線狀態（建立 Bot 對戰房間前查詢）
+app.get('/bots', (req, res) => {
+    res.json(listRegisteredBots().map(bot => ({
+        ...bot,
+        online: connectedBots.has(bot.botId)
+    })));
+});
+
+// 可選的 NPC 個性（CREATE_ROOM 的 aiPersonality）
+app.get('/npc-personalities', (req, res) => {
+    res.json(listNpcPersonalities());
+});
+
+// 取得已結束對局的回放（進行中回傳 null 並標記，避免洩漏隱藏資訊）
+const findFinishedReplay = async (roomId) => {
+    // 已保存的回放一定是結束的對局（再來一場進行中時仍可查詢上一場）
+    const archived = gameReplays.get(roomId);
+    if (archived) {
+        return { inProgress: false, replay: archived };
+    }
+
+    const room = gameRooms.get(roomId);
+    if (room && room.gameState?.phase !== 'ended') {
+        return { inProgress: true, replay: null };
+    }
+
+    const replay = room ? room.buildReplay() : await loadReplaySnapshot(roomId);
+    return { inProgress: false, replay };
+};
+
+// 對局回放端點（僅限已結束的對局，避免洩漏進行中的隱藏資訊）
+app.get('/rooms/:roomId/replay', async (req, res) => {
+    const { inProgress, replay } = await findFinishedReplay(req.params.roomId);
+
+    if (inProgress) {
+        res.status(409).json({ error: '對局尚未結束，無法取得回放' });
+        return;
+    }
+
+    if (!replay) {
+        res.status(404).json({ error: '找不到對局回放' });
+        return;
+    }
+
+    res.json(replay);
+});
+
+// 賽後分析端點（逐步評估落差與建議行動；快取不存在時由回放重新分析）
+app.get('/rooms/:roomId/analysis', async (req, res) => {
+    const { roomId } = req.params;
+    const { inProgress, replay } = await findFinishedReplay(roomId);
+
+    if (inProgress) {
+        res.status(409).json({ error: '對局尚未結束，無法取得分析' });
+        return;
+    }
+
+    // 由 Redis 讀回的回放可能來自舊版本或內容不完整，分析失敗時回傳 500（未捕捉的例外會中止整個程序）
+    let analysis = gameAnalyses.get(roomId) ?? null;
+    if (!analysis && replay) {
+        try {
+            analysis = analyzeGame(replay);
+        } catch (error) {
+            console.error(`❌ 房間 ${roomId} 的回放分析失敗:`, error);
+            res.status(500).json({ error: '對局分析失敗' });
+            return;
+        }
+    }
+
+    if (!analysis) {
+        res.status(404).json({ error: '找不到對局分析' });
+        return;
+    }
+
+    res.json(analysis);
+});
+
 const PORT = process.env.PORT || 3001;
 
 server.listen(PORT, '0.0.0.0', () => {
@@ -0,0 +1,794 @@
+// server/reducers/gameEngine.js - 純函式規則引擎（state, action）→ { state, events }
+// 不含任何連線、廣播或計時器，GameRoom / GameManager / NPC 共用同一份規則
+import { buildDeckForGeishas } from '../utils/gameUtils.js';
+
+/**
+ * @typedef {import('game-shared-types').GameState} GameState
+ * @typedef {import('game-shared-types').ItemCard} ItemCard
+ */
+
+// 每位玩家開局手牌數
+export const HAND_SIZE = 6;
+
+// 各行動需要的卡片數量
+export const ACTION_CARD_COUNT = {
+    secret: 1,
+    'trade-off': 2,
+    gift: 3,
+    competition: 4
+};
+
+// 玩家行動類型 → 行動指示物
+const ACTION_TOKEN_BY_TYPE = {
+    PLAY_SECRET: 'secret',
+    PLAY_TRADE_OFF: 'trade-off',
+    INITIATE_GIFT: 'gift',
+    INITIATE_COMPETITION: 'competition'
+};
+
+// 玩家（含 NPC 與外部 Bot）可以送出的行動類型
+export const PLAYER_ACTION_TYPES = [
+    ...Object.keys(ACTION_TOKEN_BY_TYPE),
+    'RESOLVE_GIFT',
+    'RESOLVE_COMPETITION'
+];
+
+// 建立玩家初始資料結構
+export const createPlayerState = (playerId, meta = {}) => ({
+    id: playerId,
+    name: meta.name ?? playerId,
+    lineUserId: meta.lineUserId,
+    avatarUrl: meta.avatarUrl,
+    hand: [],
+    playedCards: [],
+    secretCards: [],
+    discardedCards: [],
+    actionTokens: [
+        { type: 'secret', used: false },
+        { type: 'trade-off', used: false },
+        { type: 'gift', used: false },
+        { type: 'competition', used: false }
+    ],
+    score: {
+        charm: 0,
+        tokens: 0
+    }
+});
+
+// 複製藝妓資料（避免意外修改原始物件）
+export const cloneGeishas = (geishas) => geishas.map((geisha) => ({ ...geisha }));
+
+// 深拷貝遊戲狀態（引擎一律在副本上運算）
+export const cloneGameState = (state) => structuredClone(state);
+
+// 取得玩家的遊戲狀態資料
+export const getPlayerState = (state, playerId) =>
+    state?.players?.find(player => player.id === playerId) ?? null;
+
+// 取得對手玩家狀態
+export const getOpponentState = (state, playerId) =>
+    state?.players?.find(player => player.id !== playerId) ?? null;
+
+// 建立遮蔽卡片（避免洩漏對手手牌資訊）
+export const createMaskedCard = (prefix, index) => ({
+    id: `hidden-${prefix}-${index}`,
+    geishaId: 0,
+    type: 'hidden'
+});
+
+// 依指定長度建立遮蔽卡片陣列
+export const createMaskedCards = (count, prefix) =>
+    Array.from({ length: count }, (_, index) => createMaskedCard(prefix, index));
+
+// 建立指定玩家的視角（隱藏對手手牌、密約、棄牌、牌堆與移除卡；viewerId 為 null 時全部隱藏）
+export const buildPlayerView = (state, viewerId) => ({
+    ...state,
+    players: state.players.map((player) => {
+        if (player.id === viewerId) {
+            return player;
+        }
+
+        return {
+            ...player,
+            hand: createMaskedCards(player.hand.length, `${player.id}-hand`),
+            secretCards: [],
+            discardedCards: createMaskedCards(player.discardedCards.length, `${player.id}-discard`)
+        };
+    }),
+    drawPile: [],
+    removedCard: null
+});
+
+// 取得玩家目前可執行的行動類型（需有未使用指示物且手牌足夠）
+export const getLegalActionTypes = (player) => {
+    if (!player) {
+        return [];
+    }
+
+    return player.actionTokens
+        .filter(token => !token.used)
+        .map(token => token.type)
+        .filter(type => player.hand.length >= (ACTION_CARD_COUNT[type] ?? Infinity));
+};
+
+// 統計玩家在特定藝妓上的卡片數量
+export const countCardsForGeisha = (player, geishaId) =>
+    player.playedCards.filter(card => card.geishaId === geishaId).length;
+
+// 判定勝利條件（魅力值優先於好感數）
+export const determineWinner = (state) => {
+    if (!state || state.players.length < 2) {
+        return null;
+    }
+
+    const [playerA, playerB] = state.players;
+
+    const aCharm = playerA.score.charm;
+    const bCharm = playerB.score.charm;
+    const aTokens = playerA.score.tokens;
+    const bTokens = playerB.score.tokens;
+
+    if (aCharm >= 11 || bCharm >= 11) {
+        if (aCharm > bCharm) return playerA.id;
+        if (bCharm > aCharm) return playerB.id;
+        return null;
+    }
+
+    if (aTokens >= 4 || bTokens >= 4) {
+        if (aTokens > bTokens) return playerA.id;
+        if (bTokens > aTokens) return playerB.id;
+    }
+
+    return null;
+};
+
+// 取得下一輪的起始玩家順序（輪流先手）
+export const getNextRoundOrder = (state, lastRoundStarterId = null) => {
+    const currentPlayers = state?.players ?? [];
+    if (currentPlayers.length < 2) {
+        return [];
+    }
+
+    const currentStarter = lastRoundStarterId ?? currentPlayers[0].id;
+    const nextStarter = currentPlayers.find(player => player.id !== currentStarter)?.id ?? currentPlayers[0].id;
+
+    return [nextStarter, currentStarter];
+};
+
+// 建立新回合狀態（洗牌、移除卡、發牌），回傳狀態與發牌序列；傳入相同 random 序列即可重現
+export const buildRoundState = ({
+    gameId,
+    hostId = null,
+    geishaSet,
+    playerIds,
+    geishas,
+    round = 1,
+    openOrderDecision = true,
+    random = Math.random
+}) => {
+    // 以傳入藝妓為基礎建立本回合藝妓資料（保留好感指示物）
+    const geishasClone = cloneGeishas(geishas);
+    const { deck, removedCard } = buildDeckForGeishas(geishasClone, random);
+
+    const dealingDeck = [...deck];
+    const dealSequence = [];
+    const playersState = playerIds.map((id) => createPlayerState(id));
+
+    // 每位玩家發 6 張手牌
+    for (let count = 0; count < HAND_SIZE; count += 1) {
+        playerIds.forEach((playerId, index) => {
+            const dealtCard = dealingDeck.shift();
+            if (!dealtCard) {
+                return;
+            }
+
+            playersState[index].hand.push(dealtCard);
+            dealSequence.push({
+                order: dealSequence.length,
+                playerId,
+                card: dealtCard
+            });
+        });
+    }
+
+    const state = {
+        gameId,
+        hostId,
+        players: playersState,
+        geishas: geishasClone,
+        currentPlayer: 0,
+        phase: openOrderDecision ? 'deciding_order' : 'playing',
+        round,
+        winner: null,
+        orderDecision: {
+            isOpen: openOrderDecision,
+            phase: openOrderDecision ? 'deciding' : 'result',
+            players: playerIds,
+            result: openOrderDecision ? undefined : {
+                firstPlayer: playerIds[0],
+                secondPlayer: playerIds[1],
+                order: playerIds
+            },
+            confirmations: openOrderDecision ? [] : [...playerIds],
+            waitingFor: openOrderDecision ? playerIds : [],
+            currentPlayer: playerIds[0]
+        },
+        drawPile: dealingDeck,
+        discardPile: [],
+        removedCard,
+        pendingInteraction: null,
+        lastAction: undefined
+    };
+
+    if (geishaSet) {
+        state.geishaSet = geishaSet;
+    }
+
+    return { state, dealSequence };
+};
+
+// 取得目前需要做決定的玩家 ID（互動等待中為目標玩家）
+export const getActingPlayerId = (state) => {
+    if (!state || state.phase !== 'playing') {
+        return null;
+    }
+
+    if (state.pendingInteraction) {
+        return state.pendingInteraction.targetPlayerId;
+    }
+
+    return state.players[state.currentPlayer]?.id ?? null;
+};
+
+// 從陣列取出指定數量的所有組合
+const combinations = (items, size, start = 0, prefix = [], result = []) => {
+    if (prefix.length === size) {
+        result.push(prefix);
+        return result;
+    }
+
+    for (let i = start; i < items.length; i += 1) {
+        combinations(items, size, i + 1, [...prefix, items[i]], result);
+    }
+    return result;
+};
+
+// 競爭的三種分組方式（4 張卡分成兩組）
+const COMPETITION_SPLITS = [
+    [[0, 1], [2, 3]],
+    [[0, 2], [1, 3]],
+    [[0, 3], [1, 2]]
+];
+
+// 卡片組合的藝妓編號簽章（同藝妓的卡片可互換）
+const geishaSignature = (cards) => cards.map(card => card.geishaId).sort((a, b) => a - b).join(',');
+
+// 取得行動的藝妓組合鍵值（相同鍵值代表結果等價，用於去重與搜尋統計）
+export const getActionKey = (state, playerId, action) => {
+    const player = getPlayerState(state, playerId);
+    const pending = state?.pendingInteraction;
+    const cardMap = new Map();
+    [...(player?.hand ?? []), ...(pending?.offeredCards ?? []), ...(pending?.groups?.flat() ?? [])]
+        .forEach(card => cardMap.set(card.id, card));
+    const toCards = (cardIds = []) => cardIds.map(cardId => cardMap.get(cardId) ?? { geishaId: 0 });
+
+    switch (action.type) {
+        case 'PLAY_SECRET':
+            return `S:${geishaSignature(toCards([action.payload.cardId]))}`;
+        case 'PLAY_TRADE_OFF':
+            return `T:${geishaSignature(toCards(action.payload.cardIds))}`;
+        case 'INITIATE_GIFT':
+            return `G:${geishaSignature(toCards(action.payload.cardIds))}`;
+        case 'INITIATE_COMPETITION':
+            return `C:${action.payload.groups.map(group => geishaSignature(toCards(group))).sort().join('|')}`;
+        case 'RESOLVE_GIFT':
+            return `RG:${geishaSignature(toCards([action.payload.chosenCardId]))}`;
+        case 'RESOLVE_COMPETITION':
+            return `RC:${geishaSignature(pending?.groups?.[action.payload.chosenGroupIndex] ?? [])}|${geishaSignature(pending?.groups?.[action.payload.chosenGroupIndex === 0 ? 1 : 0] ?? [])}`;
+        default:
+            return action.type;
+    }
+};
+
+// 列出玩家目前所有合法行動（依藝妓組合去重，格式與 GAME_ACTION 的 action 相同）
+export const listLegalActions = (state, playerId) => {
+    if (getActingPlayerId(state) !== playerId) {
+        return [];
+    }
+
+    const actions = [];
+    const seenKeys = new Set();
+    const addAction = (action) => {
+        const key = getActionKey(state, playerId, action);
+        if (!seenKeys.has(key)) {
+            seenKeys.add(key);
+            actions.push(action);
+        }
+    };
+
+    const pending = state.pendingInteraction;
+    if (pending?.type === 'GIFT_SELECTION') {
+        pending.offeredCards.forEach(card => addAction({ type: 'RESOLVE_GIFT', payload: { chosenCardId: card.id } }));
+        return actions;
+    }
+
+    if (pending?.type === 'COMPETITION_SELECTION') {
+        pending.groups.forEach((_, index) => addAction({ type: 'RESOLVE_COMPETITION', payload: { chosenGroupIndex: index } }));
+        return actions;
+    }
+
+    const player = getPlayerState(state, playerId);
+    getLegalActionTypes(player).forEach((actionType) => {
+        if (actionType === 'secret') {
+            player.hand.forEach(card => addAction({ type: 'PLAY_SECRET', payload: { cardId: card.id } }));
+        } else if (actionType === 'trade-off') {
+            combinations(player.hand, 2).forEach(cards => addAction({
+                type: 'PLAY_TRADE_OFF',
+                payload: { cardIds: cards.map(card => card.id) }
+            }));
+        } else if (actionType === 'gift') {
+            combinations(player.hand, 3).forEach(cards => addAction({
+                type: 'INITIATE_GIFT',
+                payload: { cardIds: cards.map(card => card.id) }
+            }));
+        } else if (actionType === 'competition') {
+            combinations(player.hand, 4).forEach((cards) => {
+                COMPETITION_SPLITS.forEach(split => addAction({
+                    type: 'INITIATE_COMPETITION',
+                    payload: { groups: split.map(group => group.map(index => cards[index].id)) }
+                }));
+            });
+        }
+    });
+
+    return actions;
+};
+
+// 建立規則錯誤：code 為穩定的錯誤碼（供客戶端判斷），field 為出錯的行動欄位（例如 payload.cardIds）
+const actionError = (code, message, field = null) => (field ? { code, message, field } : { code, message });
+
+// 建立錯誤結果（狀態維持原樣；error 為 actionError 的回傳值）
+const rejectAction = (state, error) => ({
+    state,
+    events: [],
+    error
+});
+
+// 標記玩家行動指示物已使用
+const markActionTokenUsed = (player, actionType) => {
+    const token = player.actionTokens.find(item => item.type === actionType);
+    if (token) {
+        token.used = true;
+    }
+};
+
+// 從手牌取出指定卡片（保持選擇順序）
+const takeCardsFromHand = (player, cardIds) => {
+    const collected = [];
+    cardIds.forEach((cardId) => {
+        const index = player.hand.findIndex(card => card.id === cardId);
+        if (index !== -1) {
+            collected.push(player.hand.splice(index, 1)[0]);
+        }
+    });
+    return collected;
+};
+
+// 驗證卡片是否屬於玩家，回傳錯誤（field 為卡片所在的行動欄位）或 null
+const checkCardOwnership = (player, cardIds, field) => {
+    const uniqueIds = new Set(cardIds);
+    if (uniqueIds.size !== cardIds.length) {
+        return actionError('ERR_DUPLICATE_CARD', '卡片選擇重複', field);
+    }
+
+    const handIds = new Set(player.hand.map(card => card.id));
+    if (!cardIds.every(cardId => handIds.has(cardId))) {
+        return actionError('ERR_CARD_NOT_IN_HAND', '選擇的卡片不在你的手牌中', field);
+    }
+
+    return null;
+};
+
+// 更新每位玩家的魅力值與好感數量
+const updatePlayerScores = (state) => {
+    state.players.forEach((player) => {
+        const controlled = state.geishas.filter(geisha => geisha.controlledBy === player.id);
+        player.score.tokens = controlled.length;
+        player.score.charm = controlled.reduce((total, geisha) => total + geisha.charmPoints, 0);
+    });
+};
+
+// 開始當前玩家回合（抽牌、重置互動狀態）
+const beginTurn = (state, events) => {
+    const currentPlayer = state.players[state.currentPlayer];
+    if (!currentPlayer) {
+        return;
+    }
+
+    if (currentPlayer.actionTokens.every(token => token.used)) {
+        endTurn(state, events);
+        return;
+    }
+
+    const drawnCard = state.drawPile.shift();
+    if (drawnCard) {
+        currentPlayer.hand.push(drawnCard);
+        events.push({ type: 'CARD_DRAWN', playerId: currentPlayer.id, card: drawnCard });
+    }
+
+    state.phase = 'playing';
+    state.pendingInteraction = null;
+    state.lastAction = undefined;
+};
+
+// 結束回合並切換到下一位可行動玩家（皆無行動則結算）
+const endTurn = (state, events) => {
+    const hasAvailablePlayer = state.players.some(player => player.actionTokens.some(token => !token.used));
+    if (!hasAvailablePlayer) {
+        resolveRound(state, events);
+        return;
+    }
+
+    let nextIndex = (state.currentPlayer + 1) % state.players.length;
+    let attempts = 0;
+
+    while (attempts < state.players.length) {
+        const candidate = state.players[nextIndex];
+        if (candidate && candidate.actionTokens.some(token => !token.used)) {
+            state.currentPlayer = nextIndex;
+            beginTurn(state, events);
+            return;
+        }
+
+        nextIndex = (nextIndex + 1) % state.players.length;
+        attempts += 1;
+    }
+
+    state.phase = 'resolution';
+};
+
+// 結算回合（翻開密約、計算好感、檢查勝利）
+const resolveRound = (state, events) => {
+    state.phase = 'resolution';
+    events.push({ type: 'ROUND_COMPLETE', round: state.round });
+
+    // 翻開密約卡並加入計分區
+    state.players.forEach((player) => {
+        if (player.secretCards.length > 0) {
+            player.playedCards.push(...player.secretCards);
+            player.secretCards = [];
+        }
+    });
+
+    // 比較每位藝妓的卡牌數量，更新好感指示物（平手時保持原狀）
+    const [playerA, playerB] = state.players;
+    state.geishas.forEach((geisha) => {
+        const aCount = countCardsForGeisha(playerA, geisha.id);
+        const bCount = countCardsForGeisha(playerB, geisha.id);
+
+        if (aCount > bCount) {
+            geisha.controlledBy = playerA.id;
+        } else if (bCount > aCount) {
+            geisha.controlledBy = playerB.id;
+        }
+    });
+
+    updatePlayerScores(state);
+
+    const winner = determineWinner(state);
+    if (winner) {
+        state.phase = 'ended';
+        state.winner = winner;
+        events.push({ type: 'GAME_ENDED', winner });
+    }
+};
+
+// 密約：選 1 張卡蓋牌
+const playSecret = (state, player, cardId, events) => {
+    if (!cardId) {
+        return actionError('ERR_INVALID_CARD_COUNT', '請選擇 1 張卡片作為密約', 'payload.cardId');
+    }
+
+    const cardIndex = player.hand.findIndex(card => card.id === cardId);
+    if (cardIndex === -1) {
+        return actionError('ERR_CARD_NOT_IN_HAND', '卡片不在你的手牌中', 'payload.cardId');
+    }
+
+    const [card] = player.hand.splice(cardIndex, 1);
+    player.secretCards.push(card);
+
+    markActionTokenUsed(player, 'secret');
+    state.lastAction = { playerId: player.id, action: 'secret' };
+    events.push({ type: 'ACTION_EXECUTED', playerId: player.id, action: 'secret', cardIds: [card.id] });
+
+    endTurn(state, events);
+    return null;
+};
+
+// 取捨：選 2 張卡丟棄
+const playTradeOff = (state, player, cardIds, events) => {
+    if (!Array.isArray(cardIds) || cardIds.length !== 2) {
+        return actionError('ERR_INVALID_CARD_COUNT', '取捨必須選擇 2 張卡片', 'payload.cardIds');
+    }
+
+    const ownershipError = checkCardOwnership(player, cardIds, 'payload.cardIds');
+    if (ownershipError) {
+        return ownershipError;
+    }
+
+    const collected = takeCardsFromHand(player, cardIds);
+    if (collected.length !== 2) {
+        return actionError('ERR_CARD_NOT_IN_HAND', '取捨卡片驗證失敗', 'payload.cardIds');
+    }
+
+    player.discardedCards.push(...collected);
+
+    markActionTokenUsed(player, 'trade-off');
+    state.lastAction = { playerId: player.id, action: 'trade-off' };
+    events.push({ type: 'ACTION_EXECUTED', playerId: player.id, action: 'trade-off', cardIds: [...cardIds] });
+
+    endTurn(state, events);
+    return null;
+};
+
+// 贈予：選 3 張卡給對手挑
+const initiateGift = (state, player, cardIds, events) => {
+    if (!Array.isArray(cardIds) || cardIds.length !== 3) {
+        return actionError('ERR_INVALID_CARD_COUNT', '贈予必須選擇 3 張卡片', 'payload.cardIds');
+    }
+
+    const ownershipError = checkCardOwnership(player, cardIds, 'payload.cardIds');
+    if (ownershipError) {
+        return ownershipError;
+    }
+
+    const opponent = getOpponentState(state, player.id);
+    if (!opponent) {
+        return actionError('ERR_NO_OPPONENT', '目前沒有對手可進行贈予');
+    }
+
+    const offeredCards = takeCardsFromHand(player, cardIds);
+    if (offeredCards.length !== 3) {
+        return actionError('ERR_CARD_NOT_IN_HAND', '贈予卡片驗證失敗', 'payload.cardIds');
+    }
+
+    markActionTokenUsed(player, 'gift');
+    state.pendingInteraction = {
+        type: 'GIFT_SELECTION',
+        initiatorId: player.id,
+        targetPlayerId: opponent.id,
+        offeredCards
+    };
+    state.lastAction = { playerId: player.id, action: 'gift' };
+    events.push({ type: 'PENDING_INTERACTION', interaction: state.pendingInteraction });
+
+    return null;
+};
+
+// 回應贈予：目標玩家選 1 張，其餘歸發起者
+const resolveGift = (state, playerId, chosenCardId, events) => {
+    const pending = state.pendingInteraction;
+
+    if (!pending || pending.type !== 'GIFT_SELECTION') {
+        return actionError('ERR_NO_PENDING_INTERACTION', '目前沒有等待處理的贈予');
+    }
+
+    if (pending.targetPlayerId !== playerId) {
+        return actionError('ERR_NOT_INTERACTION_TARGET', '你不是贈予的目標玩家');
+    }
+
+    const chosenCard = pending.offeredCards.find(card => card.id === chosenCardId);
+    if (!chosenCard) {
+        return actionError('ERR_INVALID_CHOICE', '選擇的卡片不存在', 'payload.chosenCardId');
+    }
+
+    const initiator = getPlayerState(state, pending.initiatorId);
+    const receiver = getPlayerState(state, playerId);
+    if (!initiator || !receiver) {
+        return actionError('ERR_PLAYER_NOT_FOUND', '找不到贈予對象');
+    }
+
+    // 贈予結果：卡片直接加入各自的藝妓區（以 playedCards 代表）
+    receiver.playedCards.push(chosenCard);
+    initiator.playedCards.push(...pending.offeredCards.filter(card => card.id !== chosenCardId));
+
+    state.pendingInteraction = null;
+    events.push({
+        type: 'INTERACTION_RESOLVED',
+        interaction: 'GIFT_SELECTION',
+        initiatorId: initiator.id,
+        targetPlayerId: receiver.id,
+        chosenCardId
+    });
+
+    endTurn(state, events);
+    return null;
+};
+
+// 競爭：選 4 張卡分 2 組給對手挑
+const initiateCompetition = (state, player, groups, events) => {
+    if (!Array.isArray(groups) || groups.length !== 2 || groups.some(group => !Array.isArray(group) || group.length !== 2)) {
+        return actionError('ERR_INVALID_CARD_COUNT', '競爭必須分成兩組，每組 2 張卡片', 'payload.groups');
+    }
+
+    const opponent = getOpponentState(state, player.id);
+    if (!opponent) {
+        return actionError('ERR_NO_OPPONENT', '目前沒有對手可進行競爭');
+    }
+
+    const flattened = groups.flat();
+    const ownershipError = checkCardOwnership(player, flattened, 'payload.groups');
+    if (ownershipError) {
+        return ownershipError;
+    }
+
+    const extractedCards = takeCardsFromHand(player, flattened);
+    if (extractedCards.length !== 4) {
+        return actionError('ERR_CARD_NOT_IN_HAND', '競爭卡片驗證失敗', 'payload.groups');
+    }
+
+    // 根據原分組恢復卡片資料
+    const groupedCards = groups.map(group => group.map(cardId => extractedCards.find(card => card.id === cardId)).filter(Boolean));
+    if (groupedCards.some(group => group.length !== 2)) {
+        return actionError('ERR_CARD_NOT_IN_HAND', '競爭分組驗證失敗', 'payload.groups');
+    }
+
+    markActionTokenUsed(player, 'competition');
+    state.pendingInteraction = {
+        type: 'COMPETITION_SELECTION',
+        initiatorId: player.id,
+        targetPlayerId: opponent.id,
+        groups: groupedCards
+    };
+    state.lastAction = { playerId: player.id, action: 'competition' };
+    events.push({ type: 'PENDING_INTERACTION', interaction: state.pendingInteraction });
+
+    return null;
+};
+
+// 回應競爭：目標玩家選 1 組，另一組歸發起者
+const resolveCompetition = (state, playerId, chosenGroupIndex, events) => {
+    const pending = state.pendingInteraction;
+
+    if (!pending || pending.type !== 'COMPETITION_SELECTION') {
+        return actionError('ERR_NO_PENDING_INTERACTION', '目前沒有等待處理的競爭');
+    }
+
+    if (pending.targetPlayerId !== playerId) {
+        return actionError('ERR_NOT_INTERACTION_TARGET', '你不是競爭的目標玩家');
+    }
+
+    const selectedGroup = pending.groups[chosenGroupIndex];
+    if (!selectedGroup) {
+        return actionError('ERR_INVALID_CHOICE', '選擇的組別不存在', 'payload.chosenGroupIndex');
+    }
+
+    const opponentGroup = pending.groups[chosenGroupIndex === 0 ? 1 : 0];
+    const initiator = getPlayerState(state, pending.initiatorId);
+    const receiver = getPlayerState(state, playerId);
+    if (!initiator || !receiver) {
+        return actionError('ERR_PLAYER_NOT_FOUND', '找不到競爭對象');
+    }
+
+    // 競爭結果：卡片直接加入各自的藝妓區（以 playedCards 代表）
+    receiver.playedCards.push(...selectedGroup);
+    initiator.playedCards.push(...opponentGroup);
+
+    state.pendingInteraction = null;
+    events.push({
+        type: 'INTERACTION_RESOLVED',
+        interaction: 'COMPETITION_SELECTION',
+        initiatorId: initiator.id,
+        targetPlayerId: receiver.id,
+        chosenGroupIndex
+    });
+
+    endTurn(state, events);
+    return null;
+};
+
+// 套用玩家行動（驗證順序與原 GameRoom.handleAction 相同）
+const applyPlayerAction = (state, action, events) => {
+    const { playerId, payload } = action;
+    const player = getPlayerState(state, playerId);
+    if (!player) {
+        return actionError('ERR_PLAYER_NOT_FOUND', '玩家資料不存在');
+    }
+
+    const pending = state.pendingInteraction;
+    const isResolveAction = action.type.startsWith('RESOLVE_');
+
+    if (pending && !isResolveAction) {
+        return actionError('ERR_AWAITING_RESPONSE', '目前正在等待對手回應');
+    }
+
+    if (!pending && isResolveAction) {
+        return actionError('ERR_NO_PENDING_INTERACTION', '目前沒有等待處理的互動');
+    }
+
+    if (state.phase !== 'playing' && !isResolveAction) {
+        return actionError('ERR_INVALID_PHASE', '目前無法執行行動');
+    }
+
+    const tokenType = ACTION_TOKEN_BY_TYPE[action.type];
+    if (tokenType) {
+        const currentPlayer = state.players[state.currentPlayer];
+        if (!currentPlayer || currentPlayer.id !== playerId) {
+            return actionError('ERR_NOT_YOUR_TURN', '不是你的回合');
+        }
+
+        const token = player.actionTokens.find(item => item.type === tokenType);
+        if (!token || token.used) {
+            return actionError('ERR_ACTION_ALREADY_USED', '該行動已使用或不存在', 'type');
+        }
+    }
+
+    switch (action.type) {
+        case 'PLAY_SECRET':
+            return playSecret(state, player, payload?.cardId, events);
+        case 'PLAY_TRADE_OFF':
+            return playTradeOff(state, player, payload?.cardIds, events);
+        case 'INITIATE_GIFT':
+            return initiateGift(state, player, payload?.cardIds, events);
+        case 'RESOLVE_GIFT':
+            return resolveGift(state, playerId, payload?.chosenCardId, events);
+        case 'INITIATE_COMPETITION':
+            return initiateCompetition(state, player, payload?.groups, events);
+        case 'RESOLVE_COMPETITION':
+            return resolveCompetition(state, playerId, payload?.chosenGroupIndex, events);
+        default:
+            return actionError('ERR_UNKNOWN_ACTION', `未實作的行動類型: ${action.type}`, 'type');
+    }
+};
+
+// 規則引擎入口（玩家行動）：不修改傳入狀態，回傳新狀態與依序發生的事件
+// action：{ type, playerId, payload }；流程控制不經由此入口，玩家無法自行推進回合
+export const reduceGame = (state, action) => {
+    if (!state) {
+        return rejectAction(state, actionError('ERR_GAME_NOT_READY', '遊戲尚未準備完成'));
+    }
+
+    if (!action?.type) {
+        return rejectAction(state, actionError('ERR_MISSING_FIELD', '缺少行動內容', 'type'));
+    }
+
+    if (!PLAYER_ACTION_TYPES.includes(action.type)) {
+        return rejectAction(state, actionError('ERR_UNKNOWN_ACTION', `未實作的行動類型: ${action.type}`, 'type'));
+    }
+
+    const draft = cloneGameState(state);
+    const events = [];
+    const error = applyPlayerAction(draft, action, events);
+    if (error) {
+        return rejectAction(state, error);
+    }
+
+    return { state: draft, events };
+};
+
+// 流程控制（僅供伺服器內部推進對局）：BEGIN_TURN / END_TURN / RESOLVE_ROUND
+// 回傳格式與 reduceGame 相同
+export const advanceGame = (state, step) => {
+    if (!state) {
+        return rejectAction(state, actionError('ERR_GAME_NOT_READY', '遊戲尚未準備完成'));
+    }
+
+    const draft = cloneGameState(state);
+    const events = [];
+
+    switch (step) {
+        case 'BEGIN_TURN':
+            beginTurn(draft, events);
+            break;
+        case 'END_TURN':
+            endTurn(draft, events);
+            break;
+        case 'RESOLVE_ROUND':
+            resolveRound(draft, events);
+            break;
+        default:
+            return rejectAction(state, actionError('ERR_UNKNOWN_ACTION', `未知的流程步驟: ${step}`));
+    }
+
+    return { state: draft, events };
+};
@@ -0,0 +1,2 @@
+// 將 JS 版本規則引擎轉出，供 TS 模組使用
+export * from './gameEngine.js';
@@ -2,6 +2,7 @@
 import { GameState, GameAction, Geisha } from "game-shared-types"
 // TS 對 .js 的 re-export 沒有型別資訊，因此 IDE 會判定沒有 export
 import { createRandomizedGeishas } from '../utils/gameUtils';
+import { advanceGame, reduceGame } from './gameEngine';
 
 // 初始藝妓資料（隨機順序）
 const initialGeishas: Geisha[] = createRandomizedGeishas();
@@ -113,19 +114,27 @@ export const gameReducer = (state: GameState, action: GameAction): GameState =>
 
             return updatedOrderDecision;
 
-        case 'PLAY_ACTION':
+        // 遊戲動作交給規則引擎（與 GameRoom 共用同一份規則）
+        case 'PLAY_ACTION': {
             console.log('🎯 [Reducer] ===== 處理 PLAY_ACTION =====');
-            return {
-                ...state,
-                // 這裡可以添加具體的遊戲動作處理邏輯
-            };
+            const result = reduceGame(state, action.payload);
+            if (result.error) {
+                console.warn('⚠️ [Reducer] PLAY_ACTION 被拒絕:', result.error.message);
+                return state;
+            }
+            return result.state;
+        }
 
-        case 'END_TURN':
+        // 結束回合同樣交給規則引擎（換人、抽牌與回合結算皆與 GameRoom 相同）
+        case 'END_TURN': {
             console.log('⏭️ [Reducer] ===== 處理 END_TURN =====');
-            return {
-                ...state,
-                currentPlayer: (state.currentPlayer + 1) % state.players.length
-            };
+            const result = advanceGame(state, 'END_TURN');
+            if (result.error) {
+                console.warn('⚠️ [Reducer] END_TURN 被拒絕:', result.error.message);
+                return state;
+            }
+            return result.state;
+        }
 
         case 'END_GAME':
             console.log('🏆 [Reducer] ===== 處理 END_GAME =====');
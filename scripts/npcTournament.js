@@ -0,0 +1,343 @@
+#!/usr/bin/env node
+// server/scripts/npcTournament.js - NPC 自我對戰工具（不經過 WebSocket，直接呼叫規則引擎）
+// 用法：node scripts/npcTournament.js --a hard --b medium --games 200 --seed 42
+//       node scripts/npcTournament.js --a hard:aggressive --b hard:defensive（難度:個性）
+// 同一個 --seed 會產生相同的發牌序列，可用來比較 NPC 策略修改前後的強度
+import { parseArgs } from 'util';
+import {
+    advanceGame,
+    buildPlayerView,
+    buildRoundState,
+    cloneGeishas,
+    getActingPlayerId,
+    getNextRoundOrder,
+    getPlayerState,
+    listLegalActions,
+    reduceGame
+} from '../reducers/gameEngine.js';
+import { createRandomizedGeishas } from '../utils/gameUtils.js';
+import { createBeliefSampler, createNpcBelief, inferHiddenCards, observeNpcView } from '../utils/npcBelief.js';
+import { getNpcPersonality, listNpcPersonalities } from '../utils/npcPersonality.js';
+import { NPC_INFERENCE_DIFFICULTIES, buildNpcDecision, searchNpcDecision } from '../utils/npcStrategy.js';
+import { createSeed, createSeededRandom, normalizeSeed } from '../utils/random.js';
+
+// 可用策略：各 NPC 難度，加上完全隨機的合法行動作為基準
+const DIFFICULTIES = ['easy', 'medium', 'hard', 'expert', 'hell'];
+const STRATEGIES = [...DIFFICULTIES, 'random'];
+
+// 單場對局的回合上限（避免異常狀態造成無限迴圈，超過視為和局）
+const MAX_ROUNDS = 10;
+// 95% 信賴區間的 z 值
+const Z_95 = 1.96;
+
+const PLAYER_A = 'player-a';
+const PLAYER_B = 'player-b';
+
+const USAGE = `用法：node scripts/npcTournament.js --a <策略> --b <策略> [選項]
+
+策略：${STRATEGIES.join(', ')}
+個性：以「難度:個性」指定，例如 hard:aggressive（可用個性：${listNpcPersonalities().map(({ id }) => id).join(', ') || '無'}）
+
+選項：
+  --games <N>              對局數（預設 100，先手輪流交換）
+  --seed <N>               主種子（相同種子重現相同發牌序列）
+  --geisha-set <key>       藝妓組合（預設 default）
+  --search-iterations <N>  搜尋型難度改用固定迭代次數（結果完全可重現）
+  --search-budget <ms>     搜尋型難度的每步時間上限（預設依難度設定）
+  --no-belief              關閉對手隱藏牌推測（比較推測前後的強度）
+  --json                   以 JSON 輸出結果
+  --help                   顯示說明`;
+
+// 解析策略名稱（「難度」或「難度:個性」；無效時回傳 null）
+const parseStrategy = (name) => {
+    const [difficulty, personalityId] = (name ?? '').split(':');
+    if (!STRATEGIES.includes(difficulty)) {
+        return null;
+    }
+    if (personalityId === undefined) {
+        return { difficulty, profile: undefined };
+    }
+
+    const profile = getNpcPersonality(personalityId);
+    return profile && difficulty !== 'random' ? { difficulty, profile } : null;
+};
+
+// 建立策略函式：(state, playerId, rng) → 行動（null 代表結束回合）
+// 每個策略函式只服務一個座位，推測紀錄保存在閉包內（換輪 / 新對局時由 observeNpcView 自動重置）
+const createStrategy = (name, searchOptions, useBelief = true) => {
+    const { difficulty, profile } = parseStrategy(name);
+    const infers = useBelief && NPC_INFERENCE_DIFFICULTIES.has(difficulty);
+    let belief = createNpcBelief();
+    if (difficulty === 'random') {
+        return (state, playerId, rng) => {
+            const actions = listLegalActions(state, playerId);
+            return actions.length > 0 ? rng.pick(actions) : null;
+        };
+    }
+
+    return (state, playerId, rng) => {
+        let inference = null;
+        if (infers) {
+            const view = buildPlayerView(state, playerId);
+            belief = observeNpcView(belief, view, playerId);
+            inference = inferHiddenCards(belief, view, playerId);
+        }
+
+        const searched = searchNpcDecision(state, playerId, difficulty, rng, {
+            ...searchOptions,
+            sampleUnseen: inference ? createBeliefSampler(inference) : null
+        });
+        return searched ? searched.action : buildNpcDecision(state, playerId, difficulty, rng, profile, inference);
+    };
+};
+
+// 進行一場完整對局（多輪直到有人獲勝），回傳結果摘要
+const playHeadlessGame = ({ strategies, seed, firstPlayerId, geishaSet = 'default' }) => {
+    // 發牌與雙方策略各用獨立亂數序列，修改策略不會改變發牌
+    const seeder = createSeededRandom(seed);
+    const dealRng = createSeededRandom(seeder.int(2 ** 32));
+    const playerRngs = {
+        [PLAYER_A]: createSeededRandom(seeder.int(2 ** 32)),
+        [PLAYER_B]: createSeededRandom(seeder.int(2 ** 32))
+    };
+    const thinkingMs = { [PLAYER_A]: 0, [PLAYER_B]: 0 };
+    const decisions = { [PLAYER_A]: 0, [PLAYER_B]: 0 };
+
+    let order = firstPlayerId === PLAYER_A ? [PLAYER_A, PLAYER_B] : [PLAYER_B, PLAYER_A];
+    let geishas = createRandomizedGeishas(geishaSet);
+    let state = null;
+
+    for (let round = 1; round <= MAX_ROUNDS; round += 1) {
+        ({ state } = buildRoundState({
+            gameId: `tournament-${seed}`,
+            geishaSet,
+            playerIds: order,
+            geishas,
+            round,
+            openOrderDecision: false,
+            random: dealRng.next
+        }));
+        state = advanceGame(state, 'BEGIN_TURN').state;
+
+        while (state.phase === 'playing') {
+            const playerId = getActingPlayerId(state);
+            const startedAt = performance.now();
+            const action = strategies[playerId](state, playerId, playerRngs[playerId]);
+            thinkingMs[playerId] += performance.now() - startedAt;
+            decisions[playerId] += 1;
+
+            const result = action
+                ? reduceGame(state, { ...action, playerId })
+                : advanceGame(state, 'END_TURN');
+            if (result.error) {
+                throw new Error(`策略產生不合法行動（${playerId}）：${result.error.message}`);
+            }
+            state = result.state;
+        }
+
+        if (state.phase === 'ended') {
+            break;
+        }
+
+        // 保留好感指示物並交換先手，與線上房間的回合流程相同
+        geishas = cloneGeishas(state.geishas);
+        order = getNextRoundOrder(state, order[0]);
+    }
+
+    const playerA = getPlayerState(state, PLAYER_A);
+    const playerB = getPlayerState(state, PLAYER_B);
+
+    return {
+        seed,
+        winner: state.phase === 'ended' ? state.winner : null,
+        rounds: state.round,
+        firstPlayerId,
+        charmMargin: playerA.score.charm - playerB.score.charm,
+        tokenMargin: playerA.score.tokens - playerB.score.tokens,
+        thinkingMs,
+        decisions
+    };
+};
+
+// Wilson 分數區間（樣本數小或勝率接近 0/1 時仍穩定）
+const wilsonInterval = (wins, total) => {
+    if (total === 0) {
+        return [0, 0];
+    }
+
+    const rate = wins / total;
+    const denominator = 1 + (Z_95 ** 2) / total;
+    const center = (rate + (Z_95 ** 2) / (2 * total)) / denominator;
+    const margin = (Z_95 * Math.sqrt((rate * (1 - rate)) / total + (Z_95 ** 2) / (4 * total ** 2))) / denominator;
+    return [Math.max(0, center - margin), Math.min(1, center + margin)];
+};
+
+// 平均值（空陣列回傳 0）
+const average = (values) => (values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : 0);
+
+// 彙整多場結果（和局以半勝計入勝率）
+const summarizeResults = (results) => {
+    const total = results.length;
+    const winsA = results.filter(result => result.winner === PLAYER_A).length;
+    const winsB = results.filter(result => result.winner === PLAYER_B).length;
+    const draws = total - winsA - winsB;
+    const scoreA = winsA + draws / 2;
+    const [lowA, highA] = wilsonInterval(scoreA, total);
+
+    const sideSummary = (playerId) => {
+        const thinking = results.reduce((sum, result) => sum + result.thinkingMs[playerId], 0);
+        const decisionCount = results.reduce((sum, result) => sum + result.decisions[playerId], 0);
+        const firstGames = results.filter(result => result.firstPlayerId === playerId);
+        return {
+            avgDecisionMs: decisionCount > 0 ? thinking / decisionCount : 0,
+            winRateAsFirst: firstGames.length > 0
+                ? firstGames.filter(result => result.winner === playerId).length / firstGames.length
+                : 0
+        };
+    };
+
+    return {
+        games: total,
+        winsA,
+        winsB,
+        draws,
+        winRateA: total > 0 ? scoreA / total : 0,
+        confidence95A: [lowA, highA],
+        avgRounds: average(results.map(result => result.rounds)),
+        // 魅力差距以 A 的角度計算（正值代表 A 領先），另外分別統計勝方的平均領先幅度
+        avgCharmMargin: average(results.map(result => result.charmMargin)),
+        avgTokenMargin: average(results.map(result => result.tokenMargin)),
+        avgWinningCharmMarginA: average(results.filter(result => result.winner === PLAYER_A).map(result => result.charmMargin)),
+        avgWinningCharmMarginB: average(results.filter(result => result.winner === PLAYER_B).map(result => -result.charmMargin)),
+        sideA: sideSummary(PLAYER_A),
+        sideB: sideSummary(PLAYER_B)
+    };
+};
+
+// 執行自我對戰（games 場，先手輪流交換；每場種子由主種子衍生）
+const runTournament = ({ strategyA, strategyB, games, seed, geishaSet, searchOptions, useBelief, onProgress = null }) => {
+    const strategies = {
+        [PLAYER_A]: createStrategy(strategyA, searchOptions, useBelief),
+        [PLAYER_B]: createStrategy(strategyB, searchOptions, useBelief)
+    };
+    const seeder = createSeededRandom(seed);
+    const results = [];
+
+    for (let index = 0; index < games; index += 1) {
+        results.push(playHeadlessGame({
+            strategies,
+            seed: seeder.int(2 ** 32),
+            firstPlayerId: index % 2 === 0 ? PLAYER_A : PLAYER_B,
+            geishaSet
+        }));
+        onProgress?.(index + 1, games);
+    }
+
+    return results;
+};
+
+// 百分比格式
+const formatPercent = (value) => `${(value * 100).toFixed(1)}%`;
+
+// 輸出文字報告
+const printReport = ({ strategyA, strategyB, seed, summary }) => {
+    const [low, high] = summary.confidence95A;
+    console.log(`🎴 NPC 自我對戰：A=${strategyA} vs B=${strategyB}（${summary.games} 場，種子 ${seed}）`);
+    console.log(`🏆 A 勝 ${summary.winsA}、B 勝 ${summary.winsB}、和局 ${summary.draws}`);
+    console.log(`📈 A 勝率 ${formatPercent(summary.winRateA)}（95% 信賴區間 ${formatPercent(low)} ~ ${formatPercent(high)}）`);
+    console.log(`🔁 平均回合數 ${summary.avgRounds.toFixed(2)}`);
+    console.log(`💖 平均魅力差（A-B）${summary.avgCharmMargin.toFixed(2)}，平均好感差（A-B）${summary.avgTokenMargin.toFixed(2)}`);
+    console.log(`💖 勝方平均魅力領先：A ${summary.avgWinningCharmMarginA.toFixed(2)}、B ${summary.avgWinningCharmMarginB.toFixed(2)}`);
+    console.log(`🥇 先手勝率：A ${formatPercent(summary.sideA.winRateAsFirst)}、B ${formatPercent(summary.sideB.winRateAsFirst)}`);
+    console.log(`⏱️ 平均每步思考：A ${summary.sideA.avgDecisionMs.toFixed(1)}ms、B ${summary.sideB.avgDecisionMs.toFixed(1)}ms`);
+};
+
+// 解析命令列參數並執行
+const main = () => {
+    const { values } = parseArgs({
+        options: {
+            a: { type: 'string' },
+            b: { type: 'string' },
+            games: { type: 'string', default: '100' },
+            seed: { type: 'string' },
+            'geisha-set': { type: 'string', default: 'default' },
+            'search-iterations': { type: 'string' },
+            'search-budget': { type: 'string' },
+            'no-belief': { type: 'boolean', default: false },
+            json: { type: 'boolean', default: false },
+            help: { type: 'boolean', default: false }
+        }
+    });
+
+    if (values.help) {
+        console.log(USAGE);
+        return;
+    }
+
+    if (!parseStrategy(values.a) || !parseStrategy(values.b)) {
+        console.error(`❌ 請以 --a / --b 指定策略（${STRATEGIES.join(', ')}，可加上「:個性」）\n\n${USAGE}`);
+        process.exitCode = 1;
+        return;
+    }
+
+    const games = Number.parseInt(values.games, 10);
+    if (!Number.isSafeInteger(games) || games <= 0) {
+        console.error('❌ --games 必須是正整數');
+        process.exitCode = 1;
+        return;
+    }
+
+    const seed = values.seed !== undefined ? normalizeSeed(values.seed) : createSeed();
+    if (seed === null) {
+        console.error('❌ --seed 必須是非負整數');
+        process.exitCode = 1;
+        return;
+    }
+
+    // 固定迭代次數時關閉時間上限，讓搜尋結果與機器速度無關
+    const searchOptions = {};
+    if (values['search-iterations'] !== undefined) {
+        const maxIterations = Number.parseInt(values['search-iterations'], 10);
+        if (!Number.isSafeInteger(maxIterations) || maxIterations <= 0) {
+            console.error('❌ --search-iterations 必須是正整數');
+            process.exitCode = 1;
+            return;
+        }
+        searchOptions.maxIterations = maxIterations;
+        searchOptions.budgetMs = null;
+    } else if (values['search-budget'] !== undefined) {
+        const budgetMs = Number.parseInt(values['search-budget'], 10);
+        if (!Number.isSafeInteger(budgetMs) || budgetMs <= 0) {
+            console.error('❌ --search-budget 必須是正整數（毫秒）');
+            process.exitCode = 1;
+            return;
+        }
+        searchOptions.budgetMs = budgetMs;
+    }
+
+    const results = runTournament({
+        strategyA: values.a,
+        strategyB: values.b,
+        games,
+        seed,
+        geishaSet: values['geisha-set'],
+        searchOptions,
+        useBelief: !values['no-belief'],
+        onProgress: values.json ? null : (done, total) => {
+            if (done % 10 === 0 || done === total) {
+                process.stderr.write(`\r⏳ ${done}/${total}`);
+            }
+        }
+    });
+    const summary = summarizeResults(results);
+
+    if (values.json) {
+        console.log(JSON.stringify({ strategyA: values.a, strategyB: values.b, seed, ...summary }, null, 2));
+        return;
+    }
+
+    process.stderr.write('\n');
+    printReport({ strategyA: values.a, strategyB: values.b, seed, summary });
+};
+
+main();
@@ -0,0 +1,208 @@
+// server/test/gameEngine.test.js - 規則引擎單元測試（不開啟任何連線，直接以狀態與行動驗證規則）
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    advanceGame,
+    buildRoundState,
+    determineWinner,
+    getActingPlayerId,
+    getPlayerState,
+    listLegalActions,
+    reduceGame
+} from '../reducers/gameEngine.js';
+import { createBaseGeishas } from '../utils/gameUtils.js';
+import { createSeededRandom } from '../utils/random.js';
+
+const ALICE = 'alice';
+const BOB = 'bob';
+
+// 建立已開始第一回合的狀態（alice 先手並已抽牌）
+const createPlayingState = (seed = 1) => {
+    const { state } = buildRoundState({
+        gameId: 'engine-test',
+        playerIds: [ALICE, BOB],
+        geishas: createBaseGeishas(),
+        openOrderDecision: false,
+        random: createSeededRandom(seed).next
+    });
+    return advanceGame(state, 'BEGIN_TURN').state;
+};
+
+const handOf = (state, playerId) => getPlayerState(state, playerId).hand;
+
+// 依序執行行動，任何一步被拒絕即讓測試失敗
+const play = (state, ...actions) => actions.reduce((current, action) => {
+    const result = reduceGame(current, action);
+    assert.equal(result.error, undefined, `行動 ${action.type} 被拒絕：${result.error?.message}`);
+    return result.state;
+}, state);
+
+describe('流程控制', () => {
+    test('開始回合時當前玩家抽 1 張牌', () => {
+        const state = createPlayingState();
+        assert.equal(state.phase, 'playing');
+        assert.equal(handOf(state, ALICE).length, 7);
+        assert.equal(handOf(state, BOB).length, 6);
+        assert.equal(state.drawPile.length, 7);
+    });
+
+    test('玩家無法以 reduceGame 送出流程控制', () => {
+        const state = createPlayingState();
+        ['BEGIN_TURN', 'END_TURN', 'RESOLVE_ROUND'].forEach((type) => {
+            const result = reduceGame(state, { type, playerId: ALICE });
+            assert.equal(result.error?.code, 'ERR_UNKNOWN_ACTION');
+            assert.equal(result.state, state);
+            assert.deepEqual(result.events, []);
+        });
+    });
+
+    test('advanceGame 拒絕未知的流程步驟', () => {
+        const state = createPlayingState();
+        assert.equal(advanceGame(state, 'PLAY_SECRET').error?.code, 'ERR_UNKNOWN_ACTION');
+    });
+});
+
+describe('玩家行動', () => {
+    test('不修改傳入的狀態', () => {
+        const state = createPlayingState();
+        const snapshot = structuredClone(state);
+        reduceGame(state, { type: 'PLAY_SECRET', playerId: ALICE, payload: { cardId: handOf(state, ALICE)[0].id } });
+        assert.deepEqual(state, snapshot);
+    });
+
+    test('非當前玩家的行動被拒絕', () => {
+        const state = createPlayingState();
+        const result = reduceGame(state, { type: 'PLAY_SECRET', playerId: BOB, payload: { cardId: handOf(state, BOB)[0].id } });
+        assert.equal(result.error?.code, 'ERR_NOT_YOUR_TURN');
+    });
+
+    test('不在手牌中的卡片回傳錯誤碼與欄位', () => {
+        const state = createPlayingState();
+        const result = reduceGame(state, { type: 'PLAY_TRADE_OFF', playerId: ALICE, payload: { cardIds: [handOf(state, ALICE)[0].id, 'card-x'] } });
+        assert.deepEqual(result.error, { code: 'ERR_CARD_NOT_IN_HAND', message: '選擇的卡片不在你的手牌中', field: 'payload.cardIds' });
+    });
+
+    test('密約蓋牌、使用指示物並換對手抽牌', () => {
+        const state = createPlayingState();
+        const card = handOf(state, ALICE)[0];
+        const result = reduceGame(state, { type: 'PLAY_SECRET', playerId: ALICE, payload: { cardId: card.id } });
+
+        const alice = getPlayerState(result.state, ALICE);
+        assert.deepEqual(alice.secretCards, [card]);
+        assert.equal(alice.actionTokens.find(token => token.type === 'secret').used, true);
+        assert.equal(getActingPlayerId(result.state), BOB);
+        assert.equal(handOf(result.state, BOB).length, 7);
+        assert.deepEqual(result.events.map(event => event.type), ['ACTION_EXECUTED', 'CARD_DRAWN']);
+    });
+
+    test('同一個行動指示物不能使用兩次', () => {
+        let state = createPlayingState();
+        state = play(
+            state,
+            { type: 'PLAY_SECRET', playerId: ALICE, payload: { cardId: handOf(state, ALICE)[0].id } }
+        );
+        state = play(state, { type: 'PLAY_SECRET', playerId: BOB, payload: { cardId: handOf(state, BOB)[0].id } });
+
+        const result = reduceGame(state, { type: 'PLAY_SECRET', playerId: ALICE, payload: { cardId: handOf(state, ALICE)[0].id } });
+        assert.equal(result.error?.code, 'ERR_ACTION_ALREADY_USED');
+    });
+
+    test('贈予等待對手挑選 1 張，其餘歸發起者', () => {
+        let state = createPlayingState();
+        const offered = handOf(state, ALICE).slice(0, 3);
+        state = play(state, { type: 'INITIATE_GIFT', playerId: ALICE, payload: { cardIds: offered.map(card => card.id) } });
+        assert.equal(state.pendingInteraction.type, 'GIFT_SELECTION');
+        assert.equal(getActingPlayerId(state), BOB);
+
+        assert.equal(
+            reduceGame(state, { type: 'PLAY_SECRET', playerId: BOB, payload: { cardId: handOf(state, BOB)[0].id } }).error?.code,
+            'ERR_AWAITING_RESPONSE'
+        );
+        assert.equal(
+            reduceGame(state, { type: 'RESOLVE_GIFT', playerId: ALICE, payload: { chosenCardId: offered[0].id } }).error?.code,
+            'ERR_NOT_INTERACTION_TARGET'
+        );
+
+        state = play(state, { type: 'RESOLVE_GIFT', playerId: BOB, payload: { chosenCardId: offered[1].id } });
+        assert.deepEqual(getPlayerState(state, BOB).playedCards, [offered[1]]);
+        assert.deepEqual(getPlayerState(state, ALICE).playedCards, [offered[0], offered[2]]);
+        assert.equal(state.pendingInteraction, null);
+        assert.equal(getActingPlayerId(state), BOB);
+    });
+
+    test('競爭由對手選 1 組，另一組歸發起者', () => {
+        let state = createPlayingState();
+        const [a, b, c, d] = handOf(state, ALICE);
+        state = play(state, { type: 'INITIATE_COMPETITION', playerId: ALICE, payload: { groups: [[a.id, b.id], [c.id, d.id]] } });
+        state = play(state, { type: 'RESOLVE_COMPETITION', playerId: BOB, payload: { chosenGroupIndex: 1 } });
+
+        assert.deepEqual(getPlayerState(state, BOB).playedCards, [c, d]);
+        assert.deepEqual(getPlayerState(state, ALICE).playedCards, [a, b]);
+    });
+
+    test('未知的行動類型被拒絕', () => {
+        const state = createPlayingState();
+        assert.equal(reduceGame(state, { type: 'DRAW_CARD', playerId: ALICE }).error?.code, 'ERR_UNKNOWN_ACTION');
+    });
+});
+
+describe('回合結算', () => {
+    // 雙方每次都執行第一個合法行動直到回合結束
+    const playRound = (seed) => {
+        let state = createPlayingState(seed);
+        const events = [];
+        while (state.phase === 'playing') {
+            const actorId = getActingPlayerId(state);
+            const result = reduceGame(state, { ...listLegalActions(state, actorId)[0], playerId: actorId });
+            assert.equal(result.error, undefined);
+            events.push(...result.events);
+            state = result.state;
+        }
+        return { state, events };
+    };
+
+    test('四個行動用完後結算，所有卡片都有去處', () => {
+        const { state, events } = playRound(7);
+        assert.ok(['resolution', 'ended'].includes(state.phase));
+        assert.ok(events.some(event => event.type === 'ROUND_COMPLETE'));
+        assert.equal(state.drawPile.length, 0);
+
+        state.players.forEach((player) => {
+            assert.ok(player.actionTokens.every(token => token.used));
+            assert.equal(player.hand.length, 0);
+            assert.equal(player.secretCards.length, 0);
+        });
+        const placed = state.players.reduce((total, player) => total + player.playedCards.length + player.discardedCards.length, 0);
+        assert.equal(placed, 20);
+    });
+
+    test('好感與魅力值依藝妓上的卡片數量計算', () => {
+        const { state } = playRound(11);
+        state.players.forEach((player) => {
+            const controlled = state.geishas.filter(geisha => geisha.controlledBy === player.id);
+            assert.equal(player.score.tokens, controlled.length);
+            assert.equal(player.score.charm, controlled.reduce((total, geisha) => total + geisha.charmPoints, 0));
+        });
+    });
+});
+
+describe('勝負判定', () => {
+    const withScores = (aScore, bScore) => ({
+        players: [
+            { id: ALICE, score: aScore },
+            { id: BOB, score: bScore }
+        ]
+    });
+
+    test('魅力值達 11 優先於好感數', () => {
+        assert.equal(determineWinner(withScores({ charm: 11, tokens: 2 }, { charm: 8, tokens: 5 })), ALICE);
+    });
+
+    test('好感數達 4 時獲勝', () => {
+        assert.equal(determineWinner(withScores({ charm: 6, tokens: 3 }, { charm: 9, tokens: 4 })), BOB);
+    });
+
+    test('未達條件時沒有勝者', () => {
+        assert.equal(determineWinner(withScores({ charm: 10, tokens: 3 }, { charm: 9, tokens: 3 })), null);
+    });
+});
@@ -0,0 +1,88 @@
+// server/test/npcAdvisor.test.js - NPC 決策說明測試（說明會送給對手，不可透露行動以外的手牌）
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    advanceGame,
+    buildPlayerView,
+    buildRoundState,
+    getPlayerState
+} from '../reducers/gameEngine.js';
+import { createBaseGeishas } from '../utils/gameUtils.js';
+import { createSeededRandom } from '../utils/random.js';
+import { explainNpcDecision } from '../utils/npcAdvisor.js';
+
+const NPC = 'npc';
+
+const createNpcView = () => {
+    const { state } = buildRoundState({
+        gameId: 'advisor-test',
+        playerIds: [NPC, 'human'],
+        geishas: createBaseGeishas(),
+        openOrderDecision: false,
+        random: createSeededRandom(3).next
+    });
+    return buildPlayerView(advanceGame(state, 'BEGIN_TURN').state, NPC);
+};
+
+// 將行動沒用到的手牌換成其他藝妓的卡片（對手看不到這些牌，說明不應因此改變）
+const withOtherUnusedCards = (view, usedIds) => {
+    const geishaIds = view.geishas.map(geisha => geisha.id);
+    const next = structuredClone(view);
+    const npc = getPlayerState(next, NPC);
+    npc.hand = npc.hand.map(card => (usedIds.includes(card.id)
+        ? card
+        : { ...card, geishaId: geishaIds[(geishaIds.indexOf(card.geishaId) + 1) % geishaIds.length] }));
+    return next;
+};
+
+// 說明中提到的卡片數量（保留與犧牲）
+const countMentionedCards = reasoning => reasoning.protectedCards.length + reasoning.sacrificedCards.length;
+
+describe('NPC 決策說明', () => {
+    const view = createNpcView();
+    const hand = getPlayerState(view, NPC).hand;
+
+    test('取捨只提到捨棄的兩張', () => {
+        const reasoning = explainNpcDecision(view, NPC, { type: 'PLAY_TRADE_OFF', payload: { cardIds: [hand[0].id, hand[1].id] } });
+        assert.equal(reasoning.sacrificedCards.length, 2);
+        assert.deepEqual(reasoning.protectedCards, []);
+    });
+
+    test('贈予只提到贈出的三張', () => {
+        const reasoning = explainNpcDecision(view, NPC, { type: 'INITIATE_GIFT', payload: { cardIds: hand.slice(0, 3).map(card => card.id) } });
+        assert.equal(reasoning.sacrificedCards.length, 1);
+        assert.equal(reasoning.protectedCards.length, 2);
+    });
+
+    test('競爭只提到分組的四張', () => {
+        const [a, b, c, d] = hand;
+        const reasoning = explainNpcDecision(view, NPC, {
+            type: 'INITIATE_COMPETITION',
+            payload: { groups: [[a.id, b.id], [c.id, d.id]] }
+        });
+        assert.equal(reasoning.sacrificedCards.length, 2);
+        assert.equal(reasoning.protectedCards.length, 2);
+        assert.equal(countMentionedCards(reasoning), 4);
+    });
+
+    test('密約只提到蓋下的一張', () => {
+        const reasoning = explainNpcDecision(view, NPC, { type: 'PLAY_SECRET', payload: { cardId: hand[0].id } });
+        assert.deepEqual(reasoning.protectedCards, [{ geishaId: hand[0].geishaId, name: reasoning.protectedCards[0].name }]);
+        assert.deepEqual(reasoning.sacrificedCards, []);
+    });
+
+    test('說明不含由其餘手牌推得的內容', () => {
+        const [a, b, c, d] = hand.map(card => card.id);
+        [
+            { type: 'PLAY_SECRET', payload: { cardId: a } },
+            { type: 'PLAY_TRADE_OFF', payload: { cardIds: [a, b] } },
+            { type: 'INITIATE_GIFT', payload: { cardIds: [a, b, c] } },
+            { type: 'INITIATE_COMPETITION', payload: { groups: [[a, b], [c, d]] } }
+        ].forEach((action) => {
+            const usedIds = [action.payload.cardId, ...(action.payload.cardIds ?? []), ...(action.payload.groups ?? []).flat()];
+            const reasoning = explainNpcDecision(view, NPC, action);
+            assert.deepEqual(explainNpcDecision(withOtherUnusedCards(view, usedIds), NPC, action), reasoning, action.type);
+            assert.equal('actionScores' in reasoning, false);
+        });
+    });
+});
@@ -0,0 +1,116 @@
+// server/test/npcStrategy.test.js - NPC 策略測試（決策必須合法，相同種子必須得到相同決策與對戰結果）
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFile } from 'child_process';
+import { fileURLToPath } from 'url';
+import { promisify } from 'util';
+import {
+    advanceGame,
+    buildRoundState,
+    getActingPlayerId,
+    listLegalActions,
+    reduceGame
+} from '../reducers/gameEngine.js';
+import { createBaseGeishas } from '../utils/gameUtils.js';
+import { createSeededRandom } from '../utils/random.js';
+import { buildNpcDecision, searchNpcDecision } from '../utils/npcStrategy.js';
+
+const TOURNAMENT_SCRIPT = fileURLToPath(new URL('../scripts/npcTournament.js', import.meta.url));
+const DIFFICULTIES = ['easy', 'medium', 'hard', 'expert', 'hell'];
+
+const createPlayingState = (seed) => {
+    const { state } = buildRoundState({
+        gameId: 'strategy-test',
+        playerIds: ['npc-a', 'npc-b'],
+        geishas: createBaseGeishas(),
+        openOrderDecision: false,
+        random: createSeededRandom(seed).next
+    });
+    return advanceGame(state, 'BEGIN_TURN').state;
+};
+
+// 雙方以同一難度打完一回合，回傳每一步的決策
+const playRound = (difficulty, seed) => {
+    const rng = createSeededRandom(seed);
+    let state = createPlayingState(seed);
+    const decisions = [];
+    while (state.phase === 'playing') {
+        const actorId = getActingPlayerId(state);
+        const action = buildNpcDecision(state, actorId, difficulty, rng);
+        assert.ok(action, `${difficulty} 在還有合法行動時沒有決策`);
+
+        const result = reduceGame(state, { ...action, playerId: actorId });
+        assert.equal(result.error, undefined, `${difficulty} 產生不合法行動：${result.error?.message}`);
+        decisions.push(action);
+        state = result.state;
+    }
+    return decisions;
+};
+
+describe('NPC 決策', () => {
+    DIFFICULTIES.forEach((difficulty) => {
+        test(`${difficulty} 每一步都是合法行動`, () => {
+            assert.ok(playRound(difficulty, 5).length >= 8);
+        });
+    });
+
+    test('相同種子得到相同決策序列', () => {
+        DIFFICULTIES.forEach((difficulty) => {
+            assert.deepEqual(playRound(difficulty, 17), playRound(difficulty, 17));
+        });
+    });
+});
+
+describe('NPC 搜尋', () => {
+    const search = seed => searchNpcDecision(createPlayingState(9), 'npc-a', 'hell', createSeededRandom(seed), {
+        budgetMs: null,
+        maxIterations: 60
+    });
+
+    test('固定迭代次數時結果可重現', () => {
+        assert.deepEqual(search(4).action, search(4).action);
+    });
+
+    test('搜尋結果是合法行動', () => {
+        const state = createPlayingState(9);
+        const { action } = search(4);
+        const legalKeys = listLegalActions(state, 'npc-a').map(candidate => JSON.stringify(candidate));
+        assert.ok(legalKeys.includes(JSON.stringify(action)));
+    });
+
+    test('非搜尋難度回傳 null', () => {
+        assert.equal(searchNpcDecision(createPlayingState(9), 'npc-a', 'hard', createSeededRandom(1)), null);
+    });
+});
+
+describe('自我對戰工具', () => {
+    const runTournament = async () => {
+        const { stdout } = await promisify(execFile)(process.execPath, [
+            TOURNAMENT_SCRIPT,
+            '--a', 'easy',
+            '--b', 'medium',
+            '--games', '6',
+            '--seed', '12',
+            '--json'
+        ]);
+        // 思考時間與機器速度有關，不列入比較
+        const { sideA, sideB, ...summary } = JSON.parse(stdout);
+        return { ...summary, winRateAsFirst: [sideA.winRateAsFirst, sideB.winRateAsFirst] };
+    };
+
+    test('搜尋次數與時間必須是正整數', async () => {
+        for (const args of [['--search-iterations', '0'], ['--search-iterations', 'abc'], ['--search-budget', '-5']]) {
+            await assert.rejects(
+                promisify(execFile)(process.execPath, [TOURNAMENT_SCRIPT, '--a', 'hell', '--b', 'easy', '--games', '1', ...args]),
+                error => error.code === 1 && error.stderr.includes(args[0])
+            );
+        }
+    });
+
+    test('相同種子重現相同的對戰結果', async () => {
+        const first = await runTournament();
+        assert.equal(first.games, 6);
+        assert.equal(first.winsA + first.winsB + first.draws, 6);
+        assert.deepEqual(await runTournament(), first);
+    });
+});
@@ -0,0 +1,62 @@
+// server/test/random.test.js - 種子亂數與發牌的可重現性測試
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildRoundState } from '../reducers/gameEngine.js';
+import { buildDeckForGeishas, createBaseGeishas } from '../utils/gameUtils.js';
+import { createSeededRandom, normalizeSeed } from '../utils/random.js';
+
+const dealRound = (seed) => buildRoundState({
+    gameId: 'seed-test',
+    playerIds: ['alice', 'bob'],
+    geishas: createBaseGeishas(),
+    openOrderDecision: false,
+    random: createSeededRandom(seed).next
+});
+
+describe('種子亂數', () => {
+    test('相同種子產生相同序列', () => {
+        const a = createSeededRandom(42);
+        const b = createSeededRandom(42);
+        const sequence = Array.from({ length: 20 }, () => a.next());
+        assert.deepEqual(Array.from({ length: 20 }, () => b.next()), sequence);
+        sequence.forEach(value => assert.ok(value >= 0 && value < 1));
+    });
+
+    test('從快照的內部狀態接續相同序列', () => {
+        const original = createSeededRandom(7);
+        Array.from({ length: 5 }, () => original.next());
+        const resumed = createSeededRandom(7, original.getState());
+        assert.deepEqual(
+            Array.from({ length: 10 }, () => resumed.next()),
+            Array.from({ length: 10 }, () => original.next())
+        );
+    });
+
+    test('種子正規化為 32 位元無號整數', () => {
+        assert.equal(normalizeSeed('123'), 123);
+        assert.equal(normalizeSeed(2 ** 32 + 5), 5);
+        assert.equal(normalizeSeed(-1), null);
+        assert.equal(normalizeSeed('abc'), null);
+        assert.equal(normalizeSeed(1.5), null);
+    });
+});
+
+describe('發牌重現', () => {
+    test('相同種子發出相同的手牌、牌堆與移除卡', () => {
+        assert.deepEqual(dealRound(2024), dealRound(2024));
+    });
+
+    test('不同種子的牌序不同', () => {
+        assert.notDeepEqual(dealRound(1).state.drawPile, dealRound(2).state.drawPile);
+    });
+
+    test('卡片 ID 不含亂數輸出且不重複', () => {
+        const idsFor = seed => buildDeckForGeishas(createBaseGeishas(), createSeededRandom(seed).next);
+        const collect = ({ deck, removedCard }) => [...deck, removedCard].map(card => card.id).sort();
+
+        const ids = collect(idsFor(1));
+        assert.equal(new Set(ids).size, 21);
+        assert.deepEqual(collect(idsFor(99)), ids);
+        ids.forEach(id => assert.match(id, /^card-\d+-\d+$/));
+    });
+});
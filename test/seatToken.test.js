@@ -0,0 +1,29 @@
+// server/test/seatToken.test.js - 座位憑證測試（憑證只對簽發的房間與玩家有效）
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createSeatNonce, createSeatToken, verifySeatToken } from '../utils/seatToken.js';
+
+describe('座位憑證', () => {
+    const nonce = createSeatNonce();
+    const token = createSeatToken('ABC123', nonce, 'alice');
+
+    test('簽發的房間與玩家可以驗證', () => {
+        assert.equal(verifySeatToken('ABC123', nonce, 'alice', token), true);
+    });
+
+    test('其他玩家或房間代碼無法使用', () => {
+        assert.equal(verifySeatToken('ABC123', nonce, 'bob', token), false);
+        assert.equal(verifySeatToken('XYZ789', nonce, 'alice', token), false);
+    });
+
+    test('重複使用同一代碼的新房間不接受舊憑證', () => {
+        assert.notEqual(createSeatNonce(), nonce);
+        assert.equal(verifySeatToken('ABC123', createSeatNonce(), 'alice', token), false);
+    });
+
+    test('缺少或格式錯誤的憑證被拒絕', () => {
+        assert.equal(verifySeatToken('ABC123', nonce, 'alice', undefined), false);
+        assert.equal(verifySeatToken('ABC123', nonce, 'alice', ''), false);
+        assert.equal(verifySeatToken('ABC123', nonce, 'alice', 'short'), false);
+    });
+});
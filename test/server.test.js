@@ -0,0 +1,98 @@
+// server/test/server.test.js - WebSocket 伺服器整合測試（以子行程啟動伺服器，透過實際連線驗證訊息處理）
+import { after, before, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawn } from 'child_process';
+import { once } from 'events';
+import { createServer } from 'net';
+import { fileURLToPath } from 'url';
+import WebSocket from 'ws';
+
+const SERVER_SCRIPT = fileURLToPath(new URL('../index.js', import.meta.url));
+const MESSAGE_TIMEOUT_MS = 5000;
+
+// 取得一個目前沒有使用的 port
+const findFreePort = async () => {
+    const probe = createServer().listen(0, '127.0.0.1');
+    await once(probe, 'listening');
+    const { port } = probe.address();
+    probe.close();
+    await once(probe, 'close');
+    return port;
+};
+
+// 啟動伺服器並等待開始監聽
+const startServer = async (port) => {
+    const env = { ...process.env, PORT: String(port) };
+    delete env.REDIS_URL;
+    const child = spawn(process.execPath, [SERVER_SCRIPT], { env, stdio: ['ignore', 'pipe', 'inherit'] });
+
+    await new Promise((resolve, reject) => {
+        const timer = setTimeout(() => reject(new Error('伺服器啟動逾時')), MESSAGE_TIMEOUT_MS);
+        child.once('exit', code => reject(new Error(`伺服器提前結束（${code}）`)));
+        child.stdout.on('data', (chunk) => {
+            if (chunk.toString().includes('伺服器運行在')) {
+                clearTimeout(timer);
+                resolve();
+            }
+        });
+    });
+    return child;
+};
+
+// 建立連線，收到的訊息依序排入佇列，由 nextMessage 取出指定類型
+const connect = async (port) => {
+    const ws = new WebSocket(`ws://127.0.0.1:${port}`);
+    const received = [];
+    const waiters = [];
+    ws.on('message', (raw) => {
+        received.push(JSON.parse(raw.toString()));
+        waiters.splice(0).forEach(wake => wake());
+    });
+    await once(ws, 'open');
+
+    const nextMessage = async (type) => {
+        const deadline = Date.now() + MESSAGE_TIMEOUT_MS;
+        for (;;) {
+            const index = received.findIndex(message => message.type === type);
+            if (index >= 0) {
+                return received.splice(0, index + 1).pop();
+            }
+            const remaining = deadline - Date.now();
+            assert.ok(remaining > 0, `等待 ${type} 逾時`);
+            await new Promise((resolve) => {
+                const timer = setTimeout(resolve, remaining);
+                waiters.push(() => {
+                    clearTimeout(timer);
+                    resolve();
+                });
+            });
+        }
+    };
+    const send = message => ws.send(JSON.stringify(message));
+    return { ws, send, nextMessage };
+};
+
+describe('WebSocket 伺服器', () => {
+    let server;
+    let port;
+
+    before(async () => {
+        port = await findFreePort();
+        server = await startServer(port);
+    });
+
+    after(() => {
+        server?.kill();
+    });
+
+    test('省略 payload 的 RESYNC 仍收到完整快照', async () => {
+        const client = await connect(port);
+        client.send({ type: 'CREATE_ROOM', payload: { playerId: 'resync-tester', mode: 'npc' } });
+        await client.nextMessage('ROOM_CREATED');
+
+        client.send({ type: 'RESYNC' });
+        const snapshot = await client.nextMessage('STATE_SNAPSHOT');
+        assert.equal(snapshot.payload.lastSeq, null);
+        client.ws.close();
+    });
+});
@@ -0,0 +1,56 @@
+// server/utils/botRegistry.js - 外部 Bot 註冊表（第三方 AI 以 botId + secret 驗證後入座）
+// 設定方式：BOT_REGISTRY 為 JSON 字串，或 BOT_REGISTRY_FILE 指向 JSON 檔
+// 格式：{ "<botId>": { "name": "顯示名稱", "secret": "驗證密鑰" } }
+import { createHash, timingSafeEqual } from 'crypto';
+import { readFileSync } from 'fs';
+
+// 讀取註冊表（格式錯誤時視為沒有註冊任何 Bot）
+const loadRegistry = () => {
+    try {
+        const raw = process.env.BOT_REGISTRY_FILE
+            ? readFileSync(process.env.BOT_REGISTRY_FILE, 'utf8')
+            : process.env.BOT_REGISTRY;
+        if (!raw) {
+            return new Map();
+        }
+
+        const parsed = JSON.parse(raw);
+        return new Map(
+            Object.entries(parsed)
+                .filter(([, entry]) => typeof entry?.secret === 'string' && entry.secret.length > 0)
+                .map(([botId, entry]) => [botId, { botId, name: entry.name ?? botId, secret: entry.secret }])
+        );
+    } catch (error) {
+        console.error('❌ Bot 註冊表讀取失敗:', error.message);
+        return new Map();
+    }
+};
+
+const registry = loadRegistry();
+
+if (registry.size > 0) {
+    console.log(`🤝 已載入 ${registry.size} 個外部 Bot：${Array.from(registry.keys()).join(', ')}`);
+}
+
+// 以雜湊後比較，避免長度不同時洩漏時序資訊
+const digest = (value) => createHash('sha256').update(value).digest();
+
+// 取得已註冊的 Bot（不含密鑰）
+export const getRegisteredBot = (botId) => {
+    const entry = registry.get(botId);
+    return entry ? { botId: entry.botId, name: entry.name } : null;
+};
+
+// 列出所有已註冊的 Bot（不含密鑰）
+export const listRegisteredBots = () =>
+    Array.from(registry.values()).map(entry => ({ botId: entry.botId, name: entry.name }));
+
+// 驗證 Bot 身分（固定時間比較）
+export const verifyBotCredentials = (botId, secret) => {
+    const entry = typeof botId === 'string' ? registry.get(botId) : null;
+    if (!entry || typeof secret !== 'string' || !secret) {
+        return false;
+    }
+
+    return timingSafeEqual(digest(entry.secret), digest(secret));
+};
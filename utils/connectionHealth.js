@@ -0,0 +1,149 @@
+// server/utils/connectionHealth.js - 連線存活檢查與傳送緩衝監控（半開連線與處理過慢的客戶端會被中斷，並累計統計）
+// 存活：每隔 HEARTBEAT_INTERVAL_MS 送出 ping，超過 HEARTBEAT_TIMEOUT_MS 沒有任何回應（pong 或訊息）即中斷連線
+// 中斷後觸發連線的 close 事件，由房間原本的斷線流程保留座位或移出房間
+const readPositiveInt = (value, fallback) => {
+    const parsed = Number.parseInt(value ?? '', 10);
+    return Number.isFinite(parsed) && parsed > 0 ? parsed : fallback;
+};
+
+export const HEARTBEAT_INTERVAL_MS = readPositiveInt(process.env.HEARTBEAT_INTERVAL_MS, 15000);
+export const HEARTBEAT_TIMEOUT_MS = Math.max(
+    HEARTBEAT_INTERVAL_MS,
+    readPositiveInt(process.env.HEARTBEAT_TIMEOUT_MS, 30000)
+);
+
+// 傳送緩衝：超過高水位時合併狀態更新並略過週期性訊息，超過上限時視為處理過慢而中斷連線
+export const SEND_BUFFER_HIGH_WATER_BYTES = readPositiveInt(process.env.SEND_BUFFER_HIGH_WATER_BYTES, 256 * 1024);
+export const SEND_BUFFER_MAX_BYTES = Math.max(
+    SEND_BUFFER_HIGH_WATER_BYTES,
+    readPositiveInt(process.env.SEND_BUFFER_MAX_BYTES, 4 * 1024 * 1024)
+);
+// 緩衝過高時延後的狀態更新，每隔此時間重新檢查是否可以送出
+export const SEND_BUFFER_RETRY_MS = 250;
+
+const metrics = {
+    accepted: 0,
+    closed: 0,
+    terminated: {
+        heartbeat: 0,
+        slowConsumer: 0,
+        rateLimited: 0,
+        payloadTooLarge: 0
+    },
+    coalescedStates: 0,
+    droppedMessages: 0,
+    // 因頻率限制或房間數上限被拒絕的訊息
+    rejected: {
+        rateLimited: 0,
+        roomLimit: 0
+    }
+};
+
+// 各連線最後一次有回應的時間
+const lastSeenAt = new WeakMap();
+
+// 開始追蹤新連線（收到 pong 即視為存活）
+export const trackConnection = (ws) => {
+    metrics.accepted += 1;
+    lastSeenAt.set(ws, Date.now());
+    ws.on('pong', () => markConnectionAlive(ws));
+    ws.on('close', () => {
+        metrics.closed += 1;
+    });
+    // 訊息超過大小上限時 ws 會發出錯誤並以 1009 關閉連線（必須監聽 error，否則錯誤會中止整個程序）
+    ws.on('error', (error) => {
+        if (error.code === 'WS_ERR_UNSUPPORTED_MESSAGE_LENGTH') {
+            console.warn('📦 訊息超過大小上限，中斷連線');
+            metrics.terminated.payloadTooLarge += 1;
+            return;
+        }
+        console.error('❌ 連線錯誤:', error);
+    });
+};
+
+// 收到任何訊息也視為存活
+export const markConnectionAlive = (ws) => {
+    lastSeenAt.set(ws, Date.now());
+};
+
+// 強制中斷連線並記錄原因（reason：heartbeat / slowConsumer）
+export const terminateConnection = (ws, reason) => {
+    if (ws.readyState === 3) {
+        return;
+    }
+    metrics.terminated[reason] = (metrics.terminated[reason] ?? 0) + 1;
+    ws.terminate();
+};
+
+// 以關閉代碼正常關閉連線並記錄原因（reason：rateLimited）
+export const closeConnection = (ws, reason, code, description) => {
+    if (ws.readyState >= 2) {
+        return;
+    }
+    metrics.terminated[reason] = (metrics.terminated[reason] ?? 0) + 1;
+    ws.close(code, description);
+};
+
+// 啟動存活檢查（回傳停止函式）
+export const startHeartbeat = (wss) => {
+    const timer = setInterval(() => {
+        const now = Date.now();
+        wss.clients.forEach((ws) => {
+            if (now - (lastSeenAt.get(ws) ?? now) > HEARTBEAT_TIMEOUT_MS) {
+                console.warn(`💔 連線超過 ${HEARTBEAT_TIMEOUT_MS}ms 沒有回應，中斷連線`);
+                terminateConnection(ws, 'heartbeat');
+                return;
+            }
+            if (ws.readyState === 1) {
+                ws.ping();
+            }
+        });
+    }, HEARTBEAT_INTERVAL_MS);
+    return () => clearInterval(timer);
+};
+
+// 取得連線的傳送壓力：ok、congested（超過高水位）、overflow（超過上限）
+// NPC 的假連線沒有緩衝；Bot 座位的轉送連線以實際連線的緩衝為準
+export const getSendPressure = (ws) => {
+    const bufferedAmount = ws.bufferedAmount ?? 0;
+    if (bufferedAmount > SEND_BUFFER_MAX_BYTES) {
+        return 'overflow';
+    }
+    return bufferedAmount > SEND_BUFFER_HIGH_WATER_BYTES ? 'congested' : 'ok';
+};
+
+// 記錄因緩衝過高而合併的狀態更新與略過的訊息
+export const recordCoalescedState = () => {
+    metrics.coalescedStates += 1;
+};
+
+export const recordDroppedMessage = () => {
+    metrics.droppedMessages += 1;
+};
+
+// 記錄被拒絕的訊息（reason：rateLimited / roomLimit）
+export const recordRejectedMessage = (reason) => {
+    metrics.rejected[reason] = (metrics.rejected[reason] ?? 0) + 1;
+};
+
+// 連線統計（open 為目前開啟中的連線數）
+export const getConnectionMetrics = (openConnections) => ({
+    connections: {
+        open: openConnections,
+        accepted: metrics.accepted,
+        closed: metrics.closed,
+        terminated: {
+            total: Object.values(metrics.terminated).reduce((sum, count) => sum + count, 0),
+            ...metrics.terminated
+        }
+    },
+    backpressure: {
+        coalescedStates: metrics.coalescedStates,
+        droppedMessages: metrics.droppedMessages
+    },
+    rejected: { ...metrics.rejected },
+    heartbeat: {
+        intervalMs: HEARTBEAT_INTERVAL_MS,
+        timeoutMs: HEARTBEAT_TIMEOUT_MS
+    }
+});
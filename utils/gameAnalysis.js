@@ -0,0 +1,247 @@
+// server/utils/gameAnalysis.js - 賽後逐步分析（依回放紀錄重建每個決策，與 NPC 評估的最佳行動比較）
+// 評分沿用 NPC 的 evaluateSnapshot：分數以決策者角度計算，贈予/競爭取對手最有利選擇下的結果
+import {
+    advanceGame,
+    buildRoundState,
+    getOpponentState,
+    getPlayerState,
+    listLegalActions,
+    reduceGame
+} from '../reducers/gameEngine.js';
+import { createBaseGeishas } from './gameUtils.js';
+import { describeAction } from './npcAdvisor.js';
+import {
+    applyCardsToSnapshot,
+    buildGeishaCountSnapshot,
+    evaluateSnapshot,
+    getCardUtility
+} from './npcStrategy.js';
+
+// 評估落差門檻（與最佳行動相差的分數，達到即標記）
+export const ANALYSIS_THRESHOLDS = {
+    inaccuracy: 4,
+    mistake: 8,
+    blunder: 16
+};
+
+// 依評估落差標記決策
+const classifySwing = (swing) => {
+    if (swing >= ANALYSIS_THRESHOLDS.blunder) {
+        return 'blunder';
+    }
+    if (swing >= ANALYSIS_THRESHOLDS.mistake) {
+        return 'mistake';
+    }
+    if (swing >= ANALYSIS_THRESHOLDS.inaccuracy) {
+        return 'inaccuracy';
+    }
+    return swing > 0 ? 'good' : 'best';
+};
+
+// 計算指定行動的評分（決策者角度，越高越好）
+export const scoreDecision = (state, playerId, action) => {
+    const player = getPlayerState(state, playerId);
+    const opponent = getOpponentState(state, playerId);
+    const snapshot = buildGeishaCountSnapshot(state, player, opponent);
+    const pending = state.pendingInteraction;
+    const handById = new Map(player.hand.map(card => [card.id, card]));
+    const geishasOf = cards => cards.map(card => card.geishaId);
+    const cardsFromIds = cardIds => cardIds.map(cardId => handById.get(cardId)).filter(Boolean);
+    // 我方拿到 mine、對手拿到 theirs 後的局勢
+    const evaluateSplit = (mine, theirs) => evaluateSnapshot(
+        applyCardsToSnapshot(applyCardsToSnapshot(snapshot, geishasOf(mine), true), geishasOf(theirs), false)
+    );
+
+    switch (action.type) {
+        case 'PLAY_SECRET':
+            return evaluateSplit(cardsFromIds([action.payload.cardId]), []);
+        case 'PLAY_TRADE_OFF': {
+            const loss = cardsFromIds(action.payload.cardIds)
+                .reduce((sum, card) => sum + getCardUtility(snapshot, card.geishaId, true), 0);
+            return evaluateSnapshot(snapshot) - loss;
+        }
+        case 'INITIATE_GIFT': {
+            const offered = cardsFromIds(action.payload.cardIds);
+            return Math.min(...offered.map(chosen => evaluateSplit(
+                offered.filter(card => card.id !== chosen.id),
+                [chosen]
+            )));
+        }
+        case 'INITIATE_COMPETITION': {
+            const [first, second] = action.payload.groups.map(cardsFromIds);
+            return Math.min(evaluateSplit(second, first), evaluateSplit(first, second));
+        }
+        case 'RESOLVE_GIFT': {
+            const chosen = pending.offeredCards.filter(card => card.id === action.payload.chosenCardId);
+            const rest = pending.offeredCards.filter(card => card.id !== action.payload.chosenCardId);
+            return evaluateSplit(chosen, rest);
+        }
+        case 'RESOLVE_COMPETITION': {
+            const index = action.payload.chosenGroupIndex;
+            return evaluateSplit(pending.groups[index], pending.groups[1 - index]);
+        }
+        default:
+            return 0;
+    }
+};
+
+// 分析單一決策：列舉所有合法行動，找出評分最高者並計算落差
+export const analyzeDecision = (state, playerId, action) => {
+    const chosenScore = scoreDecision(state, playerId, action);
+    let bestAction = action;
+    let bestScore = chosenScore;
+
+    listLegalActions(state, playerId).forEach((candidate) => {
+        const score = scoreDecision(state, playerId, candidate);
+        if (score > bestScore) {
+            bestScore = score;
+            bestAction = candidate;
+        }
+    });
+
+    const swing = bestScore - chosenScore;
+    return {
+        kind: state.pendingInteraction ? 'response' : 'turn',
+        action,
+        description: describeAction(state, playerId, action),
+        score: chosenScore,
+        bestAction: swing > 0 ? bestAction : null,
+        bestDescription: swing > 0 ? describeAction(state, playerId, bestAction) : null,
+        bestScore,
+        swing,
+        label: classifySwing(swing)
+    };
+};
+
+// 由回放的 ROUND_DEALT 紀錄重建回合初始狀態
+const buildDealtState = (replay, entry, baseGeishas) => {
+    const geishas = baseGeishas.map((geisha) => ({
+        ...geisha,
+        controlledBy: entry.geishas.find(logged => logged.id === geisha.id)?.controlledBy ?? null
+    }));
+    const { state } = buildRoundState({
+        gameId: replay.roomId,
+        geishaSet: replay.geishaSet,
+        playerIds: entry.order,
+        geishas,
+        round: entry.round,
+        openOrderDecision: false,
+        random: () => 0
+    });
+
+    state.players.forEach((player) => {
+        player.hand = structuredClone(entry.hands[player.id] ?? []);
+    });
+    state.drawPile = structuredClone(entry.drawPile);
+    state.removedCard = entry.removedCard;
+    return state;
+};
+
+// 分析整場對局（replay 為 GameRoom.buildReplay 的輸出），只分析真人玩家的決策
+// 斷線託管期間由 NPC 代打的行動不列入該玩家的統計，只另外計數
+export const analyzeGame = (replay) => {
+    const humanIds = new Set(
+        (replay.players ?? []).filter(player => !player.isNpc && !player.isBot).map(player => player.id)
+    );
+    const baseGeishas = createBaseGeishas(replay.geishaSet ?? 'default');
+    const moves = [];
+    const rounds = [];
+    const flags = new Map();
+    const autopilotIds = new Set();
+    const autopilotDecisions = new Map();
+    let state = null;
+    let turnStarted = false;
+
+    for (const entry of replay.log ?? []) {
+        if (entry.type === 'ROUND_DEALT') {
+            state = buildDealtState(replay, entry, baseGeishas);
+            turnStarted = false;
+            continue;
+        }
+
+        if (entry.type === 'ORDER_DECIDED' && state) {
+            state.players = entry.order.map(playerId => getPlayerState(state, playerId)).filter(Boolean);
+            state.currentPlayer = 0;
+            continue;
+        }
+
+        if (entry.type === 'AUTOPILOT') {
+            if (entry.active) {
+                autopilotIds.add(entry.playerId);
+            } else {
+                autopilotIds.delete(entry.playerId);
+            }
+            continue;
+        }
+
+        if (entry.type === 'TIMEOUT' || entry.type === 'HINT') {
+            flags.set(entry.playerId, { ...flags.get(entry.playerId), [entry.type === 'TIMEOUT' ? 'timedOut' : 'hinted']: true });
+            continue;
+        }
+
+        if (entry.type === 'ROUND_RESOLVED') {
+            rounds.push({ round: entry.round, scores: entry.scores });
+            continue;
+        }
+
+        if (entry.type !== 'ACTION' || !state) {
+            continue;
+        }
+
+        if (!turnStarted) {
+            state = advanceGame(state, 'BEGIN_TURN').state;
+            turnStarted = true;
+        }
+
+        const { playerId, action } = entry;
+        if (autopilotIds.has(playerId)) {
+            autopilotDecisions.set(playerId, (autopilotDecisions.get(playerId) ?? 0) + 1);
+        } else if (humanIds.has(playerId)) {
+            moves.push({
+                seq: entry.seq,
+                round: state.round,
+                playerId,
+                ...analyzeDecision(state, playerId, action),
+                timedOut: Boolean(flags.get(playerId)?.timedOut),
+                hinted: Boolean(flags.get(playerId)?.hinted)
+            });
+        }
+        flags.delete(playerId);
+
+        const result = reduceGame(state, { ...action, playerId });
+        if (result.error) {
+            // 紀錄與規則不一致（例如版本更新後的舊回放），停止分析避免產生錯誤結果
+            console.warn(`⚠️ 房間 ${replay.roomId} 回放第 ${entry.seq} 筆無法重建：${result.error.message}`);
+            break;
+        }
+        state = result.state;
+    }
+
+    const players = Array.from(humanIds).map((playerId) => {
+        const own = moves.filter(move => move.playerId === playerId);
+        const countLabel = label => own.filter(move => move.label === label).length;
+        return {
+            playerId,
+            decisions: own.length,
+            averageSwing: own.length > 0 ? own.reduce((sum, move) => sum + move.swing, 0) / own.length : 0,
+            inaccuracies: countLabel('inaccuracy'),
+            mistakes: countLabel('mistake'),
+            blunders: countLabel('blunder'),
+            autopilotDecisions: autopilotDecisions.get(playerId) ?? 0,
+            // 每輪累計落差，方便回答「這一輪為什麼輸」
+            swingByRound: rounds.map(({ round }) => ({
+                round,
+                swing: own.filter(move => move.round === round).reduce((sum, move) => sum + move.swing, 0)
+            }))
+        };
+    });
+
+    return {
+        roomId: replay.roomId,
+        winner: replay.winner ?? null,
+        thresholds: ANALYSIS_THRESHOLDS,
+        rounds,
+        players,
+        moves
+    };
+};
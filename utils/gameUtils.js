@@ -148,11 +148,11 @@ const buildBaseGeishaData = (setKey = 'default') => {
     }));
 };
 
-// 洗牌工具（Fisher-Yates）
-const shuffleArray = (array) => {
+// 洗牌工具（Fisher-Yates，random 可替換為種子亂數以便重現）
+export const shuffleArray = (array, random = Math.random) => {
     const result = [...array];
     for (let i = result.length - 1; i > 0; i -= 1) {
-        const j = Math.floor(Math.random() * (i + 1));
+        const j = Math.floor(random() * (i + 1));
         [result[i], result[j]] = [result[j], result[i]];
     }
     return result;
@@ -169,7 +169,8 @@ export const createBaseGeishas = (setKey = 'default') =>
 export const createRandomizedGeishas = (setKey = 'default') => createBaseGeishas(setKey);
 
 // 根據藝妓魅力值建立牌庫（每位藝妓的卡牌數量等於魅力值）
-export const buildDeckForGeishas = (geishas) => {
+// 卡片 ID 只由藝妓與張數編號組成：ID 會出現在玩家自己的手牌中，不可含有任何亂數輸出，否則可反推種子與牌序
+export const buildDeckForGeishas = (geishas, random = Math.random) => {
     /** @type {ItemCard[]} */
     const cards = [];
 
@@ -177,14 +178,14 @@ export const buildDeckForGeishas = (geishas) => {
         const copies = geisha.charmPoints ?? 0;
         for (let copy = 0; copy < copies; copy += 1) {
             cards.push({
-                id: `card-${geisha.id}-${copy}-${Math.random().toString(36).slice(2, 8)}`,
+                id: `card-${geisha.id}-${copy}`,
                 geishaId: geisha.id,
                 type: `geisha-${geisha.id}`
             });
         }
     });
 
-    const shuffled = shuffleArray(cards);
+    const shuffled = shuffleArray(cards, random);
     const removedCard = shuffled.pop() ?? null;
 
     return {
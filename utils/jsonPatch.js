@@ -0,0 +1,48 @@
+// server/utils/jsonPatch.js - 產生 JSON Patch（RFC 6902）格式的狀態差異（狀態同步只送出與客戶端已確認狀態的差異）
+// 只使用 add / remove / replace；陣列依索引比對，長度變化時由尾端增刪（移除依索引由大到小，客戶端依序套用即可）
+
+const isPlainObject = value => typeof value === 'object' && value !== null && !Array.isArray(value);
+
+// JSON Pointer 的跳脫規則：~ → ~0、/ → ~1
+const escapePointer = key => String(key).replace(/~/g, '~0').replace(/\//g, '~1');
+
+// 比對兩個 JSON 值（必須是 JSON.parse 產生的純資料，不含 undefined），回傳將 from 轉為 to 的操作列表
+export const createJsonPatch = (from, to, path = '', operations = []) => {
+    if (from === to) {
+        return operations;
+    }
+
+    if (Array.isArray(from) && Array.isArray(to)) {
+        const shared = Math.min(from.length, to.length);
+        for (let index = 0; index < shared; index += 1) {
+            createJsonPatch(from[index], to[index], `${path}/${index}`, operations);
+        }
+        for (let index = from.length - 1; index >= to.length; index -= 1) {
+            operations.push({ op: 'remove', path: `${path}/${index}` });
+        }
+        for (let index = from.length; index < to.length; index += 1) {
+            operations.push({ op: 'add', path: `${path}/${index}`, value: to[index] });
+        }
+        return operations;
+    }
+
+    if (isPlainObject(from) && isPlainObject(to)) {
+        Object.keys(from).forEach((key) => {
+            if (!Object.hasOwn(to, key)) {
+                operations.push({ op: 'remove', path: `${path}/${escapePointer(key)}` });
+            }
+        });
+        Object.keys(to).forEach((key) => {
+            const childPath = `${path}/${escapePointer(key)}`;
+            if (Object.hasOwn(from, key)) {
+                createJsonPatch(from[key], to[key], childPath, operations);
+            } else {
+                operations.push({ op: 'add', path: childPath, value: to[key] });
+            }
+        });
+        return operations;
+    }
+
+    operations.push({ op: 'replace', path, value: to });
+    return operations;
+};
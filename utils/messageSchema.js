@@ -0,0 +1,250 @@
+// server/utils/messageSchema.js - WebSocket 入站訊息格式驗證（所有訊息先經過此層，錯誤以穩定的錯誤碼與欄位回傳）
+// 只檢查欄位是否存在、型別與可選值；數值範圍等細節仍由各 normalize 函式放寬處理
+// 錯誤格式：{ code, message, field }，field 為訊息 payload 內的欄位路徑（例如 action.payload.cardIds[1]）
+
+// 欄位規則：type 為 string / boolean / integer / number / object / array（可用陣列表示多種型別）
+// 其他選項：required（布林或依 payload 判斷的函式）、maxLength、enum、min、max、length、maxItems、items、fields、refine
+const MAX_ID_LENGTH = 64;
+const MAX_TOKEN_LENGTH = 512;
+const MAX_URL_LENGTH = 2048;
+
+const NPC_DIFFICULTIES = ['easy', 'medium', 'hard', 'expert', 'hell', 'adaptive'];
+const GEISHA_SETS = ['default', 'akatsuki', 'onesan', 'collaboration'];
+
+const idField = (options = {}) => ({ type: 'string', maxLength: MAX_ID_LENGTH, ...options });
+
+// 玩家與觀戰者的顯示資訊（normalizePlayerMeta 使用的欄位）
+const PLAYER_META_FIELDS = {
+    displayName: { type: 'string', maxLength: MAX_ID_LENGTH },
+    lineUserId: { type: 'string', maxLength: MAX_ID_LENGTH },
+    avatarUrl: { type: 'string', maxLength: MAX_URL_LENGTH }
+};
+
+// 各行動的 payload 欄位（與規則引擎的行動格式相同）
+const cardIdsField = length => ({ type: 'array', required: true, length, items: idField({ required: true }) });
+const ACTION_PAYLOAD_FIELDS = {
+    PLAY_SECRET: { cardId: idField({ required: true }) },
+    PLAY_TRADE_OFF: { cardIds: cardIdsField(2) },
+    INITIATE_GIFT: { cardIds: cardIdsField(3) },
+    INITIATE_COMPETITION: { groups: { type: 'array', required: true, length: 2, items: cardIdsField(2) } },
+    RESOLVE_GIFT: { chosenCardId: idField({ required: true }) },
+    RESOLVE_COMPETITION: { chosenGroupIndex: { type: 'integer', required: true, min: 0, max: 1 } }
+};
+
+// 遊戲行動：先確認行動種類，再依種類驗證 payload
+const ACTION_FIELD = {
+    type: 'object',
+    required: true,
+    fields: {
+        type: { type: 'string', required: true, enum: Object.keys(ACTION_PAYLOAD_FIELDS) }
+    },
+    refine: (action, path) => validateValue(
+        action.payload,
+        { type: 'object', required: true, fields: ACTION_PAYLOAD_FIELDS[action.type] },
+        `${path}.payload`
+    )
+};
+
+// 各訊息類型的 payload 欄位（null 表示不需要任何欄位）
+const MESSAGE_SCHEMAS = {
+    // 協定協商（連線的第一則訊息）
+    HELLO: {
+        protocolVersion: { type: 'integer', required: true, min: 1 },
+        capabilities: { type: 'array', maxItems: 32, items: idField({ required: true }) }
+    },
+    JOIN_ROOM: {
+        roomId: idField({ required: true }),
+        playerId: idField({ required: true }),
+        seatToken: { type: 'string', maxLength: MAX_TOKEN_LENGTH },
+        ...PLAYER_META_FIELDS
+    },
+    CREATE_ROOM: {
+        // 表演賽的建立者以觀戰者身分觀看，不需要 playerId
+        playerId: idField({ required: payload => payload.mode !== 'exhibition' }),
+        mode: { type: 'string', enum: ['online', 'npc', 'bot', 'exhibition'] },
+        botId: idField(),
+        aiDifficulty: { type: 'string', enum: NPC_DIFFICULTIES },
+        aiPersonality: idField(),
+        geishaSet: { type: 'string', enum: GEISHA_SETS },
+        seed: { type: ['integer', 'string'] },
+        timeControl: {
+            type: 'object',
+            fields: {
+                mode: { type: 'string', required: true, enum: ['per-move', 'bank'] },
+                seconds: { type: 'number', required: true }
+            }
+        },
+        hints: { type: ['boolean', 'object'] },
+        seatAutopilot: { type: ['boolean', 'object'] },
+        teaching: { type: 'boolean' },
+        pacing: { type: 'boolean' },
+        npcs: {
+            type: 'array',
+            maxItems: 2,
+            items: {
+                type: 'object',
+                required: true,
+                fields: {
+                    difficulty: { type: 'string', enum: NPC_DIFFICULTIES },
+                    personality: idField()
+                }
+            }
+        },
+        spectatorId: idField(),
+        ...PLAYER_META_FIELDS
+    },
+    CONFIRM_ORDER: null,
+    GAME_ACTION: { action: ACTION_FIELD },
+    READY_CONFIRM: null,
+    REMATCH_REQUEST: null,
+    SPECTATE_ROOM: {
+        roomId: idField({ required: true }),
+        spectatorId: idField(),
+        ...PLAYER_META_FIELDS
+    },
+    LEAVE_ROOM: null,
+    REQUEST_HINT: null,
+    BOT_AUTH: {
+        botId: idField({ required: true }),
+        secret: { type: 'string', required: true, maxLength: MAX_TOKEN_LENGTH }
+    },
+    // Bot 的行動內容不在此驗證：房間以 validateGameAction 套用與 GAME_ACTION 相同的規則，不合法時回覆 BOT_ACTION_REJECTED 並立即代打
+    BOT_ACTION: {
+        roomId: idField({ required: true }),
+        requestId: idField({ required: true }),
+        action: { type: 'object', required: true }
+    },
+    // 狀態同步（Bot 連線需指定 roomId；一般玩家與觀戰者使用目前所在的房間）
+    STATE_ACK: {
+        seq: { type: 'integer', required: true, min: 1 },
+        roomId: idField()
+    },
+    RESYNC: {
+        lastSeq: { type: 'integer', min: 0 },
+        roomId: idField()
+    }
+};
+
+// 建立驗證錯誤
+const schemaError = (code, message, field = null) => (field ? { code, message, field } : { code, message });
+
+const matchesType = (value, type) => {
+    switch (type) {
+        case 'string':
+            return typeof value === 'string';
+        case 'boolean':
+            return typeof value === 'boolean';
+        case 'integer':
+            return Number.isSafeInteger(value);
+        case 'number':
+            return Number.isFinite(value);
+        case 'object':
+            return typeof value === 'object' && value !== null && !Array.isArray(value);
+        case 'array':
+            return Array.isArray(value);
+        default:
+            return false;
+    }
+};
+
+// 驗證物件的各欄位（依宣告順序回傳第一個錯誤）
+const validateFields = (value, fields, path) => {
+    for (const [key, rule] of Object.entries(fields ?? {})) {
+        const error = validateValue(value[key], rule, path ? `${path}.${key}` : key, value);
+        if (error) {
+            return error;
+        }
+    }
+    return null;
+};
+
+// 驗證單一欄位（null 與 undefined 視為未提供；parent 供 required 函式判斷）
+const validateValue = (value, rule, path, parent = null) => {
+    if (value === undefined || value === null) {
+        const required = typeof rule.required === 'function' ? rule.required(parent ?? {}) : rule.required;
+        return required ? schemaError('ERR_MISSING_FIELD', `缺少欄位 ${path}`, path) : null;
+    }
+
+    const types = Array.isArray(rule.type) ? rule.type : [rule.type];
+    const type = types.find(candidate => matchesType(value, candidate));
+    if (!type) {
+        return schemaError('ERR_INVALID_FIELD', `欄位 ${path} 必須是 ${types.join(' 或 ')}`, path);
+    }
+
+    if (type === 'string' && rule.maxLength && value.length > rule.maxLength) {
+        return schemaError('ERR_INVALID_FIELD', `欄位 ${path} 超過長度上限 ${rule.maxLength}`, path);
+    }
+    if (rule.enum && !rule.enum.includes(value)) {
+        return schemaError('ERR_INVALID_FIELD', `欄位 ${path} 必須是 ${rule.enum.join(' / ')} 其中之一`, path);
+    }
+    if (type === 'integer' && ((rule.min !== undefined && value < rule.min) || (rule.max !== undefined && value > rule.max))) {
+        return schemaError('ERR_INVALID_FIELD', `欄位 ${path} 超出允許範圍`, path);
+    }
+
+    if (type === 'array') {
+        if ((rule.length !== undefined && value.length !== rule.length) || (rule.maxItems !== undefined && value.length > rule.maxItems)) {
+            return schemaError('ERR_INVALID_FIELD', `欄位 ${path} 的項目數量不正確`, path);
+        }
+        if (rule.items) {
+            for (let index = 0; index < value.length; index += 1) {
+                const error = validateValue(value[index], rule.items, `${path}[${index}]`, value);
+                if (error) {
+                    return error;
+                }
+            }
+        }
+    }
+
+    if (type === 'object') {
+        const error = validateFields(value, rule.fields, path);
+        if (error) {
+            return error;
+        }
+    }
+
+    return rule.refine ? rule.refine(value, path) : null;
+};
+
+// 驗證單一遊戲行動（GAME_ACTION 與 BOT_ACTION 共用；只接受玩家行動類型，回傳錯誤或 null）
+export const validateGameAction = (action, path = 'action') => validateValue(action, ACTION_FIELD, path);
+
+// 驗證已解析的訊息（回傳錯誤或 null）
+export const validateInboundMessage = (message) => {
+    // requestId 位於訊息最外層（與 type 同層），任何訊息都可以附上
+    if (matchesType(message, 'object') && message.requestId !== undefined) {
+        const error = validateValue(message.requestId, idField(), 'requestId');
+        if (error || message.requestId === '') {
+            return error ?? schemaError('ERR_INVALID_FIELD', 'requestId 不可為空字串', 'requestId');
+        }
+    }
+
+    if (!matchesType(message, 'object') || typeof message.type !== 'string') {
+        return schemaError('ERR_INVALID_MESSAGE', '訊息必須包含 type', 'type');
+    }
+
+    if (!Object.hasOwn(MESSAGE_SCHEMAS, message.type)) {
+        return schemaError('ERR_UNKNOWN_MESSAGE_TYPE', `未知訊息類型: ${message.type}`, 'type');
+    }
+
+    const fields = MESSAGE_SCHEMAS[message.type];
+    if (message.payload !== undefined && message.payload !== null && !matchesType(message.payload, 'object')) {
+        return schemaError('ERR_INVALID_FIELD', 'payload 必須是物件', 'payload');
+    }
+    if (!fields) {
+        return null;
+    }
+
+    return validateFields(message.payload ?? {}, fields, '');
+};
+
+// 解析並驗證原始訊息：回傳 { message, error }（error 不為 null 時應拒絕該訊息）
+export const parseInboundMessage = (raw) => {
+    let message;
+    try {
+        message = JSON.parse(raw.toString());
+    } catch {
+        return { message: null, error: schemaError('ERR_INVALID_JSON', '訊息不是合法的 JSON') };
+    }
+
+    return { message, error: validateInboundMessage(message) };
+};
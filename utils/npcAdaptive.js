@@ -0,0 +1,67 @@
+// server/utils/npcAdaptive.js - 自適應難度（依真人玩家的勝負與決策品質調整 NPC 強度，讓休閒玩家維持約五成勝率）
+// 強度 level 介於 0~1：低段以 hard 規則混入隨機行動，中段使用 expert，高段改用 ISMCTS 並限制搜尋次數
+import { ANALYSIS_THRESHOLDS } from './gameAnalysis.js';
+
+// 新房間的起始強度與每次調整幅度（換輪小幅調整，整場結束後調整較多）
+export const ADAPTIVE_INITIAL_LEVEL = 0.5;
+export const ADAPTIVE_STEP = {
+    round: 0.05,
+    game: 0.1
+};
+
+// 強度分段：低於 EXPERT_LEVEL 時混入隨機行動，達到 SEARCH_LEVEL 後使用搜尋
+const ADAPTIVE_EXPERT_LEVEL = 0.6;
+const ADAPTIVE_SEARCH_LEVEL = 0.8;
+const ADAPTIVE_SEARCH_ITERATIONS = { min: 100, max: 2000 };
+
+const clampLevel = (level) => Math.round(Math.min(1, Math.max(0, level)) * 100) / 100;
+
+// 依強度取得實際使用的決策設定
+// randomness 為 null 時沿用個性本身的隨機性；maxIterations 為 null 時不限制搜尋次數
+export const resolveAdaptiveSettings = (level = ADAPTIVE_INITIAL_LEVEL) => {
+    if (level < ADAPTIVE_EXPERT_LEVEL) {
+        return {
+            difficulty: 'hard',
+            randomness: clampLevel(1 - level / ADAPTIVE_EXPERT_LEVEL),
+            maxIterations: null
+        };
+    }
+
+    if (level < ADAPTIVE_SEARCH_LEVEL) {
+        return { difficulty: 'expert', randomness: null, maxIterations: null };
+    }
+
+    const ratio = (level - ADAPTIVE_SEARCH_LEVEL) / (1 - ADAPTIVE_SEARCH_LEVEL);
+    return {
+        difficulty: 'hell',
+        randomness: null,
+        maxIterations: Math.round(
+            ADAPTIVE_SEARCH_ITERATIONS.min + ratio * (ADAPTIVE_SEARCH_ITERATIONS.max - ADAPTIVE_SEARCH_ITERATIONS.min)
+        )
+    };
+};
+
+// 以自適應的隨機性覆寫個性設定（未覆寫時回傳原物件，保留預設個性的判斷）
+export const applyAdaptiveRandomness = (profile, randomness) =>
+    (randomness === null || randomness === undefined ? profile : { ...profile, randomness });
+
+// 真人玩家的平均評估落差（round 指定時只計算該輪；沒有可分析的決策時回傳 null）
+export const measureAverageSwing = (analysis, playerId, round = null) => {
+    const moves = (analysis?.moves ?? [])
+        .filter(move => move.playerId === playerId && (round === null || move.round === round));
+    return moves.length > 0 ? moves.reduce((sum, move) => sum + move.swing, 0) / moves.length : null;
+};
+
+// 調整強度：outcome 為真人玩家的結果（1 領先或獲勝、-1 落後或落敗、0 平手）
+// 平均落差低於「不精確」門檻一半視為下得穩定再加強，達到「失誤」門檻則再減弱
+export const adjustAdaptiveLevel = (level, { outcome, averageSwing = null }, step) => {
+    let delta = outcome * step;
+    if (averageSwing !== null) {
+        if (averageSwing < ANALYSIS_THRESHOLDS.inaccuracy / 2) {
+            delta += step / 2;
+        } else if (averageSwing >= ANALYSIS_THRESHOLDS.mistake) {
+            delta -= step / 2;
+        }
+    }
+    return clampLevel(level + delta);
+};
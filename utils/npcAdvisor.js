@@ -0,0 +1,323 @@
+// server/utils/npcAdvisor.js - 行動建議與 NPC 決策說明（沿用 NPC 的評估函式，並附上簡短理由）
+// 只讀取 playerId 自己看得到的資訊（自己的手牌與雙方已公開的卡片）
+import {
+    getLegalActionTypes,
+    getOpponentState,
+    getPlayerState
+} from '../reducers/gameEngine.js';
+import { DEFAULT_NPC_PROFILE } from './npcPersonality.js';
+import {
+    applyCardsToSnapshot,
+    buildGeishaCountSnapshot,
+    buildNpcCompetitionGroups,
+    evaluateSnapshot,
+    getCardUtility,
+    pickBestNpcAction,
+    pickCompetitionCards,
+    pickGiftCards,
+    pickNpcCompetitionGroup,
+    pickNpcGiftCard,
+    pickTradeOffCards
+} from './npcStrategy.js';
+
+// 建議使用的評估強度（與 expert NPC 相同，不含隨機性）
+const ADVISOR_DIFFICULTY = 'expert';
+
+// 取得藝妓名稱（找不到時以編號代替）
+const getGeishaName = (state, geishaId) =>
+    state.geishas.find(geisha => geisha.id === geishaId)?.name ?? `#${geishaId}`;
+
+// 將多張卡片轉成藝妓名稱清單
+const describeCards = (state, cards) =>
+    cards.map(card => `「${getGeishaName(state, card.geishaId)}」`).join('');
+
+// 依卡片價值說明拿下這張牌的意義（weights 為 NPC 個性的評估權重）
+const describeCardGain = (state, snapshot, card, weights = DEFAULT_NPC_PROFILE.weights) => {
+    const entry = snapshot.get(card.geishaId);
+    const name = getGeishaName(state, card.geishaId);
+    const utility = getCardUtility(snapshot, card.geishaId, true, weights);
+
+    if (entry && utility === entry.charm * weights.leadMultiplier) {
+        return `「${name}」（魅力 ${entry.charm}）可以搶先或翻盤`;
+    }
+    if (entry && utility === entry.charm * weights.tieMultiplier) {
+        return `「${name}」（魅力 ${entry.charm}）可以追平`;
+    }
+    return `「${name}」是可選卡片中價值最高的`;
+};
+
+// 不需要亂數的評估仍需傳入 rng 介面，以第一個選項作為替代
+const deterministicRng = {
+    next: () => 0,
+    int: () => 0,
+    pick: list => list[0]
+};
+
+// 建議如何回應贈予
+const buildGiftResponseHint = (state, playerId, player, opponent, pending) => {
+    const card = pickNpcGiftCard(state, playerId, pending.offeredCards, ADVISOR_DIFFICULTY, deterministicRng);
+    if (!card) {
+        return null;
+    }
+
+    const snapshot = buildGeishaCountSnapshot(state, player, opponent);
+    return {
+        actionType: 'gift',
+        action: { type: 'RESOLVE_GIFT', payload: { chosenCardId: card.id } },
+        reason: `拿下${describeCardGain(state, snapshot, card)}`
+    };
+};
+
+// 建議如何回應競爭
+const buildCompetitionResponseHint = (state, playerId, player, opponent, pending) => {
+    const index = pickNpcCompetitionGroup(state, playerId, pending.groups, ADVISOR_DIFFICULTY, deterministicRng);
+    if (index === null) {
+        return null;
+    }
+
+    const snapshot = buildGeishaCountSnapshot(state, player, opponent);
+    const score = group => evaluateSnapshot(applyCardsToSnapshot(snapshot, group.map(card => card.geishaId), true));
+    const margin = score(pending.groups[index]) - score(pending.groups[1 - index]);
+
+    return {
+        actionType: 'competition',
+        action: { type: 'RESOLVE_COMPETITION', payload: { chosenGroupIndex: index } },
+        reason: margin > 0
+            ? `選擇${describeCards(state, pending.groups[index])}，局勢評估比另一組高 ${margin} 分`
+            : `兩組評估相同，選擇${describeCards(state, pending.groups[index])}即可`
+    };
+};
+
+// 建議自己回合的行動與卡片
+const buildTurnHint = (state, player, opponent) => {
+    const candidates = getLegalActionTypes(player);
+    const actionType = pickBestNpcAction(state, player, opponent, candidates);
+    if (!actionType) {
+        return null;
+    }
+
+    const snapshot = buildGeishaCountSnapshot(state, player, opponent);
+
+    if (actionType === 'secret') {
+        const card = [...player.hand]
+            .sort((a, b) => getCardUtility(snapshot, b.geishaId, true) - getCardUtility(snapshot, a.geishaId, true))[0];
+        return {
+            actionType,
+            action: { type: 'PLAY_SECRET', payload: { cardId: card.id } },
+            reason: `密約保留${describeCardGain(state, snapshot, card)}，回合結束前對手看不到`
+        };
+    }
+
+    if (actionType === 'trade-off') {
+        const cards = pickTradeOffCards(state, player, opponent);
+        return {
+            actionType,
+            action: { type: 'PLAY_TRADE_OFF', payload: { cardIds: cards.map(card => card.id) } },
+            reason: `捨棄${describeCards(state, cards)}對你價值最低，對對手的幫助也最小`
+        };
+    }
+
+    if (actionType === 'gift') {
+        const cards = pickGiftCards(state, player, opponent);
+        return {
+            actionType,
+            action: { type: 'INITIATE_GIFT', payload: { cardIds: cards.map(card => card.id) } },
+            reason: `贈予${describeCards(state, cards)}，無論對手拿走哪一張，你的最差局勢都是最好的`
+        };
+    }
+
+    const picked = pickCompetitionCards(state, player, opponent);
+    const groups = buildNpcCompetitionGroups(state, picked, player, opponent);
+    const cardById = new Map(picked.map(card => [card.id, card]));
+    const describeGroup = group => describeCards(state, group.map(cardId => cardById.get(cardId)));
+    return {
+        actionType,
+        action: { type: 'INITIATE_COMPETITION', payload: { groups } },
+        reason: `分成${describeGroup(groups[0])}與${describeGroup(groups[1])}，對手任選一組後你的最差局勢最好`
+    };
+};
+
+// 以文字描述行動內容（例如「密約「X」」），供提示與賽後分析使用
+export const describeAction = (state, playerId, action) => {
+    const player = getPlayerState(state, playerId);
+    const pending = state.pendingInteraction;
+    const handById = new Map((player?.hand ?? []).map(card => [card.id, card]));
+    const cardsFromIds = cardIds => (cardIds ?? []).map(cardId => handById.get(cardId)).filter(Boolean);
+
+    switch (action?.type) {
+        case 'PLAY_SECRET':
+            return `密約${describeCards(state, cardsFromIds([action.payload?.cardId]))}`;
+        case 'PLAY_TRADE_OFF':
+            return `取捨${describeCards(state, cardsFromIds(action.payload?.cardIds))}`;
+        case 'INITIATE_GIFT':
+            return `贈予${describeCards(state, cardsFromIds(action.payload?.cardIds))}`;
+        case 'INITIATE_COMPETITION': {
+            const [first = [], second = []] = action.payload?.groups ?? [];
+            return `競爭${describeCards(state, cardsFromIds(first))}／${describeCards(state, cardsFromIds(second))}`;
+        }
+        case 'RESOLVE_GIFT': {
+            const card = pending?.offeredCards?.find(offered => offered.id === action.payload?.chosenCardId);
+            return `收下${card ? describeCards(state, [card]) : '贈予卡片'}`;
+        }
+        case 'RESOLVE_COMPETITION': {
+            const group = pending?.groups?.[action.payload?.chosenGroupIndex];
+            return `選擇${group ? describeCards(state, group) : '競爭分組'}`;
+        }
+        default:
+            return action?.type ?? '結束回合';
+    }
+};
+
+// 建立目前決策的建議（輪到自己或需回應互動時；否則回傳 null）
+// 回傳 { actionType, action, reason }，action 格式與 GAME_ACTION 相同
+export const buildActionHint = (state, playerId) => {
+    if (!state || state.phase !== 'playing') {
+        return null;
+    }
+
+    const player = getPlayerState(state, playerId);
+    const opponent = getOpponentState(state, playerId);
+    if (!player || !opponent) {
+        return null;
+    }
+
+    const pending = state.pendingInteraction;
+    if (pending) {
+        if (pending.targetPlayerId !== playerId) {
+            return null;
+        }
+        return pending.type === 'GIFT_SELECTION'
+            ? buildGiftResponseHint(state, playerId, player, opponent, pending)
+            : buildCompetitionResponseHint(state, playerId, player, opponent, pending);
+    }
+
+    if (state.players[state.currentPlayer]?.id !== playerId) {
+        return null;
+    }
+
+    return buildTurnHint(state, player, opponent);
+};
+
+const ACTION_TYPE_BY_ACTION = {
+    PLAY_SECRET: 'secret',
+    PLAY_TRADE_OFF: 'trade-off',
+    INITIATE_GIFT: 'gift',
+    INITIATE_COMPETITION: 'competition',
+    RESOLVE_GIFT: 'gift',
+    RESOLVE_COMPETITION: 'competition'
+};
+
+// 卡片的公開說明格式（只列出藝妓，不含卡片 ID）
+const toCardSummary = (state, card) => ({ geishaId: card.geishaId, name: getGeishaName(state, card.geishaId) });
+
+// 由保留的卡片找出正在爭取的藝妓（依 NPC 的卡片價值排序，最多兩位）
+const findFocusGeishas = (state, snapshot, cards, weights) => {
+    const geishaIds = [...new Set(cards.map(card => card.geishaId))]
+        .sort((a, b) => getCardUtility(snapshot, b, true, weights) - getCardUtility(snapshot, a, true, weights));
+    return geishaIds.slice(0, 2).map(geishaId => ({
+        geishaId,
+        name: getGeishaName(state, geishaId),
+        charm: snapshot.get(geishaId)?.charm ?? 0
+    }));
+};
+
+// 在 snapshot 上套用雙方拿到的卡片後評估局勢（NPC 角度）
+const evaluateSplit = (snapshot, mine, theirs, weights) => evaluateSnapshot(
+    applyCardsToSnapshot(
+        applyCardsToSnapshot(snapshot, mine.map(card => card.geishaId), true),
+        theirs.map(card => card.geishaId),
+        false
+    ),
+    weights
+);
+
+// 說明 NPC 剛做出的決策（view 必須是 NPC 視角的遮蔽狀態、且為行動前的狀態；weights 為 NPC 個性的評估權重）
+// 說明會在回合中送給對手，所有內容只能由這次行動用到的卡片與公開資訊推得：
+// 不比較其他可用行動（其評估來自其餘手牌），protectedCards / sacrificedCards 也不包含其餘手牌
+// 回傳 { actionType, description, reason, protectedCards, sacrificedCards, focusGeishas }
+export const explainNpcDecision = (view, npcId, action, weights = DEFAULT_NPC_PROFILE.weights) => {
+    const npc = getPlayerState(view, npcId);
+    const opponent = getOpponentState(view, npcId);
+    const actionType = ACTION_TYPE_BY_ACTION[action?.type];
+    if (!npc || !opponent || !actionType) {
+        return null;
+    }
+
+    const snapshot = buildGeishaCountSnapshot(view, npc, opponent);
+    const handById = new Map(npc.hand.map(card => [card.id, card]));
+    const cardsFromIds = cardIds => (cardIds ?? []).map(cardId => handById.get(cardId)).filter(Boolean);
+    const pending = view.pendingInteraction;
+    let protectedCards = [];
+    let sacrificedCards = [];
+    let reason = '';
+
+    switch (action.type) {
+        case 'PLAY_SECRET': {
+            protectedCards = cardsFromIds([action.payload?.cardId]);
+            reason = protectedCards[0]
+                ? `密約保留${describeCardGain(view, snapshot, protectedCards[0], weights)}，回合結束前對手看不到`
+                : '密約保留一張卡片';
+            break;
+        }
+        case 'PLAY_TRADE_OFF': {
+            sacrificedCards = cardsFromIds(action.payload?.cardIds);
+            reason = `捨棄${describeCards(view, sacrificedCards)}，這些牌對自己價值最低，對對手的幫助也小`;
+            break;
+        }
+        case 'INITIATE_GIFT': {
+            const offered = cardsFromIds(action.payload?.cardIds);
+            // 預期對手拿走讓 NPC 局勢最差的一張
+            const expected = [...offered].sort((a, b) =>
+                evaluateSplit(snapshot, offered.filter(card => card !== a), [a], weights)
+                - evaluateSplit(snapshot, offered.filter(card => card !== b), [b], weights))[0];
+            sacrificedCards = expected ? [expected] : [];
+            protectedCards = offered.filter(card => card !== expected);
+            reason = `贈予${describeCards(view, offered)}，預期對手拿走${describeCards(view, sacrificedCards)}，其餘兩張歸自己`;
+            break;
+        }
+        case 'INITIATE_COMPETITION': {
+            const groups = (action.payload?.groups ?? []).map(cardsFromIds);
+            // 預期對手選走讓 NPC 局勢最差的一組
+            const [first = [], second = []] = groups;
+            const expectedIndex = evaluateSplit(snapshot, second, first, weights) <= evaluateSplit(snapshot, first, second, weights) ? 0 : 1;
+            sacrificedCards = groups[expectedIndex] ?? [];
+            protectedCards = groups[1 - expectedIndex] ?? [];
+            reason = `分成${describeCards(view, first)}與${describeCards(view, second)}，預期對手選走${describeCards(view, sacrificedCards)}`;
+            break;
+        }
+        case 'RESOLVE_GIFT': {
+            const chosen = pending?.offeredCards?.find(card => card.id === action.payload?.chosenCardId);
+            protectedCards = chosen ? [chosen] : [];
+            sacrificedCards = (pending?.offeredCards ?? []).filter(card => card !== chosen);
+            reason = chosen ? `收下${describeCardGain(view, snapshot, chosen, weights)}` : '收下贈予卡片';
+            break;
+        }
+        case 'RESOLVE_COMPETITION': {
+            const index = action.payload?.chosenGroupIndex;
+            protectedCards = pending?.groups?.[index] ?? [];
+            sacrificedCards = pending?.groups?.[1 - index] ?? [];
+            const margin = evaluateSplit(snapshot, protectedCards, sacrificedCards, weights)
+                - evaluateSplit(snapshot, sacrificedCards, protectedCards, weights);
+            reason = margin > 0
+                ? `選擇${describeCards(view, protectedCards)}，局勢評估比另一組高 ${margin} 分`
+                : `選擇${describeCards(view, protectedCards)}，兩組評估${margin === 0 ? '相同' : '接近'}`;
+            break;
+        }
+        default:
+            return null;
+    }
+
+    const focusGeishas = findFocusGeishas(view, snapshot, protectedCards, weights);
+    if (focusGeishas.length > 0) {
+        reason += `；主要爭取${focusGeishas.map(geisha => `「${geisha.name}」（魅力 ${geisha.charm}）`).join('與')}`;
+    }
+
+    return {
+        actionType,
+        description: describeAction(view, npcId, action),
+        reason,
+        protectedCards: protectedCards.map(card => toCardSummary(view, card)),
+        sacrificedCards: sacrificedCards.map(card => toCardSummary(view, card)),
+        focusGeishas
+    };
+};
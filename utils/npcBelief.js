@@ -0,0 +1,124 @@
+// server/utils/npcBelief.js - NPC 對手隱藏牌推測（算牌 + 由對手的密約 / 取捨時機推估）
+// 只讀取 NPC 視角的遮蔽狀態（buildPlayerView），從不接觸對手手牌、密約、棄牌或牌堆的真實內容
+// 推測結果供兩處使用：ISMCTS 抽樣（createBeliefSampler）與啟發式評估的計數快照（opponentSecret）
+import { getOpponentState, getPlayerState } from '../reducers/gameEngine.js';
+import { shuffleArray } from './gameUtils.js';
+import { collectUnseenCards, countHiddenSecrets } from './npcSearch.js';
+import { buildGeishaCountSnapshot, getCardUtility } from './npcStrategy.js';
+
+// 建立空白的推測紀錄（GameRoom 與自我對戰工具各自保存，需可序列化）
+export const createNpcBelief = () => ({
+    round: null,
+    opponentTokens: {},
+    observations: {}
+});
+
+// 依對手當下的卡片價值建立各藝妓的相對權重（transform 決定偏好高價值或低價值）
+const buildLikelihood = (snapshot, transform) => {
+    const likelihood = {};
+    snapshot.forEach((entry, geishaId) => {
+        likelihood[geishaId] = transform(Math.max(1, getCardUtility(snapshot, geishaId, false)));
+    });
+    return likelihood;
+};
+
+// 以 NPC 視角更新推測：偵測對手新使用的密約 / 取捨，記錄當時的局勢
+// 密約通常保留對自己價值高的牌；取捨通常捨棄對自己價值低的牌
+export const observeNpcView = (belief, view, npcId) => {
+    const npc = getPlayerState(view, npcId);
+    const opponent = getOpponentState(view, npcId);
+    if (!npc || !opponent || view.phase !== 'playing') {
+        return belief ?? createNpcBelief();
+    }
+
+    const tokens = Object.fromEntries(opponent.actionTokens.map(token => [token.type, token.used]));
+    // 換輪或新的一場時行動指示物會重置，舊的觀察不再適用
+    const isStale = !belief
+        || belief.round !== view.round
+        || Object.entries(belief.opponentTokens).some(([type, used]) => used && !tokens[type]);
+    const base = isStale ? { ...createNpcBelief(), round: view.round } : belief;
+
+    const snapshot = buildGeishaCountSnapshot(view, npc, opponent);
+    const observations = { ...base.observations };
+    if (tokens.secret && !base.opponentTokens.secret) {
+        observations.secret = buildLikelihood(snapshot, utility => utility);
+    }
+    if (tokens['trade-off'] && !base.opponentTokens['trade-off']) {
+        observations['trade-off'] = buildLikelihood(snapshot, utility => 1 / utility);
+    }
+
+    return { round: view.round, opponentTokens: tokens, observations };
+};
+
+// 依剩餘張數與權重計算每種藝妓在隱藏位置的期望張數（不超過剩餘張數）
+const distributeExpected = (remaining, likelihood, count) => {
+    const expected = new Map();
+    if (count <= 0) {
+        return expected;
+    }
+
+    let total = 0;
+    remaining.forEach((copies, geishaId) => {
+        total += copies * (likelihood?.[geishaId] ?? 1);
+    });
+    remaining.forEach((copies, geishaId) => {
+        const share = total > 0 ? (count * copies * (likelihood?.[geishaId] ?? 1)) / total : 0;
+        expected.set(geishaId, Math.min(copies, share));
+    });
+    return expected;
+};
+
+// 推測對手的隱藏牌：各藝妓的未見張數（整副 21 張扣除可見卡片）與對手密約的期望張數
+// 手牌、移除卡與牌堆沒有額外線索，抽樣時由剩餘的未見卡片均勻分配
+export const inferHiddenCards = (belief, view, npcId) => {
+    const opponent = getOpponentState(view, npcId);
+    const remaining = new Map();
+    collectUnseenCards(view, npcId).forEach((card) => {
+        remaining.set(card.geishaId, (remaining.get(card.geishaId) ?? 0) + 1);
+    });
+
+    const observations = belief?.round === view.round ? belief.observations : {};
+    const secretCount = opponent ? countHiddenSecrets(view, opponent.id) : 0;
+    const discardCount = opponent?.discardedCards.length ?? 0;
+
+    return {
+        remaining,
+        secretCount,
+        discardCount,
+        secretLikelihood: observations.secret ?? null,
+        discardLikelihood: observations['trade-off'] ?? null,
+        // 對手的密約會在回合結算時計入對手，評估時以期望張數加入計數快照
+        opponentSecret: distributeExpected(remaining, observations.secret, secretCount)
+    };
+};
+
+// 依權重不放回抽出 count 張（會從 pool 移除抽中的卡片）
+const drawWeighted = (pool, likelihood, count, random) => {
+    const drawn = [];
+    while (drawn.length < count && pool.length > 0) {
+        const weights = pool.map(card => likelihood?.[card.geishaId] ?? 1);
+        let target = random() * weights.reduce((sum, weight) => sum + weight, 0);
+        let index = weights.findIndex((weight) => {
+            target -= weight;
+            return target < 0;
+        });
+        if (index < 0) {
+            index = pool.length - 1;
+        }
+        drawn.push(pool.splice(index, 1)[0]);
+    }
+    return drawn;
+};
+
+// 建立 ISMCTS 用的抽樣函式：密約與棄牌依推測權重抽出，其餘卡片均勻分配
+// 回傳順序需符合 determinize 的分配順序（手牌 → 密約 → 棄牌 → 牌堆，最後一張為移除卡）
+export const createBeliefSampler = (inference) => (view, npcId, random) => {
+    const opponent = getOpponentState(view, npcId);
+    const pool = collectUnseenCards(view, npcId);
+    const secret = drawWeighted(pool, inference.secretLikelihood, inference.secretCount, random);
+    const discarded = drawWeighted(pool, inference.discardLikelihood, inference.discardCount, random);
+    const rest = shuffleArray(pool, random);
+    const handSize = opponent.hand.length;
+
+    return [...rest.slice(0, handSize), ...secret, ...discarded, ...rest.slice(handSize)];
+};
@@ -0,0 +1,82 @@
+// server/utils/npcPersonality.js - NPC 個性設定（評估權重、隨機性與行動偏好，由設定檔載入）
+// 預設讀取 config/npcPersonalities.json，可用 NPC_PERSONALITIES_FILE 指向其他 JSON 檔
+// 格式：{ "<id>": { "label": "顯示名稱", "description": "...", "weights": {...}, "randomness": 0~1, "actionPriority": [...] } }
+import { readFileSync } from 'fs';
+
+const NPC_ACTION_TYPES = ['secret', 'trade-off', 'gift', 'competition'];
+
+// 未指定個性時的行為（與原本固定權重相同）
+export const DEFAULT_NPC_PROFILE = Object.freeze({
+    id: 'default',
+    label: null,
+    description: '',
+    weights: Object.freeze({
+        leadMultiplier: 4, // 翻盤或搶先的卡片價值（魅力值倍數）
+        tieMultiplier: 2, // 追平的卡片價值（魅力值倍數）
+        countDiffWeight: 3, // 局勢評估中每張卡片數差距的分數
+        tradeOffBlockFactor: 0.6 // 取捨時「不讓對手拿到」的權重
+    }),
+    randomness: 0,
+    actionPriority: Object.freeze(['competition', 'gift', 'secret', 'trade-off'])
+});
+
+// 權重必須是非負數，否則沿用預設值
+const normalizeWeights = (weights = {}) => Object.fromEntries(
+    Object.entries(DEFAULT_NPC_PROFILE.weights).map(([key, fallback]) => {
+        const value = Number(weights?.[key]);
+        return [key, Number.isFinite(value) && value >= 0 ? value : fallback];
+    })
+);
+
+// 行動偏好只保留合法種類，缺少的種類依預設順序補在後面
+const normalizeActionPriority = (priority) => {
+    const listed = Array.isArray(priority)
+        ? priority.filter((type, index) => NPC_ACTION_TYPES.includes(type) && priority.indexOf(type) === index)
+        : [];
+    return [...listed, ...DEFAULT_NPC_PROFILE.actionPriority.filter(type => !listed.includes(type))];
+};
+
+const normalizeProfile = (id, entry) => {
+    const randomness = Number(entry?.randomness);
+    return {
+        id,
+        label: typeof entry?.label === 'string' && entry.label.trim() ? entry.label.trim() : id,
+        description: typeof entry?.description === 'string' ? entry.description : '',
+        weights: normalizeWeights(entry?.weights),
+        randomness: Number.isFinite(randomness) ? Math.min(1, Math.max(0, randomness)) : 0,
+        actionPriority: normalizeActionPriority(entry?.actionPriority)
+    };
+};
+
+// 讀取個性設定（格式錯誤時視為沒有任何個性）
+const loadPersonalities = () => {
+    try {
+        const raw = readFileSync(
+            process.env.NPC_PERSONALITIES_FILE || new URL('../config/npcPersonalities.json', import.meta.url),
+            'utf8'
+        );
+        const parsed = JSON.parse(raw);
+        return new Map(
+            Object.entries(parsed)
+                .filter(([id, entry]) => id !== DEFAULT_NPC_PROFILE.id && entry && typeof entry === 'object')
+                .map(([id, entry]) => [id, normalizeProfile(id, entry)])
+        );
+    } catch (error) {
+        console.error('❌ NPC 個性設定讀取失敗:', error.message);
+        return new Map();
+    }
+};
+
+// 自我對戰工具也會載入此模組，成功時不輸出訊息以免干擾 --json 輸出
+const personalities = loadPersonalities();
+
+// 取得個性設定（不存在時回傳 null）
+export const getNpcPersonality = (personalityId) =>
+    (typeof personalityId === 'string' ? personalities.get(personalityId) ?? null : null);
+
+// 取得個性設定，不存在時回傳預設行為
+export const resolveNpcProfile = (personalityId) => getNpcPersonality(personalityId) ?? DEFAULT_NPC_PROFILE;
+
+// 列出所有個性（供大廳顯示）
+export const listNpcPersonalities = () =>
+    Array.from(personalities.values()).map(({ id, label, description }) => ({ id, label, description }));
@@ -0,0 +1,228 @@
+// server/utils/npcSearch.js - 資訊集蒙地卡羅樹搜尋（ISMCTS）NPC
+// 只使用 NPC 視角可見的資訊：每次迭代抽樣一組與已知資訊一致的隱藏牌，模擬到回合結算
+import {
+    advanceGame,
+    cloneGameState,
+    getActingPlayerId,
+    getActionKey,
+    getOpponentState,
+    getPlayerState,
+    listLegalActions,
+    reduceGame
+} from '../reducers/gameEngine.js';
+import { shuffleArray } from './gameUtils.js';
+import { createSeededRandom } from './random.js';
+
+// UCB 探索係數
+const EXPLORATION = 0.7;
+// 未指定上限時的最大迭代次數（避免無限迴圈）
+const DEFAULT_MAX_ITERATIONS = 20000;
+
+// 由 NPC 視角列出尚未看見的卡片（整副牌扣除所有可見卡片）
+export const collectUnseenCards = (view, npcId) => {
+    const npc = getPlayerState(view, npcId);
+    const opponent = getOpponentState(view, npcId);
+    const pending = view.pendingInteraction;
+
+    const remaining = new Map(view.geishas.map(geisha => [geisha.id, geisha.charmPoints ?? 0]));
+    const visibleCards = [
+        ...npc.hand,
+        ...npc.secretCards,
+        ...npc.discardedCards,
+        ...npc.playedCards,
+        ...opponent.playedCards,
+        ...(pending?.offeredCards ?? []),
+        ...(pending?.groups?.flat() ?? [])
+    ];
+
+    visibleCards.forEach((card) => {
+        if (remaining.has(card.geishaId)) {
+            remaining.set(card.geishaId, remaining.get(card.geishaId) - 1);
+        }
+    });
+
+    const unseen = [];
+    remaining.forEach((count, geishaId) => {
+        for (let copy = 0; copy < Math.max(0, count); copy += 1) {
+            unseen.push({ id: `sim-${geishaId}-${copy}`, geishaId, type: `geisha-${geishaId}` });
+        }
+    });
+    return unseen;
+};
+
+// 對手尚未翻開的密約數（使用過密約且尚未結算）
+export const countHiddenSecrets = (view, playerId) => {
+    const player = getPlayerState(view, playerId);
+    const secretUsed = player?.actionTokens.some(token => token.type === 'secret' && token.used);
+    return secretUsed && view.phase === 'playing' ? 1 : 0;
+};
+
+// 抽樣一組完整狀態：把未見卡片分配到對手手牌、密約、棄牌、移除卡與牌堆
+// sampleUnseen 可替換為依信念模型排序的抽樣（預設均勻洗牌）
+export const determinize = (view, npcId, random, sampleUnseen = null) => {
+    const state = cloneGameState(view);
+    const opponent = getOpponentState(state, npcId);
+    const pool = sampleUnseen
+        ? sampleUnseen(view, npcId, random)
+        : shuffleArray(collectUnseenCards(view, npcId), random);
+
+    opponent.hand = pool.splice(0, opponent.hand.length);
+    opponent.secretCards = pool.splice(0, countHiddenSecrets(view, opponent.id));
+    opponent.discardedCards = pool.splice(0, opponent.discardedCards.length);
+    state.removedCard = pool.pop() ?? null;
+    state.drawPile = pool;
+    return state;
+};
+
+// 回合結束後的評分（NPC 視角，0~1）：分出勝負直接給分，否則依魅力與好感差距估計
+export const scoreRoundOutcome = (state, npcId) => {
+    if (state.winner) {
+        return state.winner === npcId ? 1 : 0;
+    }
+
+    const npc = getPlayerState(state, npcId);
+    const opponent = getOpponentState(state, npcId);
+    const charmDiff = npc.score.charm - opponent.score.charm;
+    const tokenDiff = npc.score.tokens - opponent.score.tokens;
+    const estimate = 0.5 + charmDiff / 42 + tokenDiff / 14;
+    return Math.min(0.95, Math.max(0.05, estimate));
+};
+
+// 套用行動（模擬中行動必定合法，失敗代表抽樣狀態異常）
+const applySimulatedAction = (state, playerId, action) => {
+    const result = reduceGame(state, { ...action, playerId });
+    return result.error ? null : result.state;
+};
+
+// 隨機模擬到回合結束
+const rollout = (state, random) => {
+    let current = state;
+    while (current.phase === 'playing') {
+        const actorId = getActingPlayerId(current);
+        const actions = listLegalActions(current, actorId);
+        if (actions.length === 0) {
+            const result = advanceGame(current, 'END_TURN');
+            current = result.state;
+            continue;
+        }
+
+        const next = applySimulatedAction(current, actorId, actions[Math.floor(random() * actions.length)]);
+        if (!next) {
+            return current;
+        }
+        current = next;
+    }
+    return current;
+};
+
+// 建立搜尋樹節點
+const createNode = () => ({ children: new Map() });
+
+// 以 UCB（可用次數版本）選擇子節點
+const selectChild = (node, keys) => {
+    let bestKey = keys[0];
+    let bestScore = -Infinity;
+
+    keys.forEach((key) => {
+        const child = node.children.get(key);
+        const score = child.wins / child.visits + EXPLORATION * Math.sqrt(Math.log(child.availability) / child.visits);
+        if (score > bestScore) {
+            bestScore = score;
+            bestKey = key;
+        }
+    });
+
+    return bestKey;
+};
+
+// 搜尋 NPC 最佳行動（view 必須是 NPC 視角的遮蔽狀態）
+// options：budgetMs 時間上限、maxIterations 迭代上限、seed 搜尋亂數種子、sampleUnseen 自訂抽樣
+export const searchNpcAction = (view, npcId, options = {}) => {
+    const {
+        budgetMs = 300,
+        maxIterations = DEFAULT_MAX_ITERATIONS,
+        seed = 1,
+        sampleUnseen = null
+    } = options;
+
+    const rootActions = listLegalActions(view, npcId);
+    if (rootActions.length <= 1) {
+        return { action: rootActions[0] ?? null, iterations: 0, stats: [] };
+    }
+
+    const random = createSeededRandom(seed).next;
+    const root = createNode();
+    const deadline = Date.now() + budgetMs;
+    let iterations = 0;
+
+    while (iterations < maxIterations && (budgetMs === null || Date.now() < deadline)) {
+        iterations += 1;
+
+        let state = determinize(view, npcId, random, sampleUnseen);
+        let node = root;
+        const path = [];
+
+        // 選擇與擴展：沿樹往下，遇到未嘗試的行動即展開一層
+        while (state.phase === 'playing') {
+            const actorId = getActingPlayerId(state);
+            const actions = listLegalActions(state, actorId);
+            if (actions.length === 0) {
+                state = advanceGame(state, 'END_TURN').state;
+                continue;
+            }
+
+            const keyed = actions.map(action => ({ action, key: getActionKey(state, actorId, action) }));
+            keyed.forEach(({ key }) => {
+                if (node.children.has(key)) {
+                    node.children.get(key).availability += 1;
+                }
+            });
+
+            const untried = keyed.filter(({ key }) => !node.children.has(key));
+            let chosen;
+            if (untried.length > 0) {
+                chosen = untried[Math.floor(random() * untried.length)];
+                node.children.set(chosen.key, { visits: 0, wins: 0, availability: 1, node: createNode() });
+            } else {
+                const key = selectChild(node, keyed.map(item => item.key));
+                chosen = keyed.find(item => item.key === key);
+            }
+
+            const next = applySimulatedAction(state, actorId, chosen.action);
+            if (!next) {
+                break;
+            }
+
+            const child = node.children.get(chosen.key);
+            path.push({ child, actorId });
+            state = next;
+            node = child.node;
+
+            if (untried.length > 0) {
+                break;
+            }
+        }
+
+        // 模擬與回傳：隨機下完本回合後，依行動者視角更新統計
+        const finalState = rollout(state, random);
+        const reward = scoreRoundOutcome(finalState, npcId);
+        path.forEach(({ child, actorId }) => {
+            child.visits += 1;
+            child.wins += actorId === npcId ? reward : 1 - reward;
+        });
+    }
+
+    // 選擇造訪次數最多的行動，轉回 NPC 實際手牌的卡片 ID
+    const stats = rootActions
+        .map((action) => {
+            const child = root.children.get(getActionKey(view, npcId, action));
+            return {
+                action,
+                visits: child?.visits ?? 0,
+                value: child && child.visits > 0 ? child.wins / child.visits : 0
+            };
+        })
+        .sort((a, b) => b.visits - a.visits || b.value - a.value);
+
+    return { action: stats[0].action, iterations, stats };
+};
@@ -0,0 +1,469 @@
+// server/utils/npcStrategy.js - NPC 決策策略（純函式，不含連線與計時器）
+// GameRoom 與離線自我對戰工具共用；亂數一律由呼叫端傳入 rng（createSeededRandom 的回傳物件）
+import {
+    buildPlayerView,
+    getLegalActionTypes,
+    getOpponentState,
+    getPlayerState
+} from '../reducers/gameEngine.js';
+import { DEFAULT_NPC_PROFILE } from './npcPersonality.js';
+import { searchNpcAction } from './npcSearch.js';
+
+// 未指定個性時使用的評估權重
+const DEFAULT_WEIGHTS = DEFAULT_NPC_PROFILE.weights;
+
+// 使用搜尋（ISMCTS）的難度與每步搜尋時間上限（毫秒，計入思考時間內）
+export const NPC_SEARCH_BUDGET_MS = {
+    hell: 250
+};
+
+// 會推測對手隱藏牌（算牌與密約 / 取捨推估）的難度
+export const NPC_INFERENCE_DIFFICULTIES = new Set(['expert', 'hell']);
+
+// 取得藝妓的魅力值
+export const getGeishaCharmPoints = (state, geishaId) =>
+    state?.geishas?.find(geisha => geisha.id === geishaId)?.charmPoints ?? 0;
+
+// 建立藝妓計數快照（用於 AI 評估）
+// inference 為 npcBelief 的推測結果：提供時計入自己的密約，並以期望張數計入對手的密約
+export const buildGeishaCountSnapshot = (state, npcPlayer, opponentPlayer, inference = null) => {
+    const snapshot = new Map();
+    const geishas = state?.geishas ?? [];
+    const npcCards = inference ? [...npcPlayer.playedCards, ...npcPlayer.secretCards] : npcPlayer.playedCards;
+
+    geishas.forEach((geisha) => {
+        const npcCount = npcCards.filter(card => card.geishaId === geisha.id).length;
+        const oppCount = opponentPlayer.playedCards.filter(card => card.geishaId === geisha.id).length
+            + (inference?.opponentSecret.get(geisha.id) ?? 0);
+        snapshot.set(geisha.id, {
+            npc: npcCount,
+            opp: oppCount,
+            charm: geisha.charmPoints
+        });
+    });
+
+    return snapshot;
+};
+
+// 計算單張卡片對指定玩家的價值（考慮追趕與翻盤；weights 來自 NPC 個性）
+export const getCardUtility = (snapshot, geishaId, isNpc, weights = DEFAULT_WEIGHTS) => {
+    const entry = snapshot.get(geishaId);
+    if (!entry) {
+        return 0;
+    }
+
+    const myCount = isNpc ? entry.npc : entry.opp;
+    const oppCount = isNpc ? entry.opp : entry.npc;
+    const charm = entry.charm;
+
+    if (myCount + 1 > oppCount && myCount <= oppCount) {
+        return charm * weights.leadMultiplier; // 翻盤或搶先的價值最高
+    }
+
+    if (myCount + 1 === oppCount) {
+        return charm * weights.tieMultiplier; // 追平有一定價值
+    }
+
+    return charm; // 其他情況以魅力值基礎評估
+};
+
+// 計算當前分數差（AI 評估用）
+export const evaluateSnapshot = (snapshot, weights = DEFAULT_WEIGHTS) => {
+    let npcScore = 0;
+    let oppScore = 0;
+
+    snapshot.forEach((entry) => {
+        const base = entry.charm * 2;
+        const diff = entry.npc - entry.opp;
+
+        npcScore += base + diff * weights.countDiffWeight;
+        oppScore += base - diff * weights.countDiffWeight;
+    });
+
+    return npcScore - oppScore;
+};
+
+// 將卡片套用到快照（模擬結果）
+export const applyCardsToSnapshot = (snapshot, geishaIdList, isNpc) => {
+    const next = new Map();
+    snapshot.forEach((value, key) => {
+        next.set(key, { ...value });
+    });
+
+    geishaIdList.forEach((geishaId) => {
+        const entry = next.get(geishaId);
+        if (!entry) {
+            return;
+        }
+        if (isNpc) {
+            entry.npc += 1;
+        } else {
+            entry.opp += 1;
+        }
+    });
+
+    return next;
+};
+
+// 隨機挑選指定數量卡片
+export const pickRandomCards = (cards, count, rng) => {
+    const pool = [...cards];
+    const picked = [];
+    while (pool.length > 0 && picked.length < count) {
+        const index = rng.int(pool.length);
+        picked.push(pool.splice(index, 1)[0]);
+    }
+    return picked;
+};
+
+// 競爭分組策略（盡量平衡）
+export const buildNpcCompetitionGroups = (state, cards, npcPlayer, opponent, weights = DEFAULT_WEIGHTS, inference = null) => {
+    const snapshot = buildGeishaCountSnapshot(state, npcPlayer, opponent, inference);
+    const sorted = [...cards]
+        .sort((a, b) => getGeishaCharmPoints(state, b.geishaId) - getGeishaCharmPoints(state, a.geishaId));
+    if (sorted.length < 4) {
+        return [
+            sorted.slice(0, 2).map(card => card.id),
+            sorted.slice(2, 4).map(card => card.id)
+        ].filter(group => group.length > 0);
+    }
+
+    const groupA = [sorted[0], sorted[3]];
+    const groupB = [sorted[1], sorted[2]];
+    const groupOptions = [
+        [groupA.map(card => card.id), groupB.map(card => card.id)],
+        [[sorted[0], sorted[2]].map(card => card.id), [sorted[1], sorted[3]].map(card => card.id)],
+        [[sorted[0], sorted[1]].map(card => card.id), [sorted[2], sorted[3]].map(card => card.id)]
+    ];
+
+    const idToGeisha = new Map(sorted.map(card => [card.id, card.geishaId]));
+
+    // 選擇讓對手最難下決定的一組（最大化最差結果）
+    let best = groupOptions[0];
+    let bestScore = -Infinity;
+
+    groupOptions.forEach((option) => {
+        const [g1, g2] = option;
+        const g1Geishas = g1.map(cardId => idToGeisha.get(cardId)).filter(Boolean);
+        const g2Geishas = g2.map(cardId => idToGeisha.get(cardId)).filter(Boolean);
+        const worst = Math.min(
+            evaluateSnapshot(applyCardsToSnapshot(snapshot, g1Geishas, false), weights),
+            evaluateSnapshot(applyCardsToSnapshot(snapshot, g2Geishas, false), weights)
+        );
+        if (worst > bestScore) {
+            bestScore = worst;
+            best = option;
+        }
+    });
+
+    return best;
+};
+
+// 競爭分組（隨機）
+export const buildNpcRandomGroups = (cards, rng) => {
+    const pool = [...cards];
+    for (let i = pool.length - 1; i > 0; i -= 1) {
+        const j = rng.int(i + 1);
+        [pool[i], pool[j]] = [pool[j], pool[i]];
+    }
+    return [
+        pool.slice(0, 2).map(card => card.id),
+        pool.slice(2, 4).map(card => card.id)
+    ];
+};
+
+// 競爭挑選卡片（偏強：用評分選出最有利的 4 張）
+export const pickCompetitionCards = (state, npcPlayer, opponent, weights = DEFAULT_WEIGHTS, inference = null) => {
+    const snapshot = buildGeishaCountSnapshot(state, npcPlayer, opponent, inference);
+    const scored = [...npcPlayer.hand].sort((a, b) => {
+        const diff = getCardUtility(snapshot, b.geishaId, true, weights) - getCardUtility(snapshot, a.geishaId, true, weights);
+        return diff;
+    });
+    return scored.slice(0, 4);
+};
+
+// 贈予挑選卡片（偏強：最大化最差結果）
+export const pickGiftCards = (state, npcPlayer, opponent, weights = DEFAULT_WEIGHTS, inference = null) => {
+    const snapshot = buildGeishaCountSnapshot(state, npcPlayer, opponent, inference);
+    const cards = npcPlayer.hand;
+    let bestCombo = cards.slice(0, 3);
+    let bestScore = -Infinity;
+
+    for (let i = 0; i < cards.length; i += 1) {
+        for (let j = i + 1; j < cards.length; j += 1) {
+            for (let k = j + 1; k < cards.length; k += 1) {
+                const combo = [cards[i], cards[j], cards[k]];
+                const opponentChoices = combo.map(card => card);
+
+                const worst = Math.min(...opponentChoices.map((chosen) => {
+                    const npcCards = combo.filter(card => card.id !== chosen.id);
+                    const next = applyCardsToSnapshot(
+                        applyCardsToSnapshot(snapshot, [chosen.geishaId], false),
+                        npcCards.map(card => card.geishaId),
+                        true
+                    );
+                    return evaluateSnapshot(next, weights);
+                }));
+
+                if (worst > bestScore) {
+                    bestScore = worst;
+                    bestCombo = combo;
+                }
+            }
+        }
+    }
+
+    return bestCombo;
+};
+
+// 取捨挑選卡片（偏強：犧牲價值最低且可能阻止對手的牌）
+export const pickTradeOffCards = (state, npcPlayer, opponent, weights = DEFAULT_WEIGHTS, inference = null) => {
+    const snapshot = buildGeishaCountSnapshot(state, npcPlayer, opponent, inference);
+    const sorted = [...npcPlayer.hand].sort((a, b) => {
+        const npcValueA = getCardUtility(snapshot, a.geishaId, true, weights);
+        const npcValueB = getCardUtility(snapshot, b.geishaId, true, weights);
+        const oppValueA = getCardUtility(snapshot, a.geishaId, false, weights);
+        const oppValueB = getCardUtility(snapshot, b.geishaId, false, weights);
+
+        const scoreA = npcValueA - oppValueA * weights.tradeOffBlockFactor;
+        const scoreB = npcValueB - oppValueB * weights.tradeOffBlockFactor;
+        return scoreA - scoreB;
+    });
+
+    return sorted.slice(0, 2);
+};
+
+// 評估行動的期望收益（越高越好）
+export const evaluateNpcAction = (state, npcPlayer, opponent, snapshot, actionType, weights = DEFAULT_WEIGHTS, inference = null) => {
+    if (actionType === 'secret') {
+        const bestCard = [...npcPlayer.hand]
+            .sort((a, b) => getCardUtility(snapshot, b.geishaId, true, weights) - getCardUtility(snapshot, a.geishaId, true, weights))[0];
+        if (!bestCard) {
+            return -Infinity;
+        }
+        const next = applyCardsToSnapshot(snapshot, [bestCard.geishaId], true);
+        return evaluateSnapshot(next, weights);
+    }
+
+    if (actionType === 'trade-off') {
+        const discard = pickTradeOffCards(state, npcPlayer, opponent, weights, inference);
+        const loss = discard.reduce((sum, card) => sum + getCardUtility(snapshot, card.geishaId, true, weights), 0);
+        return evaluateSnapshot(snapshot, weights) - loss;
+    }
+
+    if (actionType === 'gift') {
+        const offered = pickGiftCards(state, npcPlayer, opponent, weights, inference);
+        if (offered.length < 3) {
+            return -Infinity;
+        }
+        const worst = Math.min(...offered.map((chosen) => {
+            const npcCards = offered.filter(card => card.id !== chosen.id);
+            const next = applyCardsToSnapshot(
+                applyCardsToSnapshot(snapshot, [chosen.geishaId], false),
+                npcCards.map(card => card.geishaId),
+                true
+            );
+            return evaluateSnapshot(next, weights);
+        }));
+        return worst;
+    }
+
+    if (actionType === 'competition') {
+        const picked = pickCompetitionCards(state, npcPlayer, opponent, weights, inference);
+        if (picked.length < 4) {
+            return -Infinity;
+        }
+        const [groupA, groupB] = buildNpcCompetitionGroups(state, picked, npcPlayer, opponent, weights, inference);
+        const idToGeisha = new Map(picked.map(card => [card.id, card.geishaId]));
+        const g1 = groupA.map(cardId => idToGeisha.get(cardId)).filter(Boolean);
+        const g2 = groupB.map(cardId => idToGeisha.get(cardId)).filter(Boolean);
+        const worst = Math.min(
+            evaluateSnapshot(applyCardsToSnapshot(snapshot, g1, false), weights),
+            evaluateSnapshot(applyCardsToSnapshot(snapshot, g2, false), weights)
+        );
+        return worst;
+    }
+
+    return -Infinity;
+};
+
+// 專家模式：在可用行動中挑選期望收益最高者（同分時取 candidates 中較前面的行動）
+export const pickBestNpcAction = (state, npcPlayer, opponent, candidates, weights = DEFAULT_WEIGHTS, inference = null) => {
+    if (!candidates || candidates.length === 0) {
+        return null;
+    }
+
+    const snapshot = buildGeishaCountSnapshot(state, npcPlayer, opponent, inference);
+    let bestAction = null;
+    let bestScore = -Infinity;
+
+    candidates.forEach((actionType) => {
+        const score = evaluateNpcAction(state, npcPlayer, opponent, snapshot, actionType, weights, inference);
+        if (score > bestScore) {
+            bestScore = score;
+            bestAction = actionType;
+        }
+    });
+
+    return bestAction;
+};
+
+// 依個性的行動偏好排序可用行動
+const sortByPriority = (candidates, profile) =>
+    profile.actionPriority.filter(actionType => candidates.includes(actionType));
+
+// 個性的隨機性：以 randomness 的機率改用 easy 的隨機決策（randomness 為 0 時不消耗亂數）
+const resolveEffectiveDifficulty = (difficulty, profile, rng) =>
+    (profile.randomness > 0 && rng.next() < profile.randomness ? 'easy' : difficulty);
+
+// NPC 決定要執行的行動與卡片（依難度與個性調整策略；inference 為對手隱藏牌的推測）
+export const buildNpcAction = (state, player, baseDifficulty, rng, profile = DEFAULT_NPC_PROFILE, inference = null) => {
+    const opponent = getOpponentState(state, player.id);
+    if (!opponent) {
+        return null;
+    }
+
+    const candidates = getLegalActionTypes(player);
+
+    if (candidates.length === 0) {
+        return null;
+    }
+
+    const difficulty = resolveEffectiveDifficulty(baseDifficulty, profile, rng);
+    const { weights } = profile;
+    const pickRandom = (list) => rng.pick(list);
+    const snapshot = buildGeishaCountSnapshot(state, player, opponent, inference);
+    const sortedByNpcValue = [...player.hand]
+        .sort((a, b) => getCardUtility(snapshot, a.geishaId, true, weights) - getCardUtility(snapshot, b.geishaId, true, weights));
+
+    let actionType = pickRandom(candidates);
+
+    if (difficulty === 'expert' || difficulty === 'hell') {
+        // 個性的行動偏好只在評分相同時決定先後；未指定個性時維持行動指示物的順序
+        const ordered = profile === DEFAULT_NPC_PROFILE ? candidates : sortByPriority(candidates, profile);
+        actionType = pickBestNpcAction(state, player, opponent, ordered, weights, inference) ?? actionType;
+    } else if (difficulty !== 'easy') {
+        actionType = sortByPriority(candidates, profile)[0] ?? actionType;
+    }
+
+    if (actionType === 'secret') {
+        const card = difficulty === 'easy'
+            ? pickRandom(player.hand)
+            : sortedByNpcValue[sortedByNpcValue.length - 1];
+        return { type: 'PLAY_SECRET', payload: { cardId: card.id } };
+    }
+
+    if (actionType === 'trade-off') {
+        const selected = difficulty === 'easy'
+            ? pickRandomCards(player.hand, 2, rng)
+            : pickTradeOffCards(state, player, opponent, weights, inference);
+        return { type: 'PLAY_TRADE_OFF', payload: { cardIds: selected.map(card => card.id) } };
+    }
+
+    if (actionType === 'gift') {
+        const selected = difficulty === 'easy'
+            ? pickRandomCards(player.hand, 3, rng)
+            : pickGiftCards(state, player, opponent, weights, inference);
+        return { type: 'INITIATE_GIFT', payload: { cardIds: selected.map(card => card.id) } };
+    }
+
+    if (actionType === 'competition') {
+        const picked = difficulty === 'easy'
+            ? pickRandomCards(player.hand, 4, rng)
+            : pickCompetitionCards(state, player, opponent, weights, inference);
+        const groups = difficulty === 'easy'
+            ? buildNpcRandomGroups(picked, rng)
+            : buildNpcCompetitionGroups(state, picked, player, opponent, weights, inference);
+        return { type: 'INITIATE_COMPETITION', payload: { groups } };
+    }
+
+    return null;
+};
+
+// NPC 回應贈予：挑選價值最高的卡片
+export const pickNpcGiftCard = (state, playerId, cards, difficulty, rng, profile = DEFAULT_NPC_PROFILE, inference = null) => {
+    if (!cards || cards.length === 0) {
+        return null;
+    }
+
+    if (resolveEffectiveDifficulty(difficulty, profile, rng) === 'easy') {
+        return rng.pick(cards);
+    }
+
+    const npcPlayer = getPlayerState(state, playerId);
+    const opponent = getOpponentState(state, playerId);
+    if (!npcPlayer || !opponent) {
+        return cards[0];
+    }
+    const snapshot = buildGeishaCountSnapshot(state, npcPlayer, opponent, inference);
+    return [...cards]
+        .sort((a, b) => getCardUtility(snapshot, b.geishaId, true, profile.weights)
+            - getCardUtility(snapshot, a.geishaId, true, profile.weights))[0];
+};
+
+// NPC 回應競爭：挑選總分較高的一組
+export const pickNpcCompetitionGroup = (state, playerId, groups, difficulty, rng, profile = DEFAULT_NPC_PROFILE, inference = null) => {
+    if (!groups || groups.length !== 2) {
+        return null;
+    }
+
+    if (resolveEffectiveDifficulty(difficulty, profile, rng) === 'easy') {
+        return rng.next() < 0.5 ? 0 : 1;
+    }
+
+    const npcPlayer = getPlayerState(state, playerId);
+    const opponent = getOpponentState(state, playerId);
+    if (!npcPlayer || !opponent) {
+        return 0;
+    }
+    const snapshot = buildGeishaCountSnapshot(state, npcPlayer, opponent, inference);
+    const score = (group) => evaluateSnapshot(
+        applyCardsToSnapshot(snapshot, group.map(card => card.geishaId), true),
+        profile.weights
+    );
+    return score(groups[0]) >= score(groups[1]) ? 0 : 1;
+};
+
+// 以啟發式規則決定目前待處理的決策（回應互動或執行回合行動；無可行動作時回傳 null）
+// profile 為 NPC 個性（resolveNpcProfile 的回傳值），未指定時與原本固定權重相同
+// inference 為 npcBelief.inferHiddenCards 的推測結果，未指定時只依已打出的卡片評估
+export const buildNpcDecision = (state, playerId, difficulty, rng, profile = DEFAULT_NPC_PROFILE, inference = null) => {
+    const pending = state?.pendingInteraction;
+
+    if (pending) {
+        if (pending.targetPlayerId !== playerId) {
+            return null;
+        }
+
+        if (pending.type === 'GIFT_SELECTION') {
+            const card = pickNpcGiftCard(state, playerId, pending.offeredCards, difficulty, rng, profile, inference);
+            return card ? { type: 'RESOLVE_GIFT', payload: { chosenCardId: card.id } } : null;
+        }
+
+        const index = pickNpcCompetitionGroup(state, playerId, pending.groups, difficulty, rng, profile, inference);
+        return index !== null ? { type: 'RESOLVE_COMPETITION', payload: { chosenGroupIndex: index } } : null;
+    }
+
+    const player = getPlayerState(state, playerId);
+    return player ? buildNpcAction(state, player, difficulty, rng, profile, inference) : null;
+};
+
+// 以 ISMCTS 搜尋決策（只使用 playerId 視角的遮蔽狀態；非搜尋難度回傳 null）
+// options.budgetMs 覆寫時間上限；options.maxIterations 搭配 budgetMs: null 可得到完全可重現的結果
+// options.sampleUnseen 可傳入 npcBelief.createBeliefSampler 的抽樣函式，依推測分配對手的隱藏牌
+export const searchNpcDecision = (state, playerId, difficulty, rng, options = {}) => {
+    if (NPC_SEARCH_BUDGET_MS[difficulty] === undefined) {
+        return null;
+    }
+
+    const budgetMs = options.budgetMs !== undefined ? options.budgetMs : NPC_SEARCH_BUDGET_MS[difficulty];
+
+    const view = buildPlayerView(state, playerId);
+    // 搜尋種子由呼叫端亂數取得，確保同種子對局可重現 NPC 的抽樣序列
+    return searchNpcAction(view, playerId, {
+        budgetMs,
+        maxIterations: options.maxIterations,
+        seed: rng.int(2 ** 32),
+        sampleUnseen: options.sampleUnseen ?? null
+    });
+};
@@ -0,0 +1,41 @@
+// server/utils/npcWorker.js - NPC 決策背景執行緒（由 npcWorkerPool 建立，不可直接 import）
+// 只收到 NPC 視角的遮蔽狀態，計算完成後回傳行動（格式與 GAME_ACTION 相同）
+import { parentPort } from 'worker_threads';
+import { applyAdaptiveRandomness } from './npcAdaptive.js';
+import { createBeliefSampler } from './npcBelief.js';
+import { resolveNpcProfile } from './npcPersonality.js';
+import { buildNpcDecision, searchNpcDecision } from './npcStrategy.js';
+import { createSeededRandom } from './random.js';
+
+// 搜尋型難度先以 ISMCTS 決策，其餘難度（或搜尋無結果時）使用啟發式規則
+// randomness / maxIterations 由自適應難度指定（null 表示沿用個性與難度的設定）
+const computeNpcDecision = ({ view, playerId, difficulty, personalityId, inference, seed, randomness = null, maxIterations = null }) => {
+    const rng = createSeededRandom(seed);
+    const searched = searchNpcDecision(view, playerId, difficulty, rng, {
+        maxIterations: maxIterations ?? undefined,
+        sampleUnseen: inference ? createBeliefSampler(inference) : null
+    });
+    if (searched) {
+        return { action: searched.action, iterations: searched.iterations };
+    }
+
+    return {
+        action: buildNpcDecision(
+            view,
+            playerId,
+            difficulty,
+            rng,
+            applyAdaptiveRandomness(resolveNpcProfile(personalityId), randomness),
+            inference
+        ),
+        iterations: 0
+    };
+};
+
+parentPort.on('message', ({ taskId, task }) => {
+    try {
+        parentPort.postMessage({ taskId, result: computeNpcDecision(task) });
+    } catch (error) {
+        parentPort.postMessage({ taskId, error: error.message });
+    }
+});
@@ -0,0 +1,136 @@
+// server/utils/npcWorkerPool.js - NPC 決策執行緒池（避免搜尋阻塞處理所有房間連線的事件迴圈）
+// 任務依序排入佇列；逾時的執行緒直接終止並補上新的，取消的任務丟棄結果
+import { availableParallelism } from 'os';
+import { Worker } from 'worker_threads';
+
+// 執行緒數量（預設保留一個核心給主執行緒）
+const POOL_SIZE = Math.max(
+    1,
+    Number.parseInt(process.env.NPC_WORKER_POOL_SIZE ?? '', 10) || Math.min(4, availableParallelism() - 1)
+);
+const WORKER_URL = new URL('./npcWorker.js', import.meta.url);
+
+const workers = [];
+const queue = [];
+let nextTaskId = 1;
+
+// 建立帶有錯誤碼的錯誤（呼叫端依 code 區分逾時與執行緒錯誤）
+const createTaskError = (message, code) => Object.assign(new Error(message), { code });
+
+// 結束任務（清除計時器與取消監聽，只會結束一次）
+const settleTask = (job, error, result) => {
+    if (job.settled) {
+        return;
+    }
+    job.settled = true;
+    clearTimeout(job.timer);
+    job.signal?.removeEventListener('abort', job.onAbort);
+    if (error) {
+        job.reject(error);
+    } else {
+        job.resolve(result);
+    }
+};
+
+// 將佇列中的任務分派給閒置執行緒
+const dispatchQueue = () => {
+    while (queue.length > 0) {
+        const entry = workers.find(candidate => !candidate.job);
+        if (!entry) {
+            return;
+        }
+
+        const job = queue.shift();
+        entry.job = job;
+        job.worker = entry;
+        entry.worker.postMessage({ taskId: job.taskId, task: job.task });
+    }
+};
+
+// 移除執行緒並補上新的（執行中的任務以 error 結束）
+const replaceWorker = (entry, error) => {
+    const index = workers.indexOf(entry);
+    if (index < 0) {
+        return;
+    }
+
+    workers.splice(index, 1);
+    if (entry.job) {
+        settleTask(entry.job, error);
+        entry.job = null;
+    }
+    entry.worker.removeAllListeners();
+    void entry.worker.terminate();
+    workers.push(spawnWorker());
+    dispatchQueue();
+};
+
+// 建立執行緒（不阻止程序結束，自我對戰等工具執行完即可退出）
+const spawnWorker = () => {
+    const entry = { worker: new Worker(WORKER_URL), job: null };
+
+    entry.worker.on('message', ({ taskId, result, error }) => {
+        const { job } = entry;
+        entry.job = null;
+        if (job && job.taskId === taskId) {
+            settleTask(job, error ? createTaskError(error, 'ERR_NPC_WORKER_FAILED') : null, result);
+        }
+        dispatchQueue();
+    });
+    entry.worker.on('error', (error) => {
+        console.error('❌ NPC 執行緒發生錯誤:', error.message);
+        replaceWorker(entry, createTaskError(error.message, 'ERR_NPC_WORKER_FAILED'));
+    });
+    entry.worker.on('exit', (code) => {
+        if (workers.includes(entry)) {
+            replaceWorker(entry, createTaskError(`NPC 執行緒意外結束（${code}）`, 'ERR_NPC_WORKER_FAILED'));
+        }
+    });
+    entry.worker.unref();
+    return entry;
+};
+
+// 首次使用時才建立執行緒
+const ensureWorkers = () => {
+    while (workers.length < POOL_SIZE) {
+        workers.push(spawnWorker());
+    }
+};
+
+// 在背景執行緒計算 NPC 決策
+// task：{ view, playerId, difficulty, personalityId, inference, seed, randomness?, maxIterations? }（view 必須是 NPC 視角的遮蔽狀態）
+// timeoutMs 含排隊時間；signal 取消時以 AbortError 結束，逾時以 code ERR_NPC_DECISION_TIMEOUT 結束
+export const runNpcDecisionTask = (task, { timeoutMs, signal = null } = {}) => new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+        reject(signal.reason);
+        return;
+    }
+
+    ensureWorkers();
+    const job = { taskId: nextTaskId, task, resolve, reject, signal, worker: null, settled: false };
+    nextTaskId += 1;
+
+    job.onAbort = () => {
+        const queued = queue.indexOf(job);
+        if (queued >= 0) {
+            queue.splice(queued, 1);
+        }
+        // 執行中的任務不終止執行緒（搜尋有時間上限），完成後結果直接丟棄
+        settleTask(job, signal.reason);
+    };
+    signal?.addEventListener('abort', job.onAbort, { once: true });
+
+    job.timer = setTimeout(() => {
+        const queued = queue.indexOf(job);
+        if (queued >= 0) {
+            queue.splice(queued, 1);
+            settleTask(job, createTaskError('NPC 決策排隊逾時', 'ERR_NPC_DECISION_TIMEOUT'));
+            return;
+        }
+        // 執行緒卡在同步計算中無法中斷，只能終止後補上新的
+        replaceWorker(job.worker, createTaskError('NPC 決策逾時', 'ERR_NPC_DECISION_TIMEOUT'));
+    }, timeoutMs);
+
+    queue.push(job);
+    dispatchQueue();
+});
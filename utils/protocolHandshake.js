@@ -0,0 +1,55 @@
+// server/utils/protocolHandshake.js - 協定版本與功能協商（連線開始時 HELLO → WELCOME）
+// 未送出 HELLO 的連線視為舊版協定（版本 1）；最低版本高於 1 時，舊版客戶端會在第一則訊息收到需要升級的錯誤
+// 版本 1：未協商的原始協定；版本 2：HELLO 協商、訊息序號與狀態差異、requestId 回覆
+export const LEGACY_PROTOCOL_VERSION = 1;
+export const PROTOCOL_VERSION = 2;
+export const MIN_PROTOCOL_VERSION = Math.min(
+    PROTOCOL_VERSION,
+    Math.max(LEGACY_PROTOCOL_VERSION, Number.parseInt(process.env.MIN_PROTOCOL_VERSION ?? '', 10) || LEGACY_PROTOCOL_VERSION)
+);
+
+// 伺服器提供的功能（客戶端在 HELLO 列出自己支援的功能，雙方都支援的才會啟用）
+export const SERVER_CAPABILITIES = [
+    // 狀態差異同步（STATE_ACK 之後改送 GAME_STATE_PATCH）
+    'diff-sync',
+    // requestId 的 ACK / NACK 回覆
+    'request-ack',
+    // 觀戰與表演賽
+    'spectate',
+    'exhibition',
+    // 提示與教學房間的 NPC 說明
+    'hints',
+    'teaching',
+    // 斷線託管
+    'seat-autopilot'
+];
+
+// 依客戶端的 HELLO 協商版本與功能（版本過舊時回傳 error）
+// 客戶端版本較新時降為伺服器支援的最高版本，由客戶端決定是否相容
+export const negotiateProtocol = ({ protocolVersion, capabilities = [] }) => {
+    if (protocolVersion < MIN_PROTOCOL_VERSION) {
+        return { error: buildUpgradeRequiredError(protocolVersion) };
+    }
+
+    return {
+        version: Math.min(protocolVersion, PROTOCOL_VERSION),
+        capabilities: SERVER_CAPABILITIES.filter(capability => capabilities.includes(capability))
+    };
+};
+
+// 版本過舊的錯誤內容（附上伺服器支援的版本範圍，前端據此提示使用者更新）
+export const buildUpgradeRequiredError = (protocolVersion) => ({
+    message: `客戶端協定版本 ${protocolVersion} 過舊，請更新至版本 ${MIN_PROTOCOL_VERSION} 以上`,
+    code: 'ERR_UPGRADE_REQUIRED',
+    minProtocolVersion: MIN_PROTOCOL_VERSION,
+    maxProtocolVersion: PROTOCOL_VERSION
+});
+
+// WELCOME 回覆內容
+export const buildWelcomePayload = ({ version, capabilities }) => ({
+    protocolVersion: version,
+    minProtocolVersion: MIN_PROTOCOL_VERSION,
+    maxProtocolVersion: PROTOCOL_VERSION,
+    capabilities,
+    serverCapabilities: SERVER_CAPABILITIES
+});
@@ -0,0 +1,42 @@
+// server/utils/random.js - 可設定種子的亂數產生器（mulberry32，可由種子完整重現）
+import { randomInt } from 'crypto';
+
+// 種子範圍（32 位元無號整數）
+const SEED_RANGE = 2 ** 32;
+
+// 產生新的隨機種子
+export const createSeed = () => randomInt(0, SEED_RANGE);
+
+// 將外部輸入正規化為合法種子（無效時回傳 null）
+export const normalizeSeed = (value) => {
+    const parsed = typeof value === 'string' ? Number.parseInt(value, 10) : value;
+    if (!Number.isSafeInteger(parsed) || parsed < 0) {
+        return null;
+    }
+    return parsed % SEED_RANGE;
+};
+
+// 建立可重現的亂數產生器（state 用於從快照接續序列）
+export const createSeededRandom = (seed, state = null) => {
+    let current = (state ?? seed) >>> 0;
+
+    // 產生 [0, 1) 的浮點數（與 Math.random 介面相同）
+    const next = () => {
+        current = (current + 0x6D2B79F5) >>> 0;
+        let t = current;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / SEED_RANGE;
+    };
+
+    return {
+        seed,
+        next,
+        // 產生 [0, max) 的整數
+        int: (max) => Math.floor(next() * max),
+        // 從陣列隨機挑選一個元素
+        pick: (list) => list[Math.floor(next() * list.length)],
+        // 取得目前內部狀態（寫入快照用）
+        getState: () => current
+    };
+};
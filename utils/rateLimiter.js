@@ -0,0 +1,112 @@
+// server/utils/rateLimiter.js - 訊息頻率限制（每條連線與每個 IP 各自依訊息類型使用令牌桶）
+// 連線與 IP 兩層都有令牌時才會放行並各扣一個；IP 的容量較大，避免同一網路下的多位玩家互相影響
+// 短時間內多次超過限制的連線視為濫用，由呼叫端中斷連線
+
+// 各訊息類型的令牌桶（capacity：可連續送出的數量，refillPerSecond：每秒補充的數量）
+// 未列出的類型（含格式錯誤的訊息）使用 default
+const RATE_LIMITS = {
+    default: { capacity: 20, refillPerSecond: 5 },
+    HELLO: { capacity: 3, refillPerSecond: 0.1 },
+    CREATE_ROOM: { capacity: 3, refillPerSecond: 0.05 },
+    JOIN_ROOM: { capacity: 5, refillPerSecond: 0.5 },
+    SPECTATE_ROOM: { capacity: 5, refillPerSecond: 0.5 },
+    BOT_AUTH: { capacity: 3, refillPerSecond: 0.1 },
+    GAME_ACTION: { capacity: 10, refillPerSecond: 2 },
+    BOT_ACTION: { capacity: 20, refillPerSecond: 10 },
+    REQUEST_HINT: { capacity: 5, refillPerSecond: 0.5 },
+    STATE_ACK: { capacity: 60, refillPerSecond: 30 },
+    RESYNC: { capacity: 3, refillPerSecond: 0.2 }
+};
+
+const readPositiveNumber = (value, fallback) => {
+    const parsed = Number.parseFloat(value ?? '');
+    return Number.isFinite(parsed) && parsed > 0 ? parsed : fallback;
+};
+
+// 整體倍率（壓力測試時可放寬）與 IP 層相對於單一連線的倍率
+const RATE_LIMIT_MULTIPLIER = readPositiveNumber(process.env.RATE_LIMIT_MULTIPLIER, 1);
+const RATE_LIMIT_IP_MULTIPLIER = readPositiveNumber(process.env.RATE_LIMIT_IP_MULTIPLIER, 5);
+
+// 濫用判定：RATE_LIMIT_ABUSE_WINDOW_MS 內超過限制達 RATE_LIMIT_ABUSE_THRESHOLD 次
+export const RATE_LIMIT_ABUSE_THRESHOLD = Math.round(readPositiveNumber(process.env.RATE_LIMIT_ABUSE_THRESHOLD, 30));
+const RATE_LIMIT_ABUSE_WINDOW_MS = 60000;
+
+// 閒置超過此時間的 IP 紀錄會被清除
+const IP_BUCKET_IDLE_MS = 10 * 60 * 1000;
+const IP_BUCKET_SWEEP_INTERVAL_MS = 60 * 1000;
+
+const getLimit = (type, scale) => {
+    const limit = RATE_LIMITS[type] ?? RATE_LIMITS.default;
+    return {
+        capacity: limit.capacity * RATE_LIMIT_MULTIPLIER * scale,
+        refillPerSecond: limit.refillPerSecond * RATE_LIMIT_MULTIPLIER * scale
+    };
+};
+
+// 取得補充後的令牌桶（新桶為滿的）
+const refillBucket = (buckets, key, limit, now) => {
+    const bucket = buckets.get(key) ?? { tokens: limit.capacity, updatedAt: now };
+    bucket.tokens = Math.min(limit.capacity, bucket.tokens + ((now - bucket.updatedAt) / 1000) * limit.refillPerSecond);
+    bucket.updatedAt = now;
+    buckets.set(key, bucket);
+    return bucket;
+};
+
+// 下一個令牌補滿前需要等待的時間
+const getRetryAfterMs = (bucket, limit) => Math.ceil(((1 - bucket.tokens) / limit.refillPerSecond) * 1000);
+
+// IP → { buckets, lastSeenAt }
+const addressBuckets = new Map();
+let lastSweepAt = Date.now();
+
+const sweepAddressBuckets = (now) => {
+    if (now - lastSweepAt < IP_BUCKET_SWEEP_INTERVAL_MS) {
+        return;
+    }
+    lastSweepAt = now;
+    addressBuckets.forEach((entry, address) => {
+        if (now - entry.lastSeenAt > IP_BUCKET_IDLE_MS) {
+            addressBuckets.delete(address);
+        }
+    });
+};
+
+// 建立連線的頻率限制狀態
+export const createConnectionLimiter = (address) => ({
+    address,
+    buckets: new Map(),
+    violations: []
+});
+
+// 檢查並扣除令牌：回傳 { allowed: true } 或 { allowed: false, retryAfterMs, scope }（scope 為 socket 或 ip）
+export const consumeRateLimit = (limiter, type, now = Date.now()) => {
+    sweepAddressBuckets(now);
+    const key = Object.hasOwn(RATE_LIMITS, type) ? type : 'default';
+
+    const socketLimit = getLimit(key, 1);
+    const socketBucket = refillBucket(limiter.buckets, key, socketLimit, now);
+
+    const entry = addressBuckets.get(limiter.address) ?? { buckets: new Map(), lastSeenAt: now };
+    entry.lastSeenAt = now;
+    addressBuckets.set(limiter.address, entry);
+    const addressLimit = getLimit(key, RATE_LIMIT_IP_MULTIPLIER);
+    const addressBucket = refillBucket(entry.buckets, key, addressLimit, now);
+
+    if (socketBucket.tokens < 1) {
+        return { allowed: false, retryAfterMs: getRetryAfterMs(socketBucket, socketLimit), scope: 'socket' };
+    }
+    if (addressBucket.tokens < 1) {
+        return { allowed: false, retryAfterMs: getRetryAfterMs(addressBucket, addressLimit), scope: 'ip' };
+    }
+
+    socketBucket.tokens -= 1;
+    addressBucket.tokens -= 1;
+    return { allowed: true };
+};
+
+// 記錄一次超過限制（回傳 true 表示已達濫用門檻，應中斷連線）
+export const recordRateLimitViolation = (limiter, now = Date.now()) => {
+    limiter.violations = limiter.violations.filter(at => now - at < RATE_LIMIT_ABUSE_WINDOW_MS);
+    limiter.violations.push(now);
+    return limiter.violations.length >= RATE_LIMIT_ABUSE_THRESHOLD;
+};
@@ -0,0 +1,64 @@
+// server/utils/requestContext.js - 客戶端請求回覆（帶 requestId 的訊息處理完後回覆 ACK / NACK，重複的 requestId 不會再次執行）
+// 處理期間送給同一連線的第一個錯誤即為 NACK 的內容；以 AsyncLocalStorage 追蹤，非同步的處理流程也能對應到原請求
+import { AsyncLocalStorage } from 'async_hooks';
+
+// 每個請求紀錄保留的 requestId 數量（超過時移除最舊的，重送需在此範圍內才會被辨識）
+const REQUEST_LOG_LIMIT = 64;
+
+const requestStorage = new AsyncLocalStorage();
+
+// 建立請求紀錄（requestId → 已送出的回覆；處理中為 null）
+export const createRequestLog = () => new Map();
+
+// 記錄請求處理中送出的錯誤（只記錄送往發出請求的連線，Bot 座位的轉送連線以 connection 對應實際連線）
+export const recordRequestError = (ws, error) => {
+    const context = requestStorage.getStore();
+    if (!context || context.settled || context.error || (ws?.connection ?? ws) !== context.ws) {
+        return;
+    }
+    context.error = error;
+};
+
+// 執行帶 requestId 的請求並回覆 ACK 或 NACK（reply 負責送出回覆訊息）
+// 重複的 requestId 不會再次執行：已完成時重送原本的回覆（附上 duplicate），仍在處理中時直接忽略
+export const runTrackedRequest = async ({ ws, requestLog, requestId, reply }, handler) => {
+    if (requestLog.has(requestId)) {
+        const previous = requestLog.get(requestId);
+        console.log(`♻️ 忽略重複的請求 ${requestId}${previous ? '，重送原本的回覆' : '（仍在處理中）'}`);
+        if (previous) {
+            reply({ ...previous, payload: { ...previous.payload, duplicate: true } });
+        }
+        return;
+    }
+
+    requestLog.set(requestId, null);
+    if (requestLog.size > REQUEST_LOG_LIMIT) {
+        requestLog.delete(requestLog.keys().next().value);
+    }
+
+    const context = { ws, error: null, settled: false };
+    try {
+        await requestStorage.run(context, handler);
+    } catch (error) {
+        console.error(`❌ 請求 ${requestId} 處理失敗:`, error);
+        context.error ??= { message: '伺服器處理訊息時發生錯誤', code: 'ERR_INTERNAL' };
+    }
+    context.settled = true;
+
+    const response = context.error
+        ? {
+            type: 'NACK',
+            payload: {
+                requestId,
+                code: context.error.code ?? 'ERR_REQUEST_FAILED',
+                message: context.error.message,
+                ...(context.error.field ? { field: context.error.field } : {})
+            }
+        }
+        : { type: 'ACK', payload: { requestId } };
+    // 紀錄可能已因超過上限被移除，只在仍保留時更新
+    if (requestLog.has(requestId)) {
+        requestLog.set(requestId, response);
+    }
+    reply(response);
+};
@@ -4,10 +4,13 @@ import { createClient } from 'redis';
 const REDIS_URL = process.env.REDIS_URL;
 const ROOM_TTL_SECONDS = Number.parseInt(process.env.ROOM_TTL_SECONDS ?? '3600', 10);
 const ROOM_KEY_PREFIX = 'hanamikoji:room:';
+const REPLAY_KEY_PREFIX = 'hanamikoji:replay:';
+const REPLAY_TTL_SECONDS = Number.parseInt(process.env.REPLAY_TTL_SECONDS ?? '86400', 10);
 
 let redisClient = null;
 
 const getRoomKey = (roomId) => `${ROOM_KEY_PREFIX}${roomId}`;
+const getReplayKey = (roomId) => `${REPLAY_KEY_PREFIX}${roomId}`;
 
 export const isRedisEnabled = () => Boolean(REDIS_URL);
 
@@ -81,3 +84,38 @@ export const deleteRoomSnapshot = async (roomId) => {
         console.error(`❌ 刪除房間 ${roomId} 失敗:`, error);
     }
 };
+
+// 儲存已結束對局的回放紀錄（房間刪除後仍可查詢）
+export const saveReplaySnapshot = async (roomId, replay) => {
+    if (!REDIS_URL) {
+        return;
+    }
+
+    try {
+        const client = await getClient();
+        if (!client) {
+            return;
+        }
+        await client.set(getReplayKey(roomId), JSON.stringify(replay), { EX: REPLAY_TTL_SECONDS });
+    } catch (error) {
+        console.error(`❌ 儲存房間 ${roomId} 回放失敗:`, error);
+    }
+};
+
+export const loadReplaySnapshot = async (roomId) => {
+    if (!REDIS_URL) {
+        return null;
+    }
+
+    try {
+        const client = await getClient();
+        if (!client) {
+            return null;
+        }
+        const raw = await client.get(getReplayKey(roomId));
+        return raw ? JSON.parse(raw) : null;
+    } catch (error) {
+        console.error(`❌ 讀取房間 ${roomId} 回放失敗:`, error);
+        return null;
+    }
+};
@@ -0,0 +1,36 @@
+// server/utils/seatToken.js - 座位憑證（HMAC 簽章，防止冒用 playerId 接手座位）
+import { createHmac, randomBytes, timingSafeEqual } from 'crypto';
+
+// 未設定密鑰時使用啟動時隨機產生的密鑰（重啟後舊憑證失效）
+const SEAT_TOKEN_SECRET = process.env.SEAT_TOKEN_SECRET || randomBytes(32).toString('hex');
+
+if (!process.env.SEAT_TOKEN_SECRET) {
+    console.warn('⚠️ 未設定 SEAT_TOKEN_SECRET，使用臨時密鑰（伺服器重啟後玩家需重新加入）');
+}
+
+// 房間建立時產生的隨機值（房間代碼會重複使用，簽入憑證後舊房間的憑證無法用於同代碼的新房間）
+export const createSeatNonce = () => randomBytes(16).toString('base64url');
+
+// 計算房間（代碼與建立時的隨機值）與玩家對應的簽章
+const signSeat = (roomId, roomNonce, playerId) =>
+    createHmac('sha256', SEAT_TOKEN_SECRET)
+        .update(`${roomId}:${roomNonce}:${playerId}`)
+        .digest('base64url');
+
+// 發給玩家的座位憑證
+export const createSeatToken = (roomId, roomNonce, playerId) => signSeat(roomId, roomNonce, playerId);
+
+// 驗證座位憑證（固定時間比較，避免時序攻擊）
+export const verifySeatToken = (roomId, roomNonce, playerId, token) => {
+    if (typeof token !== 'string' || !token) {
+        return false;
+    }
+
+    const expected = Buffer.from(signSeat(roomId, roomNonce, playerId));
+    const received = Buffer.from(token);
+    if (expected.length !== received.length) {
+        return false;
+    }
+
+    return timingSafeEqual(expected, received);
+};